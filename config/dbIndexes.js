@@ -3,6 +3,7 @@ const Quiz = require('../models/Quiz');
 const Student = require('../models/Student');
 const Bookmark = require('../models/Bookmark');
 const Folder = require('../models/Folder');
+const Question = require('../models/Question');
 
 // Create database indexes for better performance
 exports.createIndexes = async () => {
@@ -25,6 +26,13 @@ exports.createIndexes = async () => {
     
     // Folder indexes - optimize queries by userId
     await Folder.collection.createIndex({ userId: 1, createdAt: -1 });
+
+    // Question bank indexes - search by owner and tags, quiz usage lookups
+    await Question.collection.createIndex({ userId: 1, updatedAt: -1 });
+    await Question.collection.createIndex({ userId: 1, subject: 1, topic: 1 });
+    await Question.collection.createIndex({ userId: 1, tags: 1 });
+    await Question.collection.createIndex({ userId: 1, contentHash: 1 });
+    await Quiz.collection.createIndex({ userId: 1, 'questions.bankQuestionId': 1 });
     
     console.log('Database indexes created successfully');
   } catch (error) {
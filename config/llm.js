@@ -0,0 +1,99 @@
+const fs = require('fs');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Environment variable holding the API key of each provider unless the config names another
+const DEFAULT_API_KEY_ENV = {
+  gemini: 'GEMINI_API_KEY',
+  openai: 'LLM_API_KEY'
+};
+
+let cachedConfig = null;
+
+// LLM settings: a default provider plus optional per-institution overrides, read as JSON from
+// LLM_CONFIG or from the file named by LLM_CONFIG_FILE:
+//
+// {
+//   "default": { "provider": "gemini", "model": "gemini-1.5-flash", "timeoutMs": 30000,
+//                "pricing": { "inputPerMillion": 0.075, "outputPerMillion": 0.3 } },
+//   "institutions": {
+//     "acme university": { "provider": "openai", "baseUrl": "http://localhost:11434/v1", "model": "llama3.1" }
+//   }
+// }
+//
+// Without either, LLM_PROVIDER, LLM_MODEL, LLM_BASE_URL and LLM_TIMEOUT_MS set the default.
+// Keys never live in the config: `apiKeyEnv` names the environment variable that holds one.
+const readConfig = () => {
+  const raw = process.env.LLM_CONFIG ||
+    (process.env.LLM_CONFIG_FILE ? fs.readFileSync(process.env.LLM_CONFIG_FILE, 'utf8') : null);
+  if (!raw) return {};
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid LLM configuration: ${error.message}`);
+  }
+};
+
+const normalizeInstitution = (name) => `${name || ''}`.trim().toLowerCase();
+
+const stripUndefined = (settings) => Object.fromEntries(
+  Object.entries(settings).filter(([, value]) => value !== undefined && value !== '')
+);
+
+const loadConfig = () => {
+  if (cachedConfig) return cachedConfig;
+
+  const config = readConfig();
+  const envDefaults = {
+    provider: process.env.LLM_PROVIDER || 'gemini',
+    model: process.env.LLM_MODEL,
+    baseUrl: process.env.LLM_BASE_URL,
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || undefined
+  };
+
+  const institutions = {};
+  for (const [name, settings] of Object.entries(config.institutions || {})) {
+    institutions[normalizeInstitution(name)] = settings;
+  }
+
+  cachedConfig = {
+    default: { ...stripUndefined(envDefaults), ...(config.default || {}) },
+    institutions
+  };
+  return cachedConfig;
+};
+
+// Provider settings for an institution: its own entry when there is one, otherwise the default
+exports.getProviderSettings = (institution) => {
+  const config = loadConfig();
+  const key = normalizeInstitution(institution);
+  const override = key ? config.institutions[key] : null;
+  const settings = override ? { ...config.default, ...override } : { ...config.default };
+
+  // An institution switching provider does not inherit the default provider's model, endpoint or key
+  if (override && override.provider && override.provider !== config.default.provider) {
+    settings.model = override.model;
+    settings.baseUrl = override.baseUrl;
+    settings.pricing = override.pricing;
+    settings.apiKeyEnv = override.apiKeyEnv;
+  }
+
+  const apiKeyEnv = settings.apiKeyEnv || DEFAULT_API_KEY_ENV[settings.provider];
+  return {
+    key: override ? key : 'default',
+    provider: settings.provider,
+    model: settings.model,
+    baseUrl: settings.baseUrl,
+    apiKey: apiKeyEnv ? process.env[apiKeyEnv] : undefined,
+    timeoutMs: Number(settings.timeoutMs) > 0 ? Number(settings.timeoutMs) : DEFAULT_TIMEOUT_MS,
+    pricing: settings.pricing || null
+  };
+};
+
+// Forget the loaded configuration (after the environment changes)
+exports.reloadConfig = () => {
+  cachedConfig = null;
+};
+
+exports.normalizeInstitution = normalizeInstitution;
@@ -4,7 +4,7 @@ const questionSchema = new mongoose.Schema({
   id: String,
   type: {
     type: String,
-    enum: ['mcq', 'short-answer', 'mixed'],
+    enum: ['mcq', 'multi-select', 'true-false', 'numeric', 'fill-blank', 'short-answer', 'mixed'],
     required: true
   },
   question: {
@@ -13,6 +13,11 @@ const questionSchema = new mongoose.Schema({
   },
   options: [String],
   answer: String,
+  answerIndex: Number,
+  correctOptionIndexes: {
+    type: [Number],
+    default: undefined
+  },
   explanation: String
 });
 
@@ -37,11 +42,16 @@ const bookmarkSchema = new mongoose.Schema({
     id: String,
     type: {
       type: String,
-      enum: ['mcq', 'short-answer', 'mixed']
+      enum: ['mcq', 'multi-select', 'true-false', 'numeric', 'fill-blank', 'short-answer', 'mixed']
     },
     question: String,
     options: [String],
     answer: String,
+    answerIndex: Number,
+    correctOptionIndexes: {
+      type: [Number],
+      default: undefined
+    },
     explanation: String
   },
   // For full quiz bookmarks
@@ -57,6 +67,11 @@ const bookmarkSchema = new mongoose.Schema({
       enum: ['easy', 'medium', 'hard', 'mixed']
     }
   },
+  // Question-bank entries created from this bookmark by the bank import
+  bankQuestionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question'
+  }],
   createdAt: {
     type: Date,
     default: Date.now
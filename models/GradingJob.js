@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Background grading work for one submitted attempt, claimed by the grading queue
+const gradingJobSchema = new mongoose.Schema({
+  attemptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuizAttempt',
+    required: true,
+    unique: true
+  },
+  quizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // Number of times the job has been started, including the current run
+  tries: {
+    type: Number,
+    default: 0
+  },
+  maxTries: {
+    type: Number,
+    default: 3
+  },
+  // Earliest time the job may run; pushed back after a failure
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lockedBy: String,
+  lastError: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+gradingJobSchema.index({ status: 1, runAt: 1 });
+
+module.exports = mongoose.model('GradingJob', gradingJobSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One LLM request, for token accounting and cost reporting per institution
+const llmUsageSchema = new mongoose.Schema({
+  institution: {
+    type: String,
+    default: 'default'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  provider: String,
+  model: String,
+  // What the request was for, e.g. 'quiz-generation' or 'short-answer-grading'
+  purpose: String,
+  inputTokens: {
+    type: Number,
+    default: 0
+  },
+  outputTokens: {
+    type: Number,
+    default: 0
+  },
+  // True when the server did not report usage and the counts were estimated from text length
+  estimated: {
+    type: Boolean,
+    default: false
+  },
+  // Null when no pricing is configured for the provider
+  costUsd: {
+    type: Number,
+    default: null
+  },
+  durationMs: Number,
+  status: {
+    type: String,
+    enum: ['success', 'error', 'timeout'],
+    default: 'success'
+  },
+  error: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+llmUsageSchema.index({ institution: 1, createdAt: -1 });
+llmUsageSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LlmUsage', llmUsageSchema);
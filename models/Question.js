@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { questionContentFields, QUESTION_CONTENT_KEYS } = require('./questionContent');
+
+const BLOOM_LEVELS = ['remember', 'understand', 'apply', 'analyze', 'evaluate', 'create'];
+
+// Immutable copy of a question's content; quizzes pin one of these by number
+const questionVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  ...questionContentFields(),
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const questionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Current content, always equal to the latest entry in `versions`
+  ...questionContentFields(),
+  subject: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  topic: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  bloomLevel: {
+    type: String,
+    enum: BLOOM_LEVELS
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  version: {
+    type: Number,
+    default: 1
+  },
+  versions: [questionVersionSchema],
+  // Hash of the current content, used to avoid adding the same question twice
+  contentHash: String,
+  origin: {
+    kind: {
+      type: String,
+      enum: ['manual', 'bookmark', 'quiz'],
+      default: 'manual'
+    },
+    bookmarkId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bookmark'
+    },
+    quizId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz'
+    }
+  },
+  // Archived questions are hidden from search but stay resolvable for quizzes pinned to them
+  isArchived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Content of a saved version (the latest when no version is given), or null if it does not exist
+questionSchema.methods.getVersionContent = function (version) {
+  const number = version === undefined || version === null ? this.version : Number(version);
+  const entry = this.versions.find(v => v.version === number);
+  if (!entry) return null;
+
+  const content = {};
+  for (const key of QUESTION_CONTENT_KEYS) {
+    const value = entry.get(key);
+    if (value !== undefined) {
+      content[key] = value && typeof value.toObject === 'function' ? value.toObject() : value;
+    }
+  }
+  return content;
+};
+
+const Question = mongoose.model('Question', questionSchema);
+
+module.exports = Question;
+module.exports.BLOOM_LEVELS = BLOOM_LEVELS;
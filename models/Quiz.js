@@ -1,40 +1,50 @@
 const mongoose = require('mongoose');
+const timezoneService = require('../services/timezoneService');
+const { questionContentFields } = require('./questionContent');
 
 const questionSchema = new mongoose.Schema({
-  question: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  options: [{
-    type: String,
-    trim: true
-  }],
-  answer: {
-    type: String,
-    required: true,
-    trim: true
+  ...questionContentFields(),
+  // Bank question this entry was taken from and the version it is pinned to
+  bankQuestionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question'
   },
-  explanation: {
+  bankVersion: Number,
+  // Where an AI-generated question came from when built from an uploaded document
+  source: {
+    fileName: String,
+    kind: {
+      type: String,
+      enum: ['page', 'slide', 'section']
+    },
+    index: Number,
+    label: String
+  }
+});
+
+// A time slot for some of the students the quiz is shared with, matched by email or by the
+// section recorded in the teacher's student list
+const scheduleSlotSchema = new mongoose.Schema({
+  label: {
     type: String,
     trim: true,
     default: ''
   },
-  marks: {
-    type: Number,
-    default: 1,
-    min: 0.5
-  },
-  type: {
+  students: [{
     type: String,
-    enum: ['mcq', 'short-answer', 'mixed'],
-    default: 'mcq'
-  },
-  difficulty: {
+    lowercase: true,
+    trim: true
+  }],
+  sections: [{
     type: String,
-    enum: ['easy', 'medium', 'hard', 'mixed'],
-    default: 'medium'
-  }
+    trim: true
+  }],
+  startDate: Date,
+  startTime: String, // Format: "HH:MM" (24-hour)
+  endDate: Date,
+  endTime: String, // Format: "HH:MM" (24-hour)
+  startsAt: Date,
+  endsAt: Date
 });
 
 const quizSchema = new mongoose.Schema({
@@ -73,6 +83,123 @@ const quizSchema = new mongoose.Schema({
     enum: ['mcq', 'short-answer', 'mixed'],
     default: 'mcq'
   },
+  // Randomize question order and option order per attempt
+  shuffleQuestions: {
+    type: Boolean,
+    default: false
+  },
+  shuffleOptions: {
+    type: Boolean,
+    default: false
+  },
+  // Marks deducted for wrong MCQ answers
+  negativeMarking: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    penalty: {
+      type: Number,
+      default: 0.25,
+      min: 0
+    },
+    applyToUnanswered: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // How short answers are graded: by the LLM, or offline by keyword coverage and similarity.
+  // Thresholds are fractions of a perfect match (0-1); synonyms are groups of equivalent terms.
+  shortAnswerGrading: {
+    mode: {
+      type: String,
+      enum: ['llm', 'offline'],
+      default: 'llm'
+    },
+    fullCreditThreshold: {
+      type: Number,
+      default: 0.8,
+      min: 0,
+      max: 1
+    },
+    partialCreditThreshold: {
+      type: Number,
+      default: 0.5,
+      min: 0,
+      max: 1
+    },
+    // Largest normalized edit distance at which two words still match (typo tolerance)
+    fuzzyMatchThreshold: {
+      type: Number,
+      default: 0.2,
+      min: 0,
+      max: 1
+    },
+    synonyms: [[String]],
+    // LLM grades the model is less sure of than this are flagged for teacher review
+    minConfidence: {
+      type: Number,
+      default: 0.6,
+      min: 0,
+      max: 1
+    }
+  },
+  // 'practice' quizzes check each answer as soon as it is given and show the explanation, with
+  // no timer and no limit on attempts; their attempts are reported apart from graded ones
+  mode: {
+    type: String,
+    enum: ['graded', 'practice'],
+    default: 'graded'
+  },
+  // What students see of their results: everything at once ('immediate'), the score only, the
+  // score once the window has closed, the answers from `releaseAt`, or nothing
+  resultRelease: {
+    policy: {
+      type: String,
+      enum: ['immediate', 'score-only', 'after-window', 'at-date', 'never'],
+      default: 'immediate'
+    },
+    releaseAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // How often a student may take the quiz and which attempt's score counts. `maxAttempts` of 0
+  // means unlimited; `cooldownMinutes` is the wait after one attempt ends before the next.
+  attemptPolicy: {
+    maxAttempts: {
+      type: Number,
+      default: 1,
+      min: 0
+    },
+    cooldownMinutes: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    scoring: {
+      type: String,
+      enum: ['highest', 'latest', 'average'],
+      default: 'highest'
+    }
+  },
+  // Draw a random subset of the questions for each attempt, either `drawCount`
+  // questions overall or a fixed number per difficulty
+  questionPool: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    drawCount: {
+      type: Number,
+      min: 1
+    },
+    byDifficulty: {
+      easy: { type: Number, default: 0, min: 0 },
+      medium: { type: Number, default: 0, min: 0 },
+      hard: { type: Number, default: 0, min: 0 }
+    }
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -100,6 +227,12 @@ const quizSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Set when the quiz was drafted from an uploaded document
+  generatedFrom: {
+    fileName: String,
+    fileType: String,
+    generatedAt: Date
+  },
   // Quiz Scheduling Fields
   isScheduled: {
     type: Boolean,
@@ -123,7 +256,30 @@ const quizSchema = new mongoose.Schema({
   },
   timezone: {
     type: String,
-    default: 'Asia/Kolkata'
+    default: 'Asia/Kolkata',
+    validate: {
+      validator: (value) => timezoneService.isValidTimeZone(value),
+      message: (props) => `Unknown timezone "${props.value}"`
+    }
+  },
+  // The schedule as UTC instants, resolved from the dates and times above in `timezone`
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  // Separate windows for groups of students (e.g. one lab batch on Monday, another on
+  // Wednesday), in the quiz's timezone. Students outside every slot use the window above.
+  scheduleSlots: [scheduleSlotSchema],
+  // How a scheduled window limits attempts: 'full-duration' gives every attempt the whole
+  // duration, 'cap-at-window-end' ends attempts when the window closes
+  windowPolicy: {
+    type: String,
+    enum: ['full-duration', 'cap-at-window-end'],
+    default: 'full-duration'
   }
 }, {
   timestamps: true
@@ -134,8 +290,70 @@ quizSchema.index({ userId: 1, createdAt: -1 });
 quizSchema.index({ sharedWith: 1, createdAt: -1 });
 quizSchema.index({ title: 'text', description: 'text' });
 
-// Method to check if quiz is currently accessible
-quizSchema.methods.isAccessible = function () {
+// UTC instants of a schedule given as calendar dates and "HH:MM" times in an IANA timezone
+quizSchema.statics.resolveSchedule = function ({ isScheduled, startDate, startTime, endDate, endTime, timezone }) {
+  if (!isScheduled) return { startsAt: null, endsAt: null };
+
+  const timeZone = timezoneService.isValidTimeZone(timezone) ? timezone : 'Asia/Kolkata';
+  return {
+    startsAt: timezoneService.combine(startDate, startTime, timeZone),
+    endsAt: timezoneService.combine(endDate, endTime, timeZone)
+  };
+};
+
+// Slot that applies to a student ({ email, section }): one listing their email first, then one
+// for their section. Null when the quiz has no slots or none covers the student.
+quizSchema.methods.getSlotFor = function (student) {
+  if (!student || !this.scheduleSlots || this.scheduleSlots.length === 0) return null;
+
+  const email = `${student.email || ''}`.toLowerCase();
+  const section = `${student.section || ''}`.trim().toLowerCase();
+  return this.scheduleSlots.find(slot => email && slot.students.includes(email))
+    || this.scheduleSlots.find(slot => section && slot.sections.some(s => s.toLowerCase() === section))
+    || null;
+};
+
+// Start and end of the scheduled window, or nulls when the quiz is not scheduled. Given a
+// student, the window of their slot is used when one applies. Quizzes saved before the UTC
+// instants were stored are resolved from their dates and timezone.
+quizSchema.methods.getScheduleWindow = function (student) {
+  if (!this.isScheduled) return { start: null, end: null, slot: null };
+
+  const slot = this.getSlotFor(student);
+  const source = slot || this;
+  const resolved = (source.startsAt && source.endsAt)
+    ? null
+    : this.constructor.resolveSchedule({
+      isScheduled: true,
+      startDate: source.startDate,
+      startTime: source.startTime,
+      endDate: source.endDate,
+      endTime: source.endTime,
+      timezone: this.timezone
+    });
+  return {
+    start: source.startsAt || resolved.startsAt,
+    end: source.endsAt || resolved.endsAt,
+    slot
+  };
+};
+
+// Deadline of an attempt started at `startedAt`: the full duration, or the end of the
+// student's window when the quiz caps attempts at it and that comes first
+quizSchema.methods.getAttemptTiming = function (startedAt = new Date(), student) {
+  const { end } = this.getScheduleWindow(student);
+  const durationEnd = new Date(startedAt.getTime() + (this.duration || 30) * 60 * 1000);
+  const capped = end && this.windowPolicy === 'cap-at-window-end' && end < durationEnd;
+
+  return {
+    deadline: capped ? end : durationEnd,
+    windowClosesAt: end
+  };
+};
+
+// Method to check if quiz is currently accessible, to a given student ({ email, section })
+// when the quiz has schedule slots
+quizSchema.methods.isAccessible = function (student) {
   // If not scheduled, always accessible
   if (!this.isScheduled) {
     return {
@@ -145,19 +363,16 @@ quizSchema.methods.isAccessible = function () {
   }
 
   const now = new Date();
+  const { start: startDateTime, end: endDateTime, slot } = this.getScheduleWindow(student);
+  const slotLabel = slot ? slot.label || null : null;
 
-  // Combine date and time for start
-  const startDateTime = new Date(this.startDate);
-  if (this.startTime) {
-    const [hours, minutes] = this.startTime.split(':');
-    startDateTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-  }
-
-  // Combine date and time for end
-  const endDateTime = new Date(this.endDate);
-  if (this.endTime) {
-    const [hours, minutes] = this.endTime.split(':');
-    endDateTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
+  // Slots only, and none of them is for this student
+  if (!startDateTime || !endDateTime) {
+    return {
+      accessible: false,
+      message: 'No time slot of this quiz is assigned to you',
+      slot: null
+    };
   }
 
   // Check if quiz hasn't started yet
@@ -169,7 +384,9 @@ quizSchema.methods.isAccessible = function () {
         timeStyle: 'short',
         timeZone: this.timezone
       })}`,
-      startsAt: startDateTime
+      startsAt: startDateTime,
+      endsAt: endDateTime,
+      slot: slotLabel
     };
   }
 
@@ -182,7 +399,9 @@ quizSchema.methods.isAccessible = function () {
         timeStyle: 'short',
         timeZone: this.timezone
       })}`,
-      endedAt: endDateTime
+      startsAt: startDateTime,
+      endedAt: endDateTime,
+      slot: slotLabel
     };
   }
 
@@ -190,14 +409,70 @@ quizSchema.methods.isAccessible = function () {
   return {
     accessible: true,
     message: 'Quiz is currently active',
-    endsAt: endDateTime
+    startsAt: startDateTime,
+    endsAt: endDateTime,
+    slot: slotLabel
+  };
+};
+
+// Per-difficulty counts of a stratified pool, or null when the pool draws from all questions
+quizSchema.methods.getPoolStrata = function () {
+  const pool = this.questionPool;
+  if (!pool || !pool.enabled || !pool.byDifficulty) return null;
+
+  const strata = {
+    easy: pool.byDifficulty.easy || 0,
+    medium: pool.byDifficulty.medium || 0,
+    hard: pool.byDifficulty.hard || 0
   };
+  return strata.easy + strata.medium + strata.hard > 0 ? strata : null;
+};
+
+// Number of questions each student receives
+quizSchema.methods.getQuestionsPerAttempt = function () {
+  if (!this.questionPool || !this.questionPool.enabled) {
+    return this.questions.length;
+  }
+
+  const strata = this.getPoolStrata();
+  const count = strata
+    ? strata.easy + strata.medium + strata.hard
+    : this.questionPool.drawCount || this.questions.length;
+  return Math.min(count, this.questions.length);
+};
+
+// Marks available to each student, or null when pooled questions carry different marks
+// and the total depends on which questions are drawn
+quizSchema.methods.getMarksPerAttempt = function () {
+  if (!this.questionPool || !this.questionPool.enabled) {
+    return this.totalMarks;
+  }
+
+  const marks = [...new Set(this.questions.map(q => q.marks || 1))];
+  return marks.length === 1 ? marks[0] * this.getQuestionsPerAttempt() : null;
 };
 
 // Pre-save middleware to calculate numQuestions and totalMarks
 quizSchema.pre('save', function (next) {
   this.numQuestions = this.questions.length;
   this.totalMarks = this.questions.reduce((sum, q) => sum + (q.marks || 1), 0);
+
+  const scheduleFields = ['isScheduled', 'startDate', 'startTime', 'endDate', 'endTime', 'timezone'];
+  if (scheduleFields.some(field => this.isModified(field))) {
+    Object.assign(this, this.constructor.resolveSchedule(this));
+  }
+  if (this.isModified('scheduleSlots') || this.isModified('timezone')) {
+    for (const slot of this.scheduleSlots) {
+      Object.assign(slot, this.constructor.resolveSchedule({
+        isScheduled: true,
+        startDate: slot.startDate,
+        startTime: slot.startTime,
+        endDate: slot.endDate,
+        endTime: slot.endTime,
+        timezone: this.timezone
+      }));
+    }
+  }
   next();
 });
 
@@ -6,16 +6,95 @@ const attemptAnswerSchema = new mongoose.Schema({
   question: String,
   type: {
     type: String,
-    enum: ['mcq', 'short-answer']
+    enum: ['mcq', 'multi-select', 'true-false', 'numeric', 'fill-blank', 'short-answer', 'mixed']
   },
   options: [String],
-  studentAnswer: String,
+  // String for most types, array of selections for multi-select
+  studentAnswer: mongoose.Schema.Types.Mixed,
   correctAnswer: String,
   isCorrect: Boolean,
   marks: Number,
-  explanation: String
+  maxMarks: Number,
+  penalty: {
+    type: Number,
+    default: 0
+  },
+  feedback: String,
+  explanation: String,
+  // Set when auto-grading could not score the answer reliably and a teacher should check it
+  needsReview: {
+    type: Boolean,
+    default: false
+  },
+  // Why the answer was flagged: 'ai-unavailable', 'low-confidence', 'inconsistent',
+  // 'heuristic-mismatch' or 'suspected-injection'
+  reviewReasons: [String],
+  // Phrases in the answer that looked like instructions to the AI grader
+  suspiciousContent: [String],
+  // The model's confidence in its own grade (0 to 1), when an LLM graded the answer
+  confidence: Number,
+  gradedBy: {
+    type: String,
+    enum: ['auto', 'manual'],
+    default: 'auto'
+  },
+  // Per-criterion scores when the question was graded against a rubric
+  rubricResult: {
+    criteria: [{
+      _id: false,
+      description: String,
+      weight: Number,
+      score: Number,
+      awarded: Number,
+      evidence: String,
+      missingKeywords: [String]
+    }],
+    misconceptions: [{
+      _id: false,
+      description: String,
+      penalty: Number,
+      present: Boolean,
+      deducted: Number,
+      evidence: String
+    }],
+    earnedWeight: Number,
+    deductedWeight: Number,
+    totalWeight: Number
+  },
+  // The automatic result, kept when a teacher overrides it
+  autoGrade: {
+    marks: Number,
+    isCorrect: Boolean,
+    feedback: String
+  }
 });
 
+// One teacher override of an answer's grade
+const gradeOverrideSchema = new mongoose.Schema({
+  questionId: String,
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  changedByEmail: String,
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  previous: {
+    marks: Number,
+    isCorrect: Boolean,
+    feedback: String
+  },
+  updated: {
+    marks: Number,
+    isCorrect: Boolean,
+    feedback: String
+  },
+  reason: String
+}, { _id: false });
+
 const quizAttemptSchema = new mongoose.Schema({
   quizId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -57,12 +136,49 @@ const quizAttemptSchema = new mongoose.Schema({
   studentSemester: {
     type: String
   },
+  // The quiz's mode when the attempt started; practice attempts have no time limit
+  mode: {
+    type: String,
+    enum: ['graded', 'practice'],
+    default: 'graded'
+  },
+  // Answers checked one at a time in practice mode, with how often each was tried
+  practiceChecks: [{
+    _id: false,
+    questionId: String,
+    tries: {
+      type: Number,
+      default: 0
+    },
+    isCorrect: Boolean,
+    lastCheckedAt: Date
+  }],
+  // 1 for a student's first attempt at the quiz, 2 for their second, ... (counted separately
+  // for practice attempts)
+  attemptNumber: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
   answers: [attemptAnswerSchema],
+  // Per-attempt layout: ids of the questions this attempt received, in display order, and for
+  // shuffled questions the original option index shown at each position
+  questionOrder: [String],
+  optionOrders: [{
+    _id: false,
+    questionId: String,
+    order: [Number]
+  }],
   totalMarks: {
     type: Number,
     default: 0
   },
   maxMarks: Number,
+  // Total marks deducted through negative marking (already subtracted from totalMarks)
+  penaltyMarks: {
+    type: Number,
+    default: 0
+  },
   percentage: Number,
   status: {
     type: String,
@@ -74,8 +190,73 @@ const quizAttemptSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // When the attempt's time runs out; before the full duration when the quiz caps attempts at
+  // the end of its scheduled window. Absent on older attempts (startedAt + duration).
+  deadline: Date,
+  // End of the quiz's scheduled window when the attempt started
+  windowClosesAt: Date,
   submittedAt: Date,
+  // Set when the submission (within the grace period) came in after the window closed
+  submittedAfterWindowClose: {
+    type: Boolean,
+    default: false
+  },
   gradedAt: Date,
+  // Answers saved with /quiz/save-progress or /quiz/save-answer; graded if the attempt runs out
+  // of time unsubmitted. Per-answer saves keep it as [{ questionId, studentAnswer, seq,
+  // clientTimestamp, savedAt }].
+  savedAnswers: mongoose.Schema.Types.Mixed,
+  // Bumped on every per-answer save so concurrent saves from two devices cannot overwrite
+  // each other
+  autosaveRevision: {
+    type: Number,
+    default: 0
+  },
+  // Set when the attempt was downloaded for offline use by the mobile apps: the device and key
+  // it is bound to, the answer-bundle digests the server received in time (checkpoints), until
+  // when a checkpointed bundle may be uploaded, and when that happened
+  offlineSync: {
+    deviceId: String,
+    devicePublicKey: String,
+    issuedAt: Date,
+    checkpoints: {
+      type: [{
+        _id: false,
+        digest: String,
+        receivedAt: Date
+      }],
+      default: undefined
+    },
+    uploadDeadline: Date,
+    completedAt: Date,
+    receivedAt: Date
+  },
+  // Every per-answer save, oldest first, for integrity review
+  answerHistory: [{
+    _id: false,
+    questionId: String,
+    answer: mongoose.Schema.Types.Mixed,
+    previousAnswer: mongoose.Schema.Types.Mixed,
+    seq: Number,
+    clientTimestamp: Date,
+    receivedAt: Date,
+    requestId: String
+  }],
+  // Answers as submitted, kept for the background grader
+  submittedAnswers: mongoose.Schema.Types.Mixed,
+  // Progress of background grading; absent on attempts graded during the request
+  gradingStatus: {
+    type: String,
+    enum: ['queued', 'grading', 'completed', 'failed']
+  },
+  // Audit trail of manual grade changes, oldest first
+  gradeOverrides: [gradeOverrideSchema],
+  // Answers that seemed to contain instructions to the AI grader (prompt injection)
+  suspiciousAnswers: [{
+    _id: false,
+    questionId: String,
+    matches: [String]
+  }],
   uniqueToken: {
     type: String,
     required: true,
@@ -95,7 +276,9 @@ const quizAttemptSchema = new mongoose.Schema({
   isAutoSubmit: {
     type: Boolean,
     default: false
-  }
+  },
+  // Why the attempt was submitted without the student, e.g. 'time-expired' for the sweeper
+  autoSubmitReason: String
 }, {
   timestamps: true
 });
@@ -103,7 +286,10 @@ const quizAttemptSchema = new mongoose.Schema({
 // Index for faster queries
 quizAttemptSchema.index({ teacherId: 1, quizId: 1 });
 quizAttemptSchema.index({ studentEmail: 1, quizId: 1 });
+// One attempt per number, so concurrent starts cannot both pass the attempt limit
+quizAttemptSchema.index({ quizId: 1, studentEmail: 1, mode: 1, attemptNumber: 1 }, { unique: true });
 quizAttemptSchema.index({ status: 1 });
+quizAttemptSchema.index({ status: 1, startedAt: 1 });
 
 // Virtual for elapsed time
 quizAttemptSchema.virtual('elapsedTime').get(function () {
@@ -112,20 +298,29 @@ quizAttemptSchema.virtual('elapsedTime').get(function () {
   return Math.floor((now - this.startedAt) / 1000);
 });
 
-// Virtual for time remaining
+// Virtual for time remaining (seconds until the deadline; null for untimed practice attempts)
 quizAttemptSchema.virtual('timeRemaining').get(function () {
+  if (this.mode === 'practice') return null;
   if (!['started', 'in-progress'].includes(this.status)) return 0;
-  const elapsedSeconds = this.elapsedTime;
-  const totalSeconds = (this.duration || 30) * 60;
-  return Math.max(0, totalSeconds - elapsedSeconds);
+  return Math.max(0, Math.floor((this.getDeadline() - Date.now()) / 1000));
 });
 
+// When the attempt's time runs out, or null for practice attempts, which never do
+quizAttemptSchema.methods.getDeadline = function () {
+  if (this.mode === 'practice') return null;
+  if (this.deadline) return new Date(this.deadline);
+  return new Date(new Date(this.startedAt).getTime() + (this.duration || 30) * 60 * 1000);
+};
+
+// Whether a submission at `date` came after the quiz's scheduled window closed
+quizAttemptSchema.methods.isAfterWindowClose = function (date = this.submittedAt) {
+  return !!(this.windowClosesAt && date && new Date(date) > this.windowClosesAt);
+};
+
 // Check if expired
 quizAttemptSchema.methods.isExpired = function () {
-  if (!['started', 'in-progress'].includes(this.status)) return false;
-  const elapsedSeconds = this.elapsedTime;
-  const totalSeconds = (this.duration || 30) * 60;
-  return elapsedSeconds >= totalSeconds;
+  if (!['started', 'in-progress'].includes(this.status) || this.mode === 'practice') return false;
+  return Date.now() >= this.getDeadline().getTime();
 };
 
 module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
\ No newline at end of file
@@ -25,6 +25,11 @@ const studentSchema = new mongoose.Schema({
   branch: String,
   year: String,
   semester: String,
+  // Lab batch or class section (e.g. "A1"); quiz schedule slots can be assigned to one
+  section: {
+    type: String,
+    trim: true
+  },
   createdAt: {
     type: Date,
     default: Date.now
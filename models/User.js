@@ -26,6 +26,12 @@ const userSchema = new mongoose.Schema({
     enum: ['faculty', 'admin'],
     default: 'faculty'
   },
+  // Selects the LLM provider configured for the institution (see config/llm.js). Set with
+  // scripts/setInstitution.js, not at registration
+  institution: {
+    type: String,
+    trim: true
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,126 @@
+// Fields describing a question's content and answer key, shared by quiz questions,
+// question-bank entries and their saved versions. Returned fresh for each schema.
+exports.questionContentFields = () => ({
+  question: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  options: [{
+    type: String,
+    trim: true
+  }],
+  answer: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  explanation: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  marks: {
+    type: Number,
+    default: 1,
+    min: 0.5
+  },
+  type: {
+    type: String,
+    enum: ['mcq', 'multi-select', 'true-false', 'numeric', 'fill-blank', 'short-answer', 'mixed'],
+    default: 'mcq'
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard', 'mixed'],
+    default: 'medium'
+  },
+  // mcq: index of the correct option in `options` (answer keeps the human readable key)
+  answerIndex: {
+    type: Number,
+    min: 0
+  },
+  // multi-select: indexes of every correct option, with their letters in correctAnswers
+  correctOptionIndexes: {
+    type: [Number],
+    default: undefined
+  },
+  correctAnswers: [{
+    type: String,
+    trim: true
+  }],
+  partialCredit: {
+    type: Boolean,
+    default: true
+  },
+  // numeric: expected value with tolerance and units
+  numericAnswer: {
+    value: Number,
+    tolerance: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    toleranceType: {
+      type: String,
+      enum: ['absolute', 'percent'],
+      default: 'absolute'
+    },
+    unit: String,
+    acceptedUnits: [String],
+    requireUnit: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // fill-blank: accepted spellings
+  acceptedAnswers: [{
+    type: String,
+    trim: true
+  }],
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  // short-answer: key terms the offline grader looks for (defaults to the model answer's words)
+  keywords: [{
+    type: String,
+    trim: true
+  }],
+  // short-answer: key points scored separately, weighted, then scaled to `marks`
+  rubric: {
+    criteria: [{
+      _id: false,
+      description: {
+        type: String,
+        trim: true
+      },
+      weight: {
+        type: Number,
+        default: 1,
+        min: 0
+      },
+      // The criterion earns nothing unless every one of these appears in the answer
+      requiredKeywords: [{
+        type: String,
+        trim: true
+      }]
+    }],
+    // Weight points deducted when the answer shows the misconception
+    misconceptions: [{
+      _id: false,
+      description: {
+        type: String,
+        trim: true
+      },
+      penalty: {
+        type: Number,
+        default: 1,
+        min: 0
+      }
+    }]
+  }
+});
+
+// Content fields copied when a bank question is versioned or pinned into a quiz
+exports.QUESTION_CONTENT_KEYS = Object.keys(exports.questionContentFields());
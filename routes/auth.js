@@ -16,6 +16,8 @@ const generateToken = (id) => {
 // Register
 router.post('/register', validateEmail, validatePassword, async (req, res) => {
   try {
+    // The institution is assigned by the deployment (scripts/setInstitution.js), never chosen here,
+    // since it selects the LLM provider and billing the account's requests use
     const { name, email, password, role } = req.body;
 
     if (!name || name.trim().length < 2) {
@@ -109,7 +111,8 @@ router.get('/me', protect, async (req, res) => {
       id: req.user._id,
       name: req.user.name,
       email: req.user.email,
-      role: req.user.role
+      role: req.user.role,
+      institution: req.user.institution
     }
   });
 });
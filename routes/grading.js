@@ -0,0 +1,237 @@
+const express = require('express');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const { protect } = require('../middleware/auth');
+const manualGradingService = require('../services/manualGradingService');
+const gradingQueue = require('../services/gradingQueue');
+const attemptSweeper = require('../services/attemptSweeper');
+
+const router = express.Router();
+
+// List answers that need a teacher's review (?all=true adds every short answer)
+router.get('/:id/review', protect, async (req, res) => {
+  try {
+    const quiz = await Quiz.findOne({ _id: req.params.id, userId: req.user._id }).select('title');
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    const attempts = await QuizAttempt.find({
+      quizId: quiz._id,
+      teacherId: req.user._id,
+      status: { $in: ['submitted', 'graded', 'blocked'] }
+    }).sort('submittedAt');
+
+    const answers = manualGradingService.listPendingReview(attempts, {
+      includeAllShortAnswers: req.query.all === 'true'
+    });
+
+    res.json({
+      success: true,
+      quiz: { id: quiz._id, title: quiz.title },
+      count: answers.length,
+      answers
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Override the grade of one answer (identified by question id or answer id)
+router.patch('/attempts/:attemptId/answers/:answerId', protect, async (req, res) => {
+  try {
+    const attempt = await QuizAttempt.findOne({
+      _id: req.params.attemptId,
+      teacherId: req.user._id
+    });
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz attempt not found'
+      });
+    }
+
+    if (!['submitted', 'graded', 'blocked'].includes(attempt.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only submitted attempts can be graded'
+      });
+    }
+
+    const { error, statusCode, value } = manualGradingService.applyOverride(
+      attempt,
+      req.params.answerId,
+      req.body,
+      req.user
+    );
+    if (error) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const pendingReview = manualGradingService.recalculate(attempt);
+    await attempt.save();
+
+    console.log(`✏️ Grade override on attempt ${attempt._id} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      answer: value,
+      attempt: {
+        id: attempt._id,
+        status: attempt.status,
+        totalMarks: attempt.totalMarks,
+        maxMarks: attempt.maxMarks,
+        percentage: attempt.percentage,
+        pendingReview
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Queue a submitted attempt for grading again, e.g. after grading failed.
+// Manually graded attempts are only regraded with ?force=true.
+router.post('/attempts/:attemptId/regrade', protect, async (req, res) => {
+  try {
+    const attempt = await QuizAttempt.findOne({
+      _id: req.params.attemptId,
+      teacherId: req.user._id
+    });
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz attempt not found'
+      });
+    }
+
+    if (!attempt.submittedAnswers) {
+      return res.status(400).json({
+        success: false,
+        message: 'This attempt has no stored submission to grade'
+      });
+    }
+
+    if (attempt.answers.some(a => a.gradedBy === 'manual') && req.query.force !== 'true') {
+      return res.status(409).json({
+        success: false,
+        message: 'This attempt has manual grades; regrade with ?force=true to replace them'
+      });
+    }
+
+    attempt.gradingStatus = 'queued';
+    await attempt.save();
+    await gradingQueue.enqueue(attempt);
+    gradingQueue.tick();
+
+    res.json({ success: true, message: 'Attempt queued for grading', gradingStatus: attempt.gradingStatus });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Submit expired attempts and run queued grading jobs. Meant for a scheduler (e.g. Vercel Cron)
+// on deployments without a long-running worker; requires `Authorization: Bearer <CRON_SECRET>`.
+const runGradingJobs = async (req, res) => {
+  try {
+    const secret = process.env.CRON_SECRET;
+    if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to run grading jobs'
+      });
+    }
+
+    const { expired } = await attemptSweeper.sweep();
+    const result = await gradingQueue.runBatch();
+    res.json({ success: true, expired, ...result });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+router.get('/grading/run', runGradingJobs);
+router.post('/grading/run', runGradingJobs);
+
+// Audit trail of manual grade changes on an attempt
+router.get('/attempts/:attemptId/audit', protect, async (req, res) => {
+  try {
+    const attempt = await QuizAttempt.findOne({
+      _id: req.params.attemptId,
+      teacherId: req.user._id
+    }).select('studentName studentUSN answers gradeOverrides');
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz attempt not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      overrides: attempt.gradeOverrides,
+      autoGrades: attempt.answers
+        .filter(a => a.gradedBy === 'manual')
+        .map(a => ({ questionId: a.questionId, question: a.question, autoGrade: a.autoGrade }))
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Every per-answer autosave of an attempt, oldest first, for integrity review
+router.get('/attempts/:attemptId/answer-history', protect, async (req, res) => {
+  try {
+    const attempt = await QuizAttempt.findOne({
+      _id: req.params.attemptId,
+      teacherId: req.user._id
+    }).select('studentName studentUSN answerHistory');
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz attempt not found'
+      });
+    }
+
+    const changesPerQuestion = {};
+    for (const entry of attempt.answerHistory) {
+      changesPerQuestion[entry.questionId] = (changesPerQuestion[entry.questionId] || 0) + 1;
+    }
+
+    res.json({
+      success: true,
+      studentName: attempt.studentName,
+      studentUSN: attempt.studentUSN,
+      changesPerQuestion,
+      history: attempt.answerHistory
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { protect } = require('../middleware/auth');
+const llmService = require('../services/llmService');
+const { getProviderSettings, normalizeInstitution } = require('../config/llm');
+
+const router = express.Router();
+
+// Provider configured for the current user's institution (never includes the API key)
+router.get('/provider', protect, async (req, res) => {
+  try {
+    const settings = getProviderSettings(req.user.institution);
+    const { provider } = await llmService.getClient({ institution: req.user.institution || null });
+
+    res.json({
+      success: true,
+      provider: {
+        name: provider.name,
+        model: provider.model,
+        configured: provider.isConfigured(),
+        timeoutMs: settings.timeoutMs,
+        pricing: settings.pricing
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Token usage and cost. Faculty see their own requests; admins see their whole institution, once
+// the deployment has assigned them one (?from and ?to limit the period)
+router.get('/usage', protect, async (req, res) => {
+  try {
+    const institution = normalizeInstitution(req.user.institution);
+    const institutionScope = req.user.role === 'admin' && !!institution;
+    const filter = institutionScope
+      ? { institution }
+      : { userId: new mongoose.Types.ObjectId(req.user._id) };
+
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+    if (from || to) {
+      filter.createdAt = {
+        ...(from ? { $gte: from } : {}),
+        ...(to ? { $lte: to } : {})
+      };
+    }
+
+    const summary = await llmService.getUsageSummary(filter);
+
+    res.json({
+      success: true,
+      scope: institutionScope ? 'institution' : 'user',
+      ...summary
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
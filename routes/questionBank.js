@@ -0,0 +1,156 @@
+const express = require('express');
+const Question = require('../models/Question');
+const Quiz = require('../models/Quiz');
+const Bookmark = require('../models/Bookmark');
+const { protect } = require('../middleware/auth');
+const questionBankService = require('../services/questionBankService');
+
+const router = express.Router();
+
+// Search the question bank
+router.get('/', protect, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const filter = questionBankService.buildSearchFilter(req.user._id, req.query);
+
+    const [questions, total] = await Promise.all([
+      Question.find(filter)
+        .select('-versions')
+        .sort('-updatedAt')
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Question.countDocuments(filter)
+    ]);
+
+    res.json({ success: true, total, page, limit, questions });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Copy the user's bookmarked questions into the bank (safe to run more than once)
+router.post('/import/bookmarks', protect, async (req, res) => {
+  try {
+    const bookmarks = await Bookmark.find({ userId: req.user._id });
+    const summary = { bookmarks: 0, created: 0, existing: 0, failed: [] };
+
+    for (const bookmark of bookmarks) {
+      const result = await questionBankService.importBookmark(bookmark);
+      summary.bookmarks++;
+      summary.created += result.created;
+      summary.existing += result.existing;
+      result.failed.forEach(f => summary.failed.push({ bookmarkId: bookmark._id, ...f }));
+
+      bookmark.bankQuestionIds = result.questionIds;
+      await bookmark.save();
+    }
+
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get a question, or one of its earlier versions with ?version=
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const question = await Question.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    if (req.query.version !== undefined) {
+      const content = question.getVersionContent(req.query.version);
+      if (!content) {
+        return res.status(404).json({ message: `Version ${req.query.version} not found` });
+      }
+      return res.json({ success: true, version: Number(req.query.version), question: content });
+    }
+
+    res.json({ success: true, question });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Quizzes using a question and whether they are pinned to an older version
+router.get('/:id/usage', protect, async (req, res) => {
+  try {
+    const question = await Question.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    const quizzes = await Quiz.find({
+      userId: req.user._id,
+      'questions.bankQuestionId': question._id
+    }).select('title questions.bankQuestionId questions.bankVersion');
+
+    const usage = quizzes.map(quiz => {
+      const pinned = quiz.questions.find(q => q.bankQuestionId && q.bankQuestionId.equals(question._id));
+      return {
+        quizId: quiz._id,
+        title: quiz.title,
+        pinnedVersion: pinned.bankVersion,
+        isOutdated: pinned.bankVersion < question.version
+      };
+    });
+
+    res.json({ success: true, latestVersion: question.version, usage });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Add a question to the bank
+router.post('/', protect, async (req, res) => {
+  try {
+    const { error, value, created } = await questionBankService.createQuestion(req.user._id, req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.status(created ? 201 : 200).json({ success: true, created, question: value });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Edit a question; content changes create a new version
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const question = await Question.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    const { error, value } = await questionBankService.updateQuestion(question, req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json({ success: true, question: value });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Archive a question. Quizzes pinned to it keep working.
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const question = await Question.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { isArchived: true },
+      { new: true }
+    );
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+    res.json({ success: true, message: 'Question archived' });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
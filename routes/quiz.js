@@ -2,8 +2,267 @@ const express = require('express');
 const Quiz = require('../models/Quiz');
 const Student = require('../models/Student');
 const { protect } = require('../middleware/auth');
+const { validateQuestion } = require('../services/questionTypes');
+const quizAnalyticsService = require('../services/quizAnalyticsService');
+const gradingConsistencyService = require('../services/gradingConsistencyService');
+const questionBankService = require('../services/questionBankService');
+const timezoneService = require('../services/timezoneService');
+const attemptPolicyService = require('../services/attemptPolicyService');
+const { DEFAULT_SETTINGS: SHORT_ANSWER_DEFAULTS } = require('../services/offlineGradingService');
 const router = express.Router();
 
+const WINDOW_POLICIES = ['full-duration', 'cap-at-window-end'];
+const SCORING_POLICIES = ['highest', 'latest', 'average'];
+const QUIZ_MODES = ['graded', 'practice'];
+const RELEASE_POLICIES = ['immediate', 'score-only', 'after-window', 'at-date', 'never'];
+
+// Validate the optional negative-marking policy sent with a quiz
+const parseNegativeMarking = (input) => {
+  if (input === undefined || input === null) return { value: undefined };
+
+  const penalty = input.penalty === undefined ? 0.25 : Number(input.penalty);
+  if (!Number.isFinite(penalty) || penalty < 0) {
+    return { error: 'Negative marking penalty must be a number of at least 0' };
+  }
+
+  return {
+    value: {
+      enabled: !!input.enabled,
+      penalty,
+      applyToUnanswered: !!input.applyToUnanswered
+    }
+  };
+};
+
+// Validate the optional retake settings: attempts allowed (0 for unlimited), minutes between
+// attempts and which score counts
+const parseAttemptPolicy = (input) => {
+  if (input === undefined || input === null) return { value: undefined };
+
+  const maxAttempts = input.maxAttempts === undefined ? 1 : Number(input.maxAttempts);
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 0) {
+    return { error: 'maxAttempts must be a whole number of at least 0 (0 for unlimited)' };
+  }
+
+  const cooldownMinutes = input.cooldownMinutes === undefined ? 0 : Number(input.cooldownMinutes);
+  if (!Number.isFinite(cooldownMinutes) || cooldownMinutes < 0) {
+    return { error: 'cooldownMinutes must be a number of at least 0' };
+  }
+
+  const scoring = input.scoring || 'highest';
+  if (!SCORING_POLICIES.includes(scoring)) {
+    return { error: `scoring must be one of: ${SCORING_POLICIES.join(', ')}` };
+  }
+
+  return { value: { maxAttempts, cooldownMinutes, scoring } };
+};
+
+// Validate the optional result-release policy; 'at-date' needs the date answers are released
+const parseResultRelease = (input) => {
+  if (input === undefined || input === null) return { value: undefined };
+
+  const policy = input.policy || 'immediate';
+  if (!RELEASE_POLICIES.includes(policy)) {
+    return { error: `resultRelease.policy must be one of: ${RELEASE_POLICIES.join(', ')}` };
+  }
+
+  let releaseAt = null;
+  if (policy === 'at-date') {
+    releaseAt = new Date(input.releaseAt);
+    if (!input.releaseAt || isNaN(releaseAt)) {
+      return { error: 'resultRelease.releaseAt must be a valid date when the policy is "at-date"' };
+    }
+  }
+
+  return { value: { policy, releaseAt } };
+};
+
+// Validate the optional short-answer grading settings (LLM or offline, thresholds, synonyms,
+// minimum AI confidence)
+const parseShortAnswerGrading = (input) => {
+  if (input === undefined || input === null) return { value: undefined };
+
+  const mode = input.mode || 'llm';
+  if (!['llm', 'offline'].includes(mode)) {
+    return { error: 'Short-answer grading mode must be "llm" or "offline"' };
+  }
+
+  const value = { mode };
+  for (const key of ['fullCreditThreshold', 'partialCreditThreshold', 'fuzzyMatchThreshold', 'minConfidence']) {
+    if (input[key] === undefined) continue;
+    const threshold = Number(input[key]);
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+      return { error: `${key} must be a number between 0 and 1` };
+    }
+    value[key] = threshold;
+  }
+  // Compared as they will apply, with defaults for the threshold not given
+  const effective = (key) => (value[key] !== undefined ? value[key] : SHORT_ANSWER_DEFAULTS[key]);
+  if (effective('partialCreditThreshold') > effective('fullCreditThreshold')) {
+    return {
+      error: `partialCreditThreshold (${effective('partialCreditThreshold')}) cannot be higher than ` +
+        `fullCreditThreshold (${effective('fullCreditThreshold')})`
+    };
+  }
+
+  if (input.synonyms !== undefined) {
+    if (!Array.isArray(input.synonyms) || !input.synonyms.every(Array.isArray)) {
+      return { error: 'synonyms must be a list of groups, e.g. [["car", "automobile"]]' };
+    }
+    value.synonyms = input.synonyms
+      .map(group => group.map(term => `${term}`.trim()).filter(Boolean))
+      .filter(group => group.length > 1);
+  }
+
+  return { value };
+};
+
+// Validate a quiz schedule and resolve it to UTC instants in the quiz's IANA timezone
+const parseSchedule = (input) => {
+  const timezone = input.timezone || 'Asia/Kolkata';
+  if (!timezoneService.isValidTimeZone(timezone)) {
+    return { error: `Unknown timezone "${timezone}". Use an IANA name such as "Asia/Kolkata" or "America/New_York"` };
+  }
+
+  for (const key of ['startTime', 'endTime']) {
+    if (input[key] && !timezoneService.isValidTime(input[key])) {
+      return { error: `${key} must be in 24-hour "HH:MM" format` };
+    }
+  }
+
+  const slotsResult = parseScheduleSlots(input.scheduleSlots, timezone);
+  if (slotsResult.error) return { error: slotsResult.error };
+  const scheduleSlots = slotsResult.value;
+
+  const value = {
+    // A quiz with slots is always scheduled
+    isScheduled: !!input.isScheduled || scheduleSlots.length > 0,
+    startDate: input.startDate || null,
+    startTime: input.startTime || null,
+    endDate: input.endDate || null,
+    endTime: input.endTime || null,
+    timezone,
+    scheduleSlots
+  };
+
+  // The quiz's own window may be left out when slots cover the students
+  if (value.isScheduled && (scheduleSlots.length === 0 || value.startDate || value.endDate)) {
+    if (!value.startDate || !value.endDate || isNaN(new Date(value.startDate)) || isNaN(new Date(value.endDate))) {
+      return { error: 'Scheduled quizzes need a valid startDate and endDate' };
+    }
+  }
+
+  const { startsAt, endsAt } = Quiz.resolveSchedule(value);
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    return { error: 'The quiz must end after it starts' };
+  }
+
+  return { value: { ...value, startsAt, endsAt } };
+};
+
+// Validate schedule slots: each needs its own window and the students (emails) or sections
+// it is for, and a student may only be listed in one slot
+const parseScheduleSlots = (input, timezone) => {
+  if (input === undefined || input === null) return { value: [] };
+  if (!Array.isArray(input)) return { error: 'scheduleSlots must be an array' };
+
+  const listed = new Set();
+  const slots = [];
+  for (let i = 0; i < input.length; i++) {
+    const slot = input[i] || {};
+    const name = slot.label ? `Slot "${slot.label}"` : `Slot ${i + 1}`;
+
+    for (const key of ['startTime', 'endTime']) {
+      if (slot[key] && !timezoneService.isValidTime(slot[key])) {
+        return { error: `${name}: ${key} must be in 24-hour "HH:MM" format` };
+      }
+    }
+    if (!slot.startDate || !slot.endDate || isNaN(new Date(slot.startDate)) || isNaN(new Date(slot.endDate))) {
+      return { error: `${name} needs a valid startDate and endDate` };
+    }
+
+    const students = (Array.isArray(slot.students) ? slot.students : [])
+      .map(email => `${email}`.trim().toLowerCase())
+      .filter(Boolean);
+    const sections = (Array.isArray(slot.sections) ? slot.sections : [])
+      .map(section => `${section}`.trim())
+      .filter(Boolean);
+    if (students.length === 0 && sections.length === 0) {
+      return { error: `${name} must list the students or sections it is for` };
+    }
+
+    const repeated = students.find(email => listed.has(email));
+    if (repeated) return { error: `${repeated} is listed in more than one slot` };
+    students.forEach(email => listed.add(email));
+
+    const value = {
+      label: `${slot.label || ''}`.trim(),
+      students: [...new Set(students)],
+      sections: [...new Set(sections)],
+      startDate: slot.startDate,
+      startTime: slot.startTime || null,
+      endDate: slot.endDate,
+      endTime: slot.endTime || null
+    };
+    const { startsAt, endsAt } = Quiz.resolveSchedule({ ...value, isScheduled: true, timezone });
+    if (endsAt <= startsAt) return { error: `${name} must end after it starts` };
+
+    slots.push({ ...value, startsAt, endsAt });
+  }
+  return { value: slots };
+};
+
+// Resolve question-bank references and validate every question sent with a quiz
+const buildQuestions = async (userId, questions) => {
+  const resolved = await questionBankService.resolveQuizQuestions(userId, questions);
+  if (resolved.error) return { error: resolved.error };
+
+  const validatedQuestions = [];
+  const ids = new Set();
+  for (let i = 0; i < resolved.value.length; i++) {
+    const { error, value } = validateQuestion(resolved.value[i], i);
+    if (error) return { error };
+    if (value._id) {
+      if (ids.has(`${value._id}`)) return { error: `Question ${i + 1} has the same id as another question` };
+      ids.add(`${value._id}`);
+    }
+    validatedQuestions.push(value);
+  }
+  return { value: validatedQuestions };
+};
+
+// Validate the optional question-pool settings against the quiz's questions
+const parseQuestionPool = (input, questions) => {
+  if (input === undefined || input === null) return { value: undefined };
+  if (!input.enabled) return { value: { enabled: false } };
+
+  const byDifficulty = {};
+  for (const difficulty of ['easy', 'medium', 'hard']) {
+    const count = input.byDifficulty && input.byDifficulty[difficulty] !== undefined
+      ? Number(input.byDifficulty[difficulty])
+      : 0;
+    if (!Number.isInteger(count) || count < 0) {
+      return { error: `Question pool count for ${difficulty} questions must be a whole number of at least 0` };
+    }
+    const available = questions.filter(q => (q.difficulty || 'medium') === difficulty).length;
+    if (count > available) {
+      return { error: `Question pool asks for ${count} ${difficulty} questions but the quiz has only ${available}` };
+    }
+    byDifficulty[difficulty] = count;
+  }
+
+  const stratifiedCount = byDifficulty.easy + byDifficulty.medium + byDifficulty.hard;
+  const drawCount = stratifiedCount > 0 ? stratifiedCount : Number(input.drawCount);
+  if (!Number.isInteger(drawCount) || drawCount < 1) {
+    return { error: 'Question pool needs a drawCount of at least 1 or per-difficulty counts' };
+  }
+  if (drawCount > questions.length) {
+    return { error: `Question pool draws ${drawCount} questions but the quiz has only ${questions.length}` };
+  }
+
+  return { value: { enabled: true, drawCount, byDifficulty } };
+};
+
 // Get all quizzes with attempt statistics
 router.get('/results/all', protect, async (req, res) => {
   try {
@@ -86,7 +345,17 @@ router.post('/save', protect, async (req, res) => {
       startTime,
       endDate,
       endTime,
-      timezone
+      timezone,
+      scheduleSlots,
+      negativeMarking,
+      shuffleQuestions,
+      shuffleOptions,
+      questionPool,
+      shortAnswerGrading,
+      windowPolicy,
+      attemptPolicy,
+      mode,
+      resultRelease
     } = req.body;
 
     // Validate required fields
@@ -104,36 +373,75 @@ router.post('/save', protect, async (req, res) => {
       });
     }
 
-    // Validate each question
-    const validatedQuestions = [];
-    for (let i = 0; i < questions.length; i++) {
-      const q = questions[i];
+    if (windowPolicy !== undefined && !WINDOW_POLICIES.includes(windowPolicy)) {
+      return res.status(400).json({
+        success: false,
+        message: `windowPolicy must be one of: ${WINDOW_POLICIES.join(', ')}`
+      });
+    }
 
-      if (!q.question || q.question.trim() === '') {
-        return res.status(400).json({
-          success: false,
-          message: `Question ${i + 1} has empty question text`
-        });
-      }
+    if (mode !== undefined && !QUIZ_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `mode must be one of: ${QUIZ_MODES.join(', ')}`
+      });
+    }
 
-      if (q.type === 'mcq') {
-        if (!q.options || !Array.isArray(q.options) || q.options.length < 2) {
-          return res.status(400).json({
-            success: false,
-            message: `Question ${i + 1}: MCQ must have at least 2 options`
-          });
-        }
-      }
+    const negativeMarkingResult = parseNegativeMarking(negativeMarking);
+    if (negativeMarkingResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: negativeMarkingResult.error
+      });
+    }
 
-      // Handle both naming conventions: correctAnswer or answer
-      validatedQuestions.push({
-        question: q.question.trim(),
-        options: q.options || [],
-        answer: q.correctAnswer || q.answer || '',
-        explanation: q.explanation || '',
-        marks: q.marks || 1,
-        type: q.type || 'mcq',
-        difficulty: q.difficulty || 'medium'
+    // Validate each question, resolving bank references to their pinned version
+    const questionsResult = await buildQuestions(req.user._id, questions);
+    if (questionsResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: questionsResult.error
+      });
+    }
+    const validatedQuestions = questionsResult.value;
+
+    const questionPoolResult = parseQuestionPool(questionPool, validatedQuestions);
+    if (questionPoolResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: questionPoolResult.error
+      });
+    }
+
+    const shortAnswerGradingResult = parseShortAnswerGrading(shortAnswerGrading);
+    if (shortAnswerGradingResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: shortAnswerGradingResult.error
+      });
+    }
+
+    const attemptPolicyResult = parseAttemptPolicy(attemptPolicy);
+    if (attemptPolicyResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: attemptPolicyResult.error
+      });
+    }
+
+    const resultReleaseResult = parseResultRelease(resultRelease);
+    if (resultReleaseResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: resultReleaseResult.error
+      });
+    }
+
+    const scheduleResult = parseSchedule({ isScheduled, startDate, startTime, endDate, endTime, timezone, scheduleSlots });
+    if (scheduleResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleResult.error
       });
     }
 
@@ -153,12 +461,16 @@ router.post('/save', protect, async (req, res) => {
       userId: req.user._id,
       createdBy: req.user.email,
       sharedWith: [], // Initialize empty shared list
-      isScheduled: isScheduled || false,
-      startDate: startDate || null,
-      startTime: startTime || null,
-      endDate: endDate || null,
-      endTime: endTime || null,
-      timezone: timezone || 'Asia/Kolkata'
+      ...scheduleResult.value,
+      negativeMarking: negativeMarkingResult.value,
+      shuffleQuestions: !!shuffleQuestions,
+      shuffleOptions: !!shuffleOptions,
+      windowPolicy: windowPolicy || 'full-duration',
+      mode: mode || 'graded',
+      questionPool: questionPoolResult.value,
+      shortAnswerGrading: shortAnswerGradingResult.value,
+      attemptPolicy: attemptPolicyResult.value,
+      resultRelease: resultReleaseResult.value
     };
 
     const quiz = new Quiz(quizData);
@@ -183,6 +495,49 @@ router.post('/save', protect, async (req, res) => {
   }
 });
 
+// Generate quiz questions with AI (returned for review, not saved)
+router.post('/generate', protect, async (req, res) => {
+  try {
+    const quizGenerationService = require('../services/quizGenerationService');
+
+    const { error, value } = quizGenerationService.validateRequest(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    console.log('🤖 Generating quiz for user:', req.user.email, {
+      numQuestions: value.numQuestions,
+      questionType: value.questionType,
+      difficulty: value.difficulty
+    });
+
+    const result = await quizGenerationService.generate(value, { userId: req.user._id });
+
+    console.log(`✅ Generated ${result.questions.length} questions in ${result.attempts} attempt(s)`);
+
+    res.json({
+      success: true,
+      message: 'Questions generated successfully',
+      questions: result.questions,
+      meta: {
+        provider: result.provider,
+        attempts: result.attempts
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error generating quiz:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to generate quiz',
+      error: error.message,
+      details: error.details
+    });
+  }
+});
+
 // Update quiz
 router.put('/:id', protect, async (req, res) => {
   try {
@@ -200,7 +555,17 @@ router.put('/:id', protect, async (req, res) => {
       startTime,
       endDate,
       endTime,
-      timezone
+      timezone,
+      scheduleSlots,
+      negativeMarking,
+      shuffleQuestions,
+      shuffleOptions,
+      questionPool,
+      shortAnswerGrading,
+      windowPolicy,
+      attemptPolicy,
+      mode,
+      resultRelease
     } = req.body;
 
     // Prepare update data
@@ -210,26 +575,108 @@ router.put('/:id', protect, async (req, res) => {
       duration,
       difficulty,
       questionType,
-      isScheduled,
-      startDate,
-      startTime,
-      endDate,
-      endTime,
-      timezone,
+      shuffleQuestions,
+      shuffleOptions,
+      windowPolicy,
+      mode,
       updatedAt: Date.now()
     };
 
+    if (windowPolicy !== undefined && !WINDOW_POLICIES.includes(windowPolicy)) {
+      return res.status(400).json({
+        success: false,
+        message: `windowPolicy must be one of: ${WINDOW_POLICIES.join(', ')}`
+      });
+    }
+
+    if (mode !== undefined && !QUIZ_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `mode must be one of: ${QUIZ_MODES.join(', ')}`
+      });
+    }
+
+    // Schedule changes are merged with the saved schedule and resolved to UTC again
+    const scheduleInput = { isScheduled, startDate, startTime, endDate, endTime, timezone, scheduleSlots };
+    if (Object.values(scheduleInput).some(value => value !== undefined)) {
+      const existing = await Quiz.findOne({ _id: req.params.id, userId: req.user._id })
+        .select('isScheduled startDate startTime endDate endTime timezone scheduleSlots');
+      const saved = existing ? existing.toObject() : {};
+      const merged = {};
+      for (const [key, value] of Object.entries(scheduleInput)) {
+        merged[key] = value !== undefined ? value : saved[key];
+      }
+
+      const scheduleResult = parseSchedule(merged);
+      if (scheduleResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: scheduleResult.error
+        });
+      }
+      Object.assign(updateData, scheduleResult.value);
+    }
+
+    if (negativeMarking !== undefined) {
+      const negativeMarkingResult = parseNegativeMarking(negativeMarking);
+      if (negativeMarkingResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: negativeMarkingResult.error
+        });
+      }
+      updateData.negativeMarking = negativeMarkingResult.value;
+    }
+
+    if (shortAnswerGrading !== undefined) {
+      // Settings not sent keep their saved values
+      let input = shortAnswerGrading;
+      if (input && typeof input === 'object') {
+        const existing = await Quiz.findOne({ _id: req.params.id, userId: req.user._id }).select('shortAnswerGrading');
+        input = { ...(existing ? existing.toObject().shortAnswerGrading : {}), ...input };
+      }
+      const shortAnswerGradingResult = parseShortAnswerGrading(input);
+      if (shortAnswerGradingResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: shortAnswerGradingResult.error
+        });
+      }
+      updateData.shortAnswerGrading = shortAnswerGradingResult.value;
+    }
+
+    if (attemptPolicy !== undefined) {
+      const attemptPolicyResult = parseAttemptPolicy(attemptPolicy);
+      if (attemptPolicyResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: attemptPolicyResult.error
+        });
+      }
+      updateData.attemptPolicy = attemptPolicyResult.value;
+    }
+
+    if (resultRelease !== undefined) {
+      const resultReleaseResult = parseResultRelease(resultRelease);
+      if (resultReleaseResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: resultReleaseResult.error
+        });
+      }
+      updateData.resultRelease = resultReleaseResult.value;
+    }
+
     // If updating questions, validate and process them
     if (questions && Array.isArray(questions)) {
-      const validatedQuestions = questions.map(q => ({
-        question: q.question.trim(),
-        options: q.options || [],
-        answer: q.correctAnswer || q.answer || '',
-        explanation: q.explanation || '',
-        marks: q.marks || 1,
-        type: q.type || 'mcq',
-        difficulty: q.difficulty || 'medium'
-      }));
+      const questionsResult = await buildQuestions(req.user._id, questions);
+      if (questionsResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: questionsResult.error
+        });
+      }
+      const validatedQuestions = questionsResult.value;
 
       // Calculate total marks
       const totalMarks = validatedQuestions.reduce((sum, q) => sum + (q.marks || 1), 0);
@@ -239,6 +686,26 @@ router.put('/:id', protect, async (req, res) => {
       updateData.totalMarks = totalMarks;
     }
 
+    // Pool counts are checked against the new questions, or the saved ones when unchanged;
+    // the saved pool is checked again when only the questions change
+    if (questionPool !== undefined || updateData.questions) {
+      let poolQuestions = updateData.questions;
+      let poolSettings = questionPool;
+      if (!poolQuestions || poolSettings === undefined) {
+        const existing = await Quiz.findOne({ _id: req.params.id, userId: req.user._id }).select('questions questionPool');
+        if (!poolQuestions) poolQuestions = existing ? existing.questions : [];
+        if (poolSettings === undefined) poolSettings = existing ? existing.questionPool : undefined;
+      }
+      const questionPoolResult = parseQuestionPool(poolSettings, poolQuestions);
+      if (questionPoolResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: questionPoolResult.error
+        });
+      }
+      if (questionPool !== undefined) updateData.questionPool = questionPoolResult.value;
+    }
+
     const quiz = await Quiz.findOneAndUpdate(
       { _id: req.params.id, userId: req.user._id },
       updateData,
@@ -268,6 +735,67 @@ router.put('/:id', protect, async (req, res) => {
   }
 });
 
+// Re-pin bank questions to their latest version (all of them, or those in bankQuestionIds)
+router.post('/:id/questions/sync', protect, async (req, res) => {
+  try {
+    const Question = require('../models/Question');
+    const { QUESTION_CONTENT_KEYS } = require('../models/questionContent');
+    const quiz = await Quiz.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    const requested = Array.isArray(req.body.bankQuestionIds) ? req.body.bankQuestionIds.map(String) : null;
+    const linked = quiz.questions.filter(q =>
+      q.bankQuestionId && (!requested || requested.includes(q.bankQuestionId.toString()))
+    );
+    const bankQuestions = await Question.find({
+      _id: { $in: linked.map(q => q.bankQuestionId) },
+      userId: req.user._id
+    });
+    const byId = new Map(bankQuestions.map(q => [q._id.toString(), q]));
+
+    // Update in place so question ids (and attempts referencing them) stay valid;
+    // marks set on the quiz are kept
+    const updated = [];
+    for (const question of linked) {
+      const bankQuestion = byId.get(question.bankQuestionId.toString());
+      if (!bankQuestion || question.bankVersion === bankQuestion.version) continue;
+
+      const content = bankQuestion.getVersionContent();
+      for (const key of QUESTION_CONTENT_KEYS) {
+        if (key !== 'marks') question.set(key, content[key]);
+      }
+      updated.push({
+        bankQuestionId: bankQuestion._id,
+        fromVersion: question.bankVersion,
+        toVersion: bankQuestion.version
+      });
+      question.bankVersion = bankQuestion.version;
+    }
+
+    if (updated.length > 0) {
+      await quiz.save();
+    }
+
+    res.json({
+      success: true,
+      message: `${updated.length} question(s) updated to the latest bank version`,
+      updated,
+      quiz
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // Delete quiz
 router.delete('/:id', protect, async (req, res) => {
   try {
@@ -359,6 +887,12 @@ router.post('/share', protect, async (req, res) => {
       }
     }
 
+    // Sharing publishes the quiz (drafts generated from documents start unpublished)
+    if (shared.length > 0 && !quiz.isPublished) {
+      quiz.isPublished = true;
+      quiz.publishedAt = new Date();
+    }
+
     // Save the updated quiz
     await quiz.save();
 
@@ -406,7 +940,7 @@ router.get('/student/shared', async (req, res) => {
     const sharedQuizzes = await Quiz.find({
       sharedWith: normalizedEmail
     })
-      .select('title description numQuestions totalMarks duration difficulty questionType createdAt createdBy isScheduled startDate startTime endDate endTime timezone')
+      .select('title description numQuestions totalMarks duration difficulty questionType createdAt createdBy isScheduled startDate startTime endDate endTime timezone questionPool')
       .sort('-createdAt');
 
     res.json({
@@ -446,6 +980,11 @@ router.get('/:id/results', protect, async (req, res) => {
       teacherId: req.user._id
     }).sort('-submittedAt');
 
+    // Practice attempts are reported on their own and left out of the quiz's statistics
+    const gradedAttempts = attempts.filter(a => a.mode !== 'practice');
+    const practiceAttempts = attempts.filter(a => a.mode === 'practice');
+    const finishedAttempts = gradedAttempts.filter(a => ['submitted', 'graded', 'blocked'].includes(a.status));
+
     res.json({
       success: true,
       quiz: {
@@ -453,9 +992,23 @@ router.get('/:id/results', protect, async (req, res) => {
         title: quiz.title,
         description: quiz.description,
         numQuestions: quiz.questions.length,
-        totalMarks: quiz.totalMarks
+        questionsPerAttempt: quiz.getQuestionsPerAttempt(),
+        totalMarks: quiz.totalMarks,
+        negativeMarking: quiz.negativeMarking,
+        questionPool: quiz.questionPool,
+        mode: quiz.mode || 'graded',
+        attemptPolicy: attemptPolicyService.getPolicy(quiz)
       },
-      attempts
+      attempts: gradedAttempts,
+      // One row per student with the score that counts under the quiz's scoring policy
+      studentScores: attemptPolicyService.summarizeByStudent(quiz, finishedAttempts),
+      summary: quizAnalyticsService.getSummary(finishedAttempts),
+      questionStats: quizAnalyticsService.getQuestionStats(quiz, finishedAttempts),
+      gradingReview: gradingConsistencyService.review(quiz, finishedAttempts),
+      practice: {
+        attempts: practiceAttempts,
+        summary: quizAnalyticsService.getSummary(practiceAttempts)
+      }
     });
   } catch (error) {
     res.status(400).json({
@@ -495,10 +1048,14 @@ router.get('/:id/results/download', protect, async (req, res) => {
       });
     }
 
+    // Practice attempts go to a sheet of their own
+    const gradedAttempts = attempts.filter(a => a.mode !== 'practice');
+    const practiceAttempts = attempts.filter(a => a.mode === 'practice');
+
     const detailed = req.query.detailed === 'true';
     const excelBuffer = detailed
-      ? excelService.generateDetailedQuizResultsExcel(quiz.title, quiz, attempts)
-      : excelService.generateQuizResultsExcel(quiz.title, attempts);
+      ? excelService.generateDetailedQuizResultsExcel(quiz.title, quiz, gradedAttempts, practiceAttempts)
+      : excelService.generateQuizResultsExcel(quiz.title, gradedAttempts, quiz, practiceAttempts);
 
     const filename = `${quiz.title.replace(/[^a-z0-9]/gi, '_')}_results.xlsx`;
 
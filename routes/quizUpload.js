@@ -0,0 +1,174 @@
+const express = require('express');
+const multer = require('multer');
+const mongoose = require('mongoose');
+const Quiz = require('../models/Quiz');
+const Folder = require('../models/Folder');
+const { protect } = require('../middleware/auth');
+const documentService = require('../services/documentService');
+const quizGenerationService = require('../services/quizGenerationService');
+const { validateQuestion } = require('../services/questionTypes');
+
+const router = express.Router();
+
+const MAX_FILE_SIZE = 15 * 1024 * 1024; // 15 MB
+// Generation runs inside the request, so it is bounded: questions come from at most MAX_CHUNKS
+// parts of the document, generated in parallel and repaired at most once, so the request waits
+// for at most two LLM timeouts
+const MAX_CHUNKS = 4;
+const GENERATION_ATTEMPTS = 2;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!documentService.getDocumentType(file.originalname)) {
+      return cb(new Error('Unsupported file type. Upload a PDF, DOCX, PPTX or TXT file'));
+    }
+    cb(null, true);
+  }
+});
+
+// Wrap multer so upload errors come back as JSON instead of hitting the global handler
+const uploadDocument = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `File is too large. Maximum size is ${MAX_FILE_SIZE / (1024 * 1024)} MB`
+        : err.message;
+      return res.status(400).json({ success: false, message });
+    }
+    next();
+  });
+};
+
+// Generate a draft quiz from an uploaded document (PDF, DOCX, PPTX, TXT)
+router.post('/upload', protect, uploadDocument, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A document file is required'
+      });
+    }
+
+    const fileName = req.file.originalname;
+    const fileType = documentService.getDocumentType(fileName);
+
+    // Multipart fields arrive as strings; topic is satisfied by the document itself
+    const { error, value } = quizGenerationService.validateRequest({
+      topic: fileName,
+      numQuestions: req.body.numQuestions,
+      questionType: req.body.questionType,
+      difficulty: req.body.difficulty,
+      marksPerQuestion: req.body.marksPerQuestion
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Checked before any generation is paid for
+    const folderId = req.body.folderId || null;
+    if (folderId) {
+      if (!mongoose.isValidObjectId(folderId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'folderId is not a valid id'
+        });
+      }
+      if (!(await Folder.exists({ _id: folderId, userId: req.user._id }))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Folder not found'
+        });
+      }
+    }
+
+    console.log('📄 Generating quiz from document:', fileName, 'for user:', req.user.email);
+
+    const sections = await documentService.extractSections(req.file.buffer, fileName);
+    if (sections.length === 0) {
+      return res.status(422).json({
+        success: false,
+        message: 'No readable text was found in the document'
+      });
+    }
+
+    const plan = documentService.planChunks(documentService.chunkSections(sections), value.numQuestions, MAX_CHUNKS);
+    const results = await Promise.all(plan.map(chunk => quizGenerationService.generate({
+      ...value,
+      topic: fileName,
+      sourceText: chunk.text,
+      numQuestions: chunk.numQuestions,
+      sources: chunk.sections.map(s => s.label).filter((l, i, all) => all.indexOf(l) === i)
+    }, { userId: req.user._id, maxAttempts: GENERATION_ATTEMPTS })));
+    const questions = [];
+
+    for (const [i, chunk] of plan.entries()) {
+      for (const q of results[i].questions) {
+        const section = chunk.sections.find(s => s.label === q.source);
+        // Normalize drafts the same way /save does, so they store the same answer keys
+        const { error: questionError, value: question } = validateQuestion({
+          ...q,
+          source: {
+            fileName,
+            kind: section.kind,
+            index: section.index,
+            label: section.label
+          }
+        }, questions.length);
+        if (questionError) {
+          return res.status(422).json({
+            success: false,
+            message: `Generated questions could not be used: ${questionError}`
+          });
+        }
+        questions.push(question);
+      }
+    }
+
+    const title = (req.body.title || fileName.replace(/\.[^.]+$/, '')).trim();
+
+    const quiz = new Quiz({
+      title,
+      description: (req.body.description || `Draft generated from ${fileName}`).trim(),
+      questions,
+      duration: parseInt(req.body.duration, 10) || 30,
+      difficulty: value.difficulty,
+      questionType: value.questionType,
+      userId: req.user._id,
+      folderId,
+      createdBy: req.user.email,
+      sharedWith: [],
+      isPublished: false,
+      generatedFrom: {
+        fileName,
+        fileType,
+        generatedAt: new Date()
+      }
+    });
+
+    await quiz.save();
+
+    console.log('✅ Draft quiz saved from document. ID:', quiz._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Draft quiz generated. Review and edit it before sharing.',
+      quizId: quiz._id,
+      quiz
+    });
+  } catch (error) {
+    console.error('❌ Error generating quiz from document:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to generate quiz from document',
+      error: error.message,
+      details: error.details
+    });
+  }
+});
+
+module.exports = router;
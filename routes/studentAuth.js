@@ -290,28 +290,60 @@ router.get('/quizzes', verifyStudentToken, async (req, res) => {
 
     console.log('✅ Quizzes found for student:', quizzes.length);
 
+    // The student's section in each teacher's list decides which schedule slot applies
+    const rosterService = require('../services/rosterService');
+    const attemptPolicyService = require('../services/attemptPolicyService');
+    const resultReleaseService = require('../services/resultReleaseService');
+    const studentContexts = await rosterService.getStudentContexts(
+      [...new Set(quizzes.map(quiz => `${quiz.userId}`))],
+      studentEmail
+    );
+
     // Get attempt status for each quiz
     const quizzesWithStatus = await Promise.all(
       quizzes.map(async (quiz) => {
-        const attempt = await QuizAttempt.findOne({
+        const attempts = await QuizAttempt.find({
           quizId: quiz._id,
           studentEmail: studentEmail
         }).sort('-createdAt');
+        const attempt = attempts[0];
+        const eligibility = attemptPolicyService.getEligibility(quiz, attempts);
+        const accessibility = quiz.isAccessible(studentContexts.get(`${quiz.userId}`));
+        // Scores stay hidden until the quiz's release policy allows them
+        const showScore = !attempt || resultReleaseService.getVisibility(quiz, attempt).showScore;
 
         return {
           id: quiz._id,
           title: quiz.title,
           description: quiz.description || '',
           duration: quiz.duration,
-          totalMarks: quiz.totalMarks,
-          questionCount: quiz.questions?.length || 0,
+          mode: quiz.mode || 'graded',
+          totalMarks: attempt?.maxMarks || quiz.getMarksPerAttempt(),
+          questionCount: quiz.getQuestionsPerAttempt(),
           createdAt: quiz.createdAt,
           createdBy: quiz.createdBy,
+          // This student's window: their slot's when one applies
+          schedule: quiz.isScheduled ? {
+            slot: accessibility.slot || null,
+            startsAt: accessibility.startsAt || null,
+            endsAt: accessibility.endsAt || accessibility.endedAt || null,
+            timezone: quiz.timezone
+          } : null,
+          isAccessible: accessibility.accessible,
+          accessMessage: accessibility.message,
           attemptStatus: attempt ? attempt.status : 'not_started',
           attemptId: attempt?._id,
-          score: attempt?.totalMarks,
+          attemptNumber: attempt?.attemptNumber,
+          maxAttempts: eligibility.maxAttempts,
+          attemptsUsed: eligibility.attemptsUsed,
+          attemptsRemaining: eligibility.attemptsRemaining,
+          nextAttemptAt: eligibility.nextAttemptAt,
+          canStartAttempt: eligibility.canStart && accessibility.accessible,
+          countedScore: showScore ? attemptPolicyService.getCountedScore(quiz, attempts) : null,
+          score: showScore ? attempt?.totalMarks : null,
           reason: attempt?.violationReason,
-          percentage: attempt?.percentage,
+          percentage: showScore ? attempt?.percentage : null,
+          resultsReleased: showScore,
           submittedAt: attempt?.submittedAt
         };
       })
@@ -5,7 +5,15 @@ const jwt = require('jsonwebtoken');
 const StudentAuth = require('../models/StudentAuth');
 const Quiz = require('../models/Quiz');
 const QuizAttempt = require('../models/QuizAttempt');
-const gradingService = require('../services/gradingService');
+const gradingQueue = require('../services/gradingQueue');
+const gradingEngine = require('../services/gradingEngine');
+const attemptSweeper = require('../services/attemptSweeper');
+const attemptLayoutService = require('../services/attemptLayoutService');
+const answerAutosaveService = require('../services/answerAutosaveService');
+const offlineSyncService = require('../services/offlineSyncService');
+const rosterService = require('../services/rosterService');
+const attemptPolicyService = require('../services/attemptPolicyService');
+const resultReleaseService = require('../services/resultReleaseService');
 
 // Middleware to verify student token (duplicated here for completeness)
 const verifyStudentToken = async (req, res, next) => {
@@ -75,8 +83,9 @@ router.get('/quiz/:quizId', verifyStudentToken, async (req, res) => {
 
     console.log('✅ Quiz found:', quiz.title, 'Questions:', quiz.questions.length);
 
-    // Check scheduling constraints
-    const accessibility = quiz.isAccessible();
+    // Check scheduling constraints against the student's own time slot
+    const studentContext = await rosterService.getStudentContext(quiz.userId, student.email);
+    const accessibility = quiz.isAccessible(studentContext);
     if (!accessibility.accessible) {
       console.log('🚫 [ACCESS DENIED] Quiz not accessible:', accessibility.message);
       return res.status(403).json({
@@ -84,7 +93,8 @@ router.get('/quiz/:quizId', verifyStudentToken, async (req, res) => {
         message: accessibility.message,
         isScheduled: true,
         startsAt: accessibility.startsAt,
-        endedAt: accessibility.endedAt
+        endedAt: accessibility.endedAt,
+        slot: accessibility.slot
       });
     }
 
@@ -93,6 +103,9 @@ router.get('/quiz/:quizId', verifyStudentToken, async (req, res) => {
       quizId: quizId,
       studentEmail: student.email.toLowerCase()
     }).sort('-createdAt');
+    const activeAttempt = existingAttempt && ['started', 'in-progress'].includes(existingAttempt.status)
+      ? existingAttempt
+      : null;
 
     res.json({
       success: true,
@@ -100,17 +113,16 @@ router.get('/quiz/:quizId', verifyStudentToken, async (req, res) => {
         id: quiz._id,
         title: quiz.title,
         description: quiz.description,
-        questions: quiz.questions.map(q => ({
-          id: q._id,
-          question: q.question,
-          type: q.type,
-          options: q.options || [],
-          marks: q.marks || 1,
-          difficulty: q.difficulty
-        })),
-        numQuestions: quiz.numQuestions,
-        totalMarks: quiz.totalMarks,
+        // An attempt in progress keeps its own questions and order; pooled quizzes only
+        // reveal questions once an attempt has drawn them
+        questions: activeAttempt || !quiz.questionPool?.enabled
+          ? attemptLayoutService.presentQuiz(quiz, activeAttempt)
+          : [],
+        numQuestions: quiz.getQuestionsPerAttempt(),
+        totalMarks: activeAttempt ? activeAttempt.maxMarks : quiz.getMarksPerAttempt(),
+        negativeMarking: quiz.negativeMarking,
         duration: quiz.duration,
+        mode: quiz.mode || 'graded',
         difficulty: quiz.difficulty,
         questionType: quiz.questionType,
         createdAt: quiz.createdAt,
@@ -121,7 +133,7 @@ router.get('/quiz/:quizId', verifyStudentToken, async (req, res) => {
         status: existingAttempt.status,
         startedAt: existingAttempt.startedAt,
         submittedAt: existingAttempt.submittedAt,
-        score: existingAttempt.totalMarks
+        score: resultReleaseService.getVisibility(quiz, existingAttempt).showScore ? existingAttempt.totalMarks : null
       } : null
     });
 
@@ -135,14 +147,49 @@ router.get('/quiz/:quizId', verifyStudentToken, async (req, res) => {
   }
 });
 
+// Resume an attempt in progress, binding it to the device first when it is taken offline
+const resumeAttempt = async (res, attempt, quiz, { offline, deviceId, deviceKey }) => {
+  let offlinePackage;
+  if (offline) {
+    const issued = offlineSyncService.issuePackage(attempt, quiz, deviceId, deviceKey.value);
+    if (issued.error) {
+      return res.status(409).json({
+        success: false,
+        message: issued.error
+      });
+    }
+    await attempt.save();
+    offlinePackage = issued.value;
+  }
+
+  return res.json({
+    success: true,
+    message: 'Resuming existing attempt',
+    attempt: {
+      id: attempt._id,
+      mode: attempt.mode,
+      attemptNumber: attempt.attemptNumber,
+      status: attempt.status,
+      startedAt: attempt.startedAt,
+      deadline: attempt.getDeadline(),
+      timeRemaining: attempt.timeRemaining,
+      answers: attempt.savedAnswers || []
+    },
+    questions: attemptLayoutService.presentQuiz(quiz, attempt),
+    offline: offlinePackage
+  });
+};
+
 // ✅ Start quiz attempt - REMOVED /student-auth prefix
 router.post('/quiz/start', verifyStudentToken, async (req, res) => {
   try {
-    const { quizId } = req.body;
+    // `offline: true` with the app's `deviceId` and `devicePublicKey` (RSA, PEM) also returns the
+    // attempt as an offline package
+    const { quizId, offline = false, deviceId, devicePublicKey } = req.body;
     const student = req.student;
 
     console.log('🔵 [START QUIZ] Student:', student.email);
-    console.log('📦 Request body:', { quizId });
+    console.log('📦 Request body:', { quizId, offline });
 
     if (!quizId) {
       return res.status(400).json({
@@ -151,6 +198,21 @@ router.post('/quiz/start', verifyStudentToken, async (req, res) => {
       });
     }
 
+    if (offline && !offlineSyncService.isValidDeviceId(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A device ID is required to download an attempt for offline use'
+      });
+    }
+
+    const deviceKey = offline ? offlineSyncService.parseDeviceKey(devicePublicKey) : {};
+    if (deviceKey.error) {
+      return res.status(400).json({
+        success: false,
+        message: deviceKey.error
+      });
+    }
+
     // Find quiz
     const quiz = await Quiz.findOne({
       _id: quizId,
@@ -170,50 +232,68 @@ router.post('/quiz/start', verifyStudentToken, async (req, res) => {
 
     console.log('✅ Quiz found:', quiz.title, 'Questions:', quiz.questions.length);
 
-    // Check if student has already submitted this quiz
-    const submittedAttempt = await QuizAttempt.findOne({
+    // Every attempt of this student at the quiz, newest first
+    const previousAttempts = await QuizAttempt.find({
       quizId: quizId,
-      studentEmail: student.email.toLowerCase(),
-      status: { $in: ['submitted', 'graded'] }
-    });
-
-    if (submittedAttempt) {
-      return res.status(400).json({
-        success: false,
-        message: 'You have already submitted this quiz'
-      });
-    }
+      studentEmail: student.email.toLowerCase()
+    }).sort('-createdAt');
 
     // Check for existing in-progress attempt
-    let existingAttempt = await QuizAttempt.findOne({
-      quizId: quizId,
-      studentEmail: student.email.toLowerCase(),
-      status: { $in: ['started', 'in-progress'] }
-    });
+    let existingAttempt = previousAttempts.find(a => ['started', 'in-progress'].includes(a.status));
 
     if (existingAttempt) {
-      // Check if expired
+      // An offline attempt keeps waiting for its answer bundle after the time limit
+      if (existingAttempt.isExpired() && offlineSyncService.isAwaitingUpload(existingAttempt)) {
+        return res.status(409).json({
+          success: false,
+          message: 'This attempt was taken offline; upload its answers from the device it was downloaded on',
+          attemptId: existingAttempt._id
+        });
+      }
+
+      // Time ran out: submit what was saved instead of leaving the attempt open
       if (existingAttempt.isExpired()) {
-        existingAttempt.status = 'expired';
-        existingAttempt.submittedAt = new Date();
-        await existingAttempt.save();
-      } else {
-        // Resume existing attempt
-        return res.json({
-          success: true,
-          message: 'Resuming existing attempt',
-          attempt: {
-            id: existingAttempt._id,
-            status: existingAttempt.status,
-            startedAt: existingAttempt.startedAt,
-            timeRemaining: existingAttempt.timeRemaining,
-            answers: existingAttempt.answers || []
-          }
+        await attemptSweeper.expireAttempt(existingAttempt);
+        gradingQueue.tick();
+
+        return res.status(400).json({
+          success: false,
+          message: 'Time is up for this quiz; your saved answers were submitted automatically',
+          attemptId: existingAttempt._id
         });
+      } else {
+        return resumeAttempt(res, existingAttempt, quiz, { offline, deviceId, deviceKey });
       }
     }
 
-    // Create new attempt
+    // Retakes are limited by the quiz's attempt policy
+    const eligibility = attemptPolicyService.getEligibility(quiz, previousAttempts);
+    if (!eligibility.canStart) {
+      return res.status(400).json({
+        success: false,
+        message: eligibility.message,
+        attemptsRemaining: eligibility.attemptsRemaining,
+        nextAttemptAt: eligibility.nextAttemptAt
+      });
+    }
+
+    // New attempts can only start inside the student's window
+    const studentContext = await rosterService.getStudentContext(quiz.userId, student.email);
+    const accessibility = quiz.isAccessible(studentContext);
+    if (!accessibility.accessible) {
+      return res.status(403).json({
+        success: false,
+        message: accessibility.message,
+        isScheduled: true,
+        startsAt: accessibility.startsAt,
+        endedAt: accessibility.endedAt,
+        slot: accessibility.slot
+      });
+    }
+
+    // Create new attempt with its own question draw and order
+    const layout = attemptLayoutService.createLayout(quiz);
+    const startedAt = new Date();
     const attempt = new QuizAttempt({
       quizId: quizId,
       teacherId: quiz.userId,
@@ -224,27 +304,62 @@ router.post('/quiz/start', verifyStudentToken, async (req, res) => {
       studentBranch: student.branch || '',
       studentYear: student.year || '',
       studentSemester: student.semester || '',
-      maxMarks: quiz.totalMarks,
+      mode: quiz.mode || 'graded',
+      attemptNumber: attemptPolicyService.nextAttemptNumber(previousAttempts, quiz.mode || 'graded'),
+      maxMarks: attemptLayoutService.getMaxMarks(quiz, layout),
       duration: quiz.duration || 30,
       status: 'started',
-      startedAt: new Date()
+      startedAt,
+      // Practice attempts are untimed
+      ...(quiz.mode === 'practice' ? {} : quiz.getAttemptTiming(startedAt, studentContext)),
+      ...layout
     });
 
-    await attempt.save();
+    // A new attempt is never bound to another device, so issuing cannot fail here
+    const offlinePackage = offline ? offlineSyncService.issuePackage(attempt, quiz, deviceId, deviceKey.value).value : undefined;
+
+    try {
+      await attempt.save();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Another request (e.g. a double tap) created this attempt number first; resume that attempt
+      const concurrent = await QuizAttempt.findOne({
+        quizId: quizId,
+        studentEmail: student.email.toLowerCase(),
+        mode: attempt.mode,
+        attemptNumber: attempt.attemptNumber,
+        status: { $in: ['started', 'in-progress'] }
+      });
+      if (!concurrent) {
+        return res.status(409).json({
+          success: false,
+          message: 'Another attempt was started at the same time; please try again'
+        });
+      }
+      console.log('🔁 Quiz attempt started twice; resuming', concurrent._id);
+      return resumeAttempt(res, concurrent, quiz, { offline, deviceId, deviceKey });
+    }
 
-    console.log('✅ Quiz attempt created:', attempt._id);
+    console.log('✅ Quiz attempt created:', attempt._id, offline ? '(offline package issued)' : '');
 
     res.json({
       success: true,
       message: 'Quiz attempt started successfully',
       attempt: {
         id: attempt._id,
+        mode: attempt.mode,
+        attemptNumber: attempt.attemptNumber,
+        attemptsRemaining: eligibility.attemptsRemaining === null ? null : eligibility.attemptsRemaining - 1,
         status: attempt.status,
         startedAt: attempt.startedAt,
         duration: attempt.duration,
+        deadline: attempt.getDeadline(),
         maxMarks: attempt.maxMarks,
         timeRemaining: attempt.timeRemaining
-      }
+      },
+      questions: attemptLayoutService.presentQuiz(quiz, attempt),
+      offline: offlinePackage
     });
 
   } catch (error) {
@@ -301,15 +416,47 @@ router.post('/quiz/save-progress', verifyStudentToken, async (req, res) => {
       });
     }
 
-    // Update answers
-    attempt.answers = answers || [];
-    attempt.timeSpent = Math.floor((new Date() - attempt.startedAt) / 1000);
+    if (attemptSweeper.isPastGrace(attempt)) {
+      await attemptSweeper.expireAttempt(attempt);
+      gradingQueue.tick();
 
-    await attempt.save();
+      return res.status(403).json({
+        success: false,
+        message: 'Time is up for this attempt; your saved answers were submitted automatically'
+      });
+    }
+
+    // Graded if the attempt runs out of time before it is submitted. Answers saved with
+    // /quiz/save-answer after this request arrived are kept; clients on several devices should
+    // use /quiz/save-answer instead.
+    const quiz = await Quiz.findById(attempt.quizId);
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    const result = await answerAutosaveService.saveSnapshot(attempt, quiz, answers || []);
+
+    if (result.status === 'closed') {
+      return res.status(404).json({
+        success: false,
+        message: 'Attempt not found or already submitted'
+      });
+    }
+
+    if (result.status === 'conflict') {
+      return res.status(409).json({
+        success: false,
+        message: 'The attempt is being saved from elsewhere; please retry'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Progress saved successfully'
+      message: 'Progress saved successfully',
+      changed: result.changed
     });
 
   } catch (error) {
@@ -322,10 +469,12 @@ router.post('/quiz/save-progress', verifyStudentToken, async (req, res) => {
   }
 });
 
-// ✅ Submit quiz - REMOVED /student-auth prefix
-router.post('/quiz/submit', verifyStudentToken, async (req, res) => {
+// Checkpoint of an offline attempt: the SHA-256 `digest` of the answer bundle payload the device
+// holds now. The apps send one whenever they are online; a bundle uploaded after the time limit
+// is only accepted if its checkpoint arrived before it, and counts as completed at that moment.
+router.post('/quiz/offline-checkpoint', verifyStudentToken, async (req, res) => {
   try {
-    const { attemptId, answers, isAutoSubmit = false } = req.body;
+    const { attemptId, digest } = req.body;
     const student = req.student;
 
     if (!attemptId) {
@@ -335,7 +484,6 @@ router.post('/quiz/submit', verifyStudentToken, async (req, res) => {
       });
     }
 
-    // Find attempt
     const attempt = await QuizAttempt.findOne({
       _id: attemptId,
       studentEmail: student.email.toLowerCase(),
@@ -349,111 +497,398 @@ router.post('/quiz/submit', verifyStudentToken, async (req, res) => {
       });
     }
 
-    // Get quiz for grading
-    const quiz = await Quiz.findById(attempt.quizId);
+    const checkpoint = offlineSyncService.recordCheckpoint(attempt, digest);
+    if (checkpoint.error) {
+      return res.status(checkpoint.status).json({
+        success: false,
+        message: checkpoint.error
+      });
+    }
 
-    if (!quiz) {
+    await attempt.save();
+
+    res.json({
+      success: true,
+      receivedAt: checkpoint.value.receivedAt,
+      uploadDeadline: checkpoint.value.uploadDeadline
+    });
+  } catch (error) {
+    console.error('❌ Offline checkpoint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record checkpoint',
+      error: error.message
+    });
+  }
+});
+
+// Save one answer. `seq` (a number the client increases with every change) and/or
+// `clientTimestamp` order the saves: older ones are rejected with 409 and the stored answer.
+// Sending the same `requestId` again, e.g. when a mobile network drops the response, is safe.
+router.post('/quiz/save-answer', verifyStudentToken, async (req, res) => {
+  try {
+    const { attemptId, questionId, answer, seq, clientTimestamp, requestId } = req.body;
+    const student = req.student;
+
+    if (!attemptId || !questionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attempt ID and question ID are required'
+      });
+    }
+
+    if (seq === undefined && clientTimestamp === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'A sequence number (seq) or clientTimestamp is required'
+      });
+    }
+
+    if (seq !== undefined && (!Number.isInteger(seq) || seq < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'seq must be a whole number of at least 0'
+      });
+    }
+
+    if (clientTimestamp !== undefined && isNaN(new Date(clientTimestamp))) {
+      return res.status(400).json({
+        success: false,
+        message: 'clientTimestamp must be a valid date'
+      });
+    }
+
+    const attempt = await QuizAttempt.findOne({
+      _id: attemptId,
+      studentEmail: student.email.toLowerCase(),
+      status: { $in: ['started', 'in-progress'] }
+    });
+
+    if (!attempt) {
       return res.status(404).json({
         success: false,
-        message: 'Quiz not found'
+        message: 'Attempt not found or already submitted'
       });
     }
 
-    // Map student answers and start grading
-    const formattedAnswers = Array.isArray(answers) ? answers : [];
-    let totalScore = 0;
-    const finalQuestionResults = [];
+    if (attemptSweeper.isPastGrace(attempt)) {
+      await attemptSweeper.expireAttempt(attempt);
+      gradingQueue.tick();
 
-    console.log(`📊 [GRADING] Starting evaluation for attempt: ${attemptId}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Time is up for this attempt; your saved answers were submitted automatically'
+      });
+    }
 
-    for (const question of quiz.questions) {
-      const qId = question._id.toString();
-      const studentAnswerObj = formattedAnswers.find(a => a.questionId === qId);
-      const studentAnswer = studentAnswerObj ? studentAnswerObj.studentAnswer : '';
+    const quiz = await Quiz.findById(attempt.quizId);
+    const inAttempt = quiz && attemptLayoutService.getAttemptQuestions(quiz, attempt)
+      .some(q => attemptLayoutService.questionId(q) === `${questionId}`);
 
-      console.log(`🔍 Checking Question ${qId}: Student Answer = "${studentAnswer}"`);
+    if (!inAttempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found in this attempt'
+      });
+    }
 
-      let grade = { isCorrect: false, marks: 0, feedback: '' };
+    const result = await answerAutosaveService.saveAnswer(attempt, quiz, {
+      questionId,
+      answer,
+      seq,
+      clientTimestamp,
+      requestId: requestId ? `${requestId}` : undefined
+    });
 
-      if (question.type === 'short-answer') {
-        try {
-          const aiGrade = await gradingService.gradeShortAnswer(question.question, question.answer, studentAnswer);
-          grade.isCorrect = aiGrade.isCorrect;
-          grade.marks = aiGrade.marks;
-          grade.feedback = aiGrade.feedback;
-        } catch (e) {
-          console.error(`❌ AI Grading failed for ${qId}:`, e);
-          grade.feedback = 'AI Grading error fallback.';
-        }
-      } else {
-        // MCQ / TrueFalse
-        const sAns = gradingService.normalizeMCQAnswer(studentAnswer);
-        const cAns = gradingService.normalizeMCQAnswer(question.answer);
-
-        console.log(`   Normalize: Student="${sAns}", Correct="${cAns}"`);
-
-        let isCorrect = (sAns === cAns);
-
-        // Extended matching for letters vs text
-        if (!isCorrect && question.options?.length > 0) {
-          const letterMap = { 'A': 0, 'B': 1, 'C': 2, 'D': 3 };
-          if (letterMap[cAns] !== undefined) {
-            const correctText = gradingService.normalizeMCQAnswer(question.options[letterMap[cAns]]);
-            if (sAns === correctText) isCorrect = true;
-          }
-          if (!isCorrect && letterMap[sAns] !== undefined) {
-            const studentText = gradingService.normalizeMCQAnswer(question.options[letterMap[sAns]]);
-            if (studentText === cAns) isCorrect = true;
-          }
+    if (result.status === 'stale') {
+      return res.status(409).json({
+        success: false,
+        stale: true,
+        message: 'A newer answer to this question has already been saved',
+        current: {
+          questionId: result.current.questionId,
+          answer: result.current.studentAnswer,
+          seq: result.current.seq,
+          clientTimestamp: result.current.clientTimestamp
         }
+      });
+    }
 
-        grade.isCorrect = isCorrect;
-        grade.marks = isCorrect ? (question.marks || 1) : 0;
-        grade.feedback = isCorrect ? 'Optimal response.' : 'Response mismatch.';
+    if (result.status === 'closed') {
+      return res.status(404).json({
+        success: false,
+        message: 'Attempt not found or already submitted'
+      });
+    }
+
+    if (result.status === 'conflict') {
+      return res.status(409).json({
+        success: false,
+        message: 'The attempt is being saved from elsewhere; please retry'
+      });
+    }
+
+    res.json({
+      success: true,
+      duplicate: result.status === 'duplicate',
+      message: result.status === 'duplicate' ? 'Answer already saved' : 'Answer saved',
+      saved: {
+        questionId: result.entry.questionId,
+        seq: result.entry.seq,
+        clientTimestamp: result.entry.clientTimestamp
       }
+    });
 
-      totalScore += grade.marks;
-      console.log(`   Result: ${grade.isCorrect ? 'CORRECT' : 'WRONG'} (+${grade.marks} pts)`);
+  } catch (error) {
+    console.error('❌ Save answer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save answer',
+      error: error.message
+    });
+  }
+});
+
+// Practice mode: check one answer right away and show the correct answer and explanation.
+// Answers can be checked again as often as the student likes.
+router.post('/quiz/check', verifyStudentToken, async (req, res) => {
+  try {
+    const { attemptId, questionId, answer } = req.body;
+    const student = req.student;
 
-      finalQuestionResults.push({
-        questionId: question._id,
-        question: question.question,
-        type: question.type,
-        options: question.options,
-        studentAnswer: studentAnswer,
-        correctAnswer: question.answer,
+    if (!attemptId || !questionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attempt ID and question ID are required'
+      });
+    }
+
+    const attempt = await QuizAttempt.findOne({
+      _id: attemptId,
+      studentEmail: student.email.toLowerCase(),
+      status: { $in: ['started', 'in-progress'] }
+    });
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attempt not found or already submitted'
+      });
+    }
+
+    if (attempt.mode !== 'practice') {
+      return res.status(403).json({
+        success: false,
+        message: 'Answers can only be checked in practice mode'
+      });
+    }
+
+    const quiz = await Quiz.findById(attempt.quizId);
+    const question = quiz && attemptLayoutService.getAttemptQuestions(quiz, attempt)
+      .find(q => attemptLayoutService.questionId(q) === `${questionId}`);
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found in this attempt'
+      });
+    }
+
+    const studentAnswer = attemptLayoutService.toCanonicalAnswer(
+      question,
+      answer,
+      attemptLayoutService.getOptionOrder(attempt, `${questionId}`)
+    );
+    const grade = await gradingEngine.gradeQuestion(question, studentAnswer, { quiz });
+
+    let check = attempt.practiceChecks.find(c => c.questionId === `${questionId}`);
+    if (!check) {
+      attempt.practiceChecks.push({ questionId: `${questionId}`, tries: 0 });
+      check = attempt.practiceChecks[attempt.practiceChecks.length - 1];
+    }
+    check.tries += 1;
+    check.isCorrect = grade.isCorrect;
+    check.lastCheckedAt = new Date();
+    await attempt.save();
+
+    res.json({
+      success: true,
+      result: {
+        questionId: `${questionId}`,
         isCorrect: grade.isCorrect,
         marks: grade.marks,
-        explanation: question.explanation || grade.feedback
+        maxMarks: grade.maxMarks,
+        feedback: grade.feedback,
+        correctAnswer: attemptLayoutService.presentCorrectAnswer(question),
+        explanation: question.explanation || '',
+        tries: check.tries
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Check answer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check answer',
+      error: error.message
+    });
+  }
+});
+
+// ✅ Submit quiz - REMOVED /student-auth prefix
+router.post('/quiz/submit', verifyStudentToken, async (req, res) => {
+  try {
+    // Offline attempts send `offlineBundle` ({ payload, signature }) instead of `answers`
+    const { attemptId, answers, isAutoSubmit = false, offlineBundle } = req.body;
+    const student = req.student;
+
+    if (!attemptId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attempt ID is required'
       });
     }
 
-    const percentage = quiz.totalMarks > 0 ? (totalScore / quiz.totalMarks) * 100 : 0;
-    const { reason = '' } = req.body;
+    // Find attempt
+    const attempt = await QuizAttempt.findOne({
+      _id: attemptId,
+      studentEmail: student.email.toLowerCase(),
+      status: { $in: ['started', 'in-progress'] }
+    });
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attempt not found or already submitted'
+      });
+    }
+
+    // Signed answer bundles from the apps must come from the attempt's device; late ones are only
+    // accepted when the server received their checkpoint within the time limit
+    let offlineResult = null;
+    if (offlineBundle) {
+      offlineResult = offlineSyncService.verifyBundle(attempt, offlineBundle);
+      if (offlineResult.error) {
+        console.log(`🚫 [OFFLINE] Rejected answer bundle for attempt ${attemptId}: ${offlineResult.error}`);
+        return res.status(offlineResult.status).json({
+          success: false,
+          message: offlineResult.error
+        });
+      }
+    }
+
+    // Submits after the deadline plus the grace period are refused; the saved answers count instead
+    if (!offlineResult && attemptSweeper.isPastGrace(attempt)) {
+      await attemptSweeper.expireAttempt(attempt);
+      gradingQueue.tick();
+
+      return res.status(403).json({
+        success: false,
+        message: 'The time limit for this attempt has passed; your last saved answers were submitted automatically',
+        attemptId: attempt._id
+      });
+    }
 
-    attempt.answers = finalQuestionResults;
-    attempt.totalMarks = totalScore;
-    attempt.percentage = percentage;
+    // Make sure the quiz still exists before accepting the submission
+    const quiz = await Quiz.findById(attempt.quizId);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    const reason = req.body.reason || (offlineResult ? offlineResult.value.violationReason : '');
+
+    // Save the submission now and grade it in the background. Offline attempts count as
+    // submitted when the student finished on the device.
+    const submittedAt = offlineResult ? offlineResult.value.completedAt : new Date();
+    attempt.submittedAnswers = offlineResult ? offlineResult.value.answers : (Array.isArray(answers) ? answers : []);
     attempt.status = reason ? 'blocked' : 'submitted';
+    attempt.gradingStatus = 'queued';
     attempt.violationReason = reason;
-    attempt.submittedAt = new Date();
+    attempt.submittedAt = submittedAt;
+    attempt.submittedAfterWindowClose = attempt.isAfterWindowClose(submittedAt);
     attempt.isAutoSubmit = isAutoSubmit;
-    attempt.timeSpent = Math.floor((new Date() - attempt.startedAt) / 1000);
+    attempt.timeSpent = Math.max(0, Math.floor((submittedAt - attempt.startedAt) / 1000));
+    if (offlineResult) {
+      attempt.offlineSync.completedAt = submittedAt;
+      attempt.offlineSync.receivedAt = new Date();
+    }
 
     await attempt.save();
+    await gradingQueue.enqueue(attempt);
+    gradingQueue.tick();
+
+    console.log(`📊 [GRADING] Attempt ${attemptId} queued for grading`);
 
     res.json({
       success: true,
       message: reason ? 'Quiz blocked due to violation' : (isAutoSubmit ? 'Quiz auto-submitted' : 'Quiz submitted successfully'),
       results: {
-        score: totalScore,
-        totalMarks: quiz.totalMarks,
-        percentage: percentage.toFixed(1),
-        questions: quiz.questions.length,
-        correctAnswers: finalQuestionResults.filter(q => q.isCorrect).length,
+        attemptId: attempt._id,
+        gradingStatus: attempt.gradingStatus,
+        questions: attemptLayoutService.getAttemptQuestions(quiz, attempt).length,
         isBlocked: !!reason,
-        blockReason: reason,
-        breakdown: finalQuestionResults.map(r => ({
+        blockReason: reason
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Submit quiz error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit quiz',
+      error: error.message
+    });
+  }
+});
+
+// Grading progress of a submitted attempt, with the results once grading has finished
+router.get('/quiz/attempt/:attemptId/status', verifyStudentToken, async (req, res) => {
+  try {
+    const attempt = await QuizAttempt.findOne({
+      _id: req.params.attemptId,
+      studentEmail: req.student.email.toLowerCase()
+    });
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attempt not found'
+      });
+    }
+
+    const gradingStatus = attempt.gradingStatus || (attempt.answers.length > 0 ? 'completed' : null);
+
+    // The quiz's release policy decides how much of the result the student sees
+    const quiz = await Quiz.findById(attempt.quizId);
+    const visibility = resultReleaseService.getVisibility(quiz, attempt);
+
+    res.json({
+      success: true,
+      attemptId: attempt._id,
+      status: attempt.status,
+      gradingStatus,
+      release: {
+        policy: visibility.policy,
+        showScore: visibility.showScore,
+        showAnswers: visibility.showAnswers,
+        releaseAt: visibility.releaseAt || null,
+        message: visibility.message
+      },
+      results: gradingStatus === 'completed' && visibility.showScore ? {
+        score: attempt.totalMarks,
+        totalMarks: attempt.maxMarks,
+        penaltyMarks: attempt.penaltyMarks || 0,
+        percentage: (attempt.percentage || 0).toFixed(1),
+        questions: attempt.answers.length,
+        correctAnswers: attempt.answers.filter(a => a.isCorrect).length,
+        pendingReview: attempt.answers.filter(a => a.needsReview).length,
+        isBlocked: attempt.status === 'blocked',
+        blockReason: attempt.violationReason,
+        breakdown: !visibility.showAnswers ? [] : attempt.answers.map(r => ({
           questionId: r.questionId,
           question: r.question,
           type: r.type,
@@ -462,16 +897,18 @@ router.post('/quiz/submit', verifyStudentToken, async (req, res) => {
           studentAnswer: r.studentAnswer,
           correctAnswer: r.correctAnswer,
           explanation: r.explanation,
-          marks: r.marks
+          feedback: r.feedback,
+          marks: r.marks,
+          maxMarks: r.maxMarks,
+          penalty: r.penalty
         }))
-      }
+      } : null
     });
-
   } catch (error) {
-    console.error('❌ Submit quiz error:', error);
+    console.error('❌ Get grading status error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to submit quiz',
+      message: 'Failed to fetch grading status',
       error: error.message
     });
   }
@@ -487,7 +924,7 @@ router.get('/quiz/:quizId/results', verifyStudentToken, async (req, res) => {
     const attempt = await QuizAttempt.findOne({
       quizId: quizId,
       studentEmail: student.email.toLowerCase(),
-      status: 'submitted'
+      status: { $in: ['submitted', 'graded'] }
     }).sort('-submittedAt');
 
     if (!attempt) {
@@ -500,19 +937,41 @@ router.get('/quiz/:quizId/results', verifyStudentToken, async (req, res) => {
     // Get quiz details
     const quiz = await Quiz.findById(quizId);
 
+    // The score that counts across all of the student's attempts
+    const allAttempts = await QuizAttempt.find({
+      quizId: quizId,
+      studentEmail: student.email.toLowerCase()
+    });
+
+    // Scores and answers are only shown as far as the quiz's release policy allows
+    const visibility = resultReleaseService.getVisibility(quiz, attempt);
+    const showScore = visibility.showScore;
+
     res.json({
       success: true,
+      release: {
+        policy: visibility.policy,
+        showScore: visibility.showScore,
+        showAnswers: visibility.showAnswers,
+        releaseAt: visibility.releaseAt || null,
+        message: visibility.message
+      },
       results: {
         id: attempt._id,
-        score: attempt.totalMarks,
+        mode: attempt.mode,
+        attemptNumber: attempt.attemptNumber,
+        countedScore: quiz && showScore ? attemptPolicyService.getCountedScore(quiz, allAttempts) : null,
+        score: showScore ? attempt.totalMarks : null,
         maxMarks: attempt.maxMarks,
-        percentage: attempt.percentage,
+        penaltyMarks: showScore ? attempt.penaltyMarks || 0 : null,
+        percentage: showScore ? attempt.percentage : null,
         status: attempt.status,
+        gradingStatus: attempt.gradingStatus || 'completed',
         startedAt: attempt.startedAt,
         submittedAt: attempt.submittedAt,
         timeSpent: attempt.timeSpent,
         isAutoSubmit: attempt.isAutoSubmit,
-        answers: attempt.answers,
+        answers: visibility.showAnswers ? attempt.answers : [],
         quizTitle: quiz ? quiz.title : 'Unknown Quiz'
       }
     });
@@ -2,7 +2,12 @@ const express = require('express');
 const crypto = require('crypto');
 const Quiz = require('../models/Quiz');
 const QuizAttempt = require('../models/QuizAttempt');
-const gradingService = require('../services/gradingService');
+const gradingQueue = require('../services/gradingQueue');
+const attemptLayoutService = require('../services/attemptLayoutService');
+const attemptSweeper = require('../services/attemptSweeper');
+const rosterService = require('../services/rosterService');
+const attemptPolicyService = require('../services/attemptPolicyService');
+const resultReleaseService = require('../services/resultReleaseService');
 
 const router = express.Router();
 
@@ -28,7 +33,9 @@ router.get('/attempt/:token', async (req, res) => {
       const quiz = existingAttempt.quizId;
 
       // Check scheduling constraints
-      const accessibility = quiz.isAccessible();
+      const accessibility = quiz.isAccessible(
+        await rosterService.getStudentContext(quiz.userId, existingAttempt.studentEmail)
+      );
       if (!accessibility.accessible) {
         return res.status(403).json({ message: accessibility.message });
       }
@@ -39,13 +46,7 @@ router.get('/attempt/:token', async (req, res) => {
           title: quiz.title,
           description: quiz.description,
           duration: quiz.duration,
-          questions: quiz.questions.map(q => ({
-            id: q.id,
-            type: q.type,
-            question: q.question,
-            options: q.options
-            // Don't send answers or explanations
-          }))
+          questions: attemptLayoutService.presentQuiz(quiz, existingAttempt)
         },
         attemptId: existingAttempt._id,
         studentInfo: {
@@ -74,7 +75,8 @@ router.get('/attempt/:token', async (req, res) => {
     }
 
     // Check scheduling constraints
-    const accessibility = quiz.isAccessible();
+    const studentContext = await rosterService.getStudentContext(quiz.userId, email);
+    const accessibility = quiz.isAccessible(studentContext);
     if (!accessibility.accessible) {
       return res.status(403).json({ message: accessibility.message });
     }
@@ -86,7 +88,7 @@ router.get('/attempt/:token', async (req, res) => {
         title: quiz.title,
         description: quiz.description,
         duration: quiz.duration,
-        numQuestions: quiz.questions.length
+        numQuestions: quiz.getQuestionsPerAttempt()
       },
       email: email,
       hasStarted: false
@@ -121,7 +123,8 @@ router.post('/attempt/start', async (req, res) => {
     }
 
     // Check scheduling constraints
-    const accessibility = quiz.isAccessible();
+    const studentContext = await rosterService.getStudentContext(quiz.userId, email);
+    const accessibility = quiz.isAccessible(studentContext);
     if (!accessibility.accessible) {
       return res.status(403).json({ message: accessibility.message });
     }
@@ -139,22 +142,25 @@ router.post('/attempt/start', async (req, res) => {
       return res.json({
         success: true,
         attemptId: existingAttempt._id,
+        mode: existingAttempt.mode,
+        deadline: existingAttempt.getDeadline(),
+        timeRemaining: existingAttempt.timeRemaining,
         quiz: {
           id: quiz._id,
           title: quiz.title,
           description: quiz.description,
           duration: quiz.duration,
-          questions: quiz.questions.map(q => ({
-            id: q.id,
-            type: q.type,
-            question: q.question,
-            options: q.options
-          }))
+          questions: attemptLayoutService.presentQuiz(quiz, existingAttempt)
         }
       });
     }
 
-    // Create new attempt
+    // Numbered after any attempts the student made in the student app
+    const previousAttempts = await QuizAttempt.find({ quizId: quiz._id, studentEmail: email.toLowerCase() }).select('mode attemptNumber');
+
+    // Create new attempt with its own question draw and order
+    const layout = attemptLayoutService.createLayout(quiz);
+    const startedAt = new Date();
     const attempt = await QuizAttempt.create({
       quizId: quiz._id,
       teacherId: quiz.userId,
@@ -166,23 +172,28 @@ router.post('/attempt/start', async (req, res) => {
       studentSemester: studentSemester,
       uniqueToken: token,
       status: 'started',
-      maxMarks: quiz.questions.length
+      mode: quiz.mode || 'graded',
+      attemptNumber: attemptPolicyService.nextAttemptNumber(previousAttempts, quiz.mode || 'graded'),
+      maxMarks: attemptLayoutService.getMaxMarks(quiz, layout),
+      duration: quiz.duration || 30,
+      startedAt,
+      // Practice attempts are untimed
+      ...(quiz.mode === 'practice' ? {} : quiz.getAttemptTiming(startedAt, studentContext)),
+      ...layout
     });
 
     res.json({
       success: true,
       attemptId: attempt._id,
+      mode: attempt.mode,
+      deadline: attempt.getDeadline(),
+      timeRemaining: attempt.timeRemaining,
       quiz: {
         id: quiz._id,
         title: quiz.title,
         description: quiz.description,
         duration: quiz.duration,
-        questions: quiz.questions.map(q => ({
-          id: q.id,
-          type: q.type,
-          question: q.question,
-          options: q.options
-        }))
+        questions: attemptLayoutService.presentQuiz(quiz, attempt)
       }
     });
   } catch (error) {
@@ -191,6 +202,38 @@ router.post('/attempt/start', async (req, res) => {
   }
 });
 
+// Grading progress of a submitted attempt, with the score once grading has finished
+router.get('/attempt/:token/status', async (req, res) => {
+  try {
+    const attempt = await QuizAttempt.findOne({ uniqueToken: req.params.token }).populate('quizId');
+    if (!attempt) {
+      return res.status(404).json({ message: 'Quiz attempt not found' });
+    }
+
+    const gradingStatus = attempt.gradingStatus || (attempt.answers.length > 0 ? 'completed' : null);
+
+    // The score is only returned when the quiz's release policy allows it
+    const visibility = resultReleaseService.getVisibility(attempt.quizId, attempt);
+
+    res.json({
+      success: true,
+      attemptId: attempt._id,
+      status: attempt.status,
+      gradingStatus,
+      results: gradingStatus === 'completed' && visibility.showScore ? {
+        totalMarks: attempt.totalMarks,
+        maxMarks: attempt.maxMarks,
+        penaltyMarks: attempt.penaltyMarks || 0,
+        percentage: attempt.percentage
+      } : null,
+      releaseMessage: visibility.message
+    });
+  } catch (error) {
+    console.error('Error fetching grading status:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
 // Submit quiz answers
 router.post('/attempt/submit', async (req, res) => {
   try {
@@ -200,7 +243,7 @@ router.post('/attempt/submit', async (req, res) => {
       return res.status(400).json({ message: 'Attempt ID and answers are required' });
     }
 
-    const attempt = await QuizAttempt.findById(attemptId).populate('quizId');
+    const attempt = await QuizAttempt.findById(attemptId);
     if (!attempt) {
       return res.status(404).json({ message: 'Quiz attempt not found' });
     }
@@ -209,33 +252,37 @@ router.post('/attempt/submit', async (req, res) => {
       return res.status(400).json({ message: 'Quiz already submitted' });
     }
 
-    const quiz = attempt.quizId;
+    // Late submits are refused and the attempt is closed the way the sweeper closes it
+    if (attemptSweeper.isPastGrace(attempt)) {
+      await attemptSweeper.expireAttempt(attempt);
+      gradingQueue.tick();
 
-    // Grade the quiz
-    const grading = await gradingService.gradeQuizAttempt(
-      quiz.questions,
-      answers
-    );
+      return res.status(403).json({
+        message: 'The time limit for this quiz has passed; the attempt was submitted automatically',
+        attemptId: attempt._id
+      });
+    }
 
-    // Update attempt with graded results
-    attempt.answers = grading.gradedAnswers;
-    attempt.totalMarks = grading.totalMarks;
-    attempt.maxMarks = grading.maxMarks;
-    attempt.percentage = grading.percentage;
-    attempt.status = 'graded';
-    attempt.submittedAt = new Date();
-    attempt.gradedAt = new Date();
+    // Save the submission now and grade it in the background, as /api/student/quiz/submit does
+    const submittedAt = new Date();
+    attempt.submittedAnswers = answers;
+    attempt.status = 'submitted';
+    attempt.gradingStatus = 'queued';
+    attempt.submittedAt = submittedAt;
+    attempt.submittedAfterWindowClose = attempt.isAfterWindowClose(submittedAt);
+    attempt.timeSpent = Math.max(0, Math.floor((submittedAt - attempt.startedAt) / 1000));
 
     await attempt.save();
+    await gradingQueue.enqueue(attempt);
+    gradingQueue.tick();
+
+    console.log(`📊 [GRADING] Attempt ${attemptId} queued for grading`);
 
     res.json({
       success: true,
       message: 'Quiz submitted successfully',
-      results: {
-        totalMarks: grading.totalMarks,
-        maxMarks: grading.maxMarks,
-        percentage: grading.percentage
-      }
+      attemptId: attempt._id,
+      gradingStatus: attempt.gradingStatus
     });
   } catch (error) {
     console.error('Error submitting quiz:', error);
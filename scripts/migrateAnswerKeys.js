@@ -0,0 +1,117 @@
+// One-off migration: store MCQ answer keys as option indexes.
+//
+// Older quizzes and bookmarks only keep `answer` as a free-form string (a letter A-D or the
+// option text), which cannot express keys for questions with more than four options.
+// This script resolves every key against the question's options and writes `answerIndex`
+// (mcq) or `correctOptionIndexes` (multi-select). Keys that match no option are reported
+// and left untouched so a teacher can fix them by hand.
+//
+// Usage: node scripts/migrateAnswerKeys.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Quiz = require('../models/Quiz');
+const Bookmark = require('../models/Bookmark');
+const gradingService = require('../services/gradingService');
+const { toAnswerList } = require('../services/questionTypes');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const stats = { quizzes: 0, bookmarks: 0, questions: 0, unresolved: [] };
+
+// Returns true when the question was changed
+const migrateQuestion = (question, location) => {
+  const options = question.options || [];
+  const type = question.type || 'mcq';
+
+  if (type === 'multi-select') {
+    if (question.correctOptionIndexes && question.correctOptionIndexes.length > 0) return false;
+
+    const keys = question.correctAnswers && question.correctAnswers.length > 0
+      ? question.correctAnswers
+      : toAnswerList(question.answer);
+    const indexes = keys.map(key => gradingService.resolveOptionIndex(key, options));
+
+    if (keys.length === 0 || indexes.includes(null)) {
+      stats.unresolved.push({ location, answer: question.answer });
+      return false;
+    }
+    question.correctOptionIndexes = [...new Set(indexes)].sort((a, b) => a - b);
+    return true;
+  }
+
+  if ((type === 'mcq' || type === 'mixed') && options.length > 0) {
+    if (Number.isInteger(question.answerIndex)) return false;
+
+    const index = gradingService.resolveOptionIndex(question.answer, options);
+    if (index === null) {
+      stats.unresolved.push({ location, answer: question.answer });
+      return false;
+    }
+    question.answerIndex = index;
+    return true;
+  }
+
+  return false;
+};
+
+const migrateQuizzes = async () => {
+  const cursor = Quiz.find({}).cursor();
+
+  for (let quiz = await cursor.next(); quiz; quiz = await cursor.next()) {
+    let changed = 0;
+    quiz.questions.forEach((question, i) => {
+      if (migrateQuestion(question, `quiz ${quiz._id} question ${i + 1}`)) changed++;
+    });
+
+    if (changed > 0) {
+      stats.quizzes++;
+      stats.questions += changed;
+      if (!dryRun) await quiz.save();
+    }
+  }
+};
+
+const migrateBookmarks = async () => {
+  const cursor = Bookmark.find({}).cursor();
+
+  for (let bookmark = await cursor.next(); bookmark; bookmark = await cursor.next()) {
+    let changed = 0;
+
+    if (bookmark.type === 'quiz' && bookmark.quiz && bookmark.quiz.questions) {
+      bookmark.quiz.questions.forEach((question, i) => {
+        if (migrateQuestion(question, `bookmark ${bookmark._id} question ${i + 1}`)) changed++;
+      });
+    } else if (bookmark.question && bookmark.question.question) {
+      if (migrateQuestion(bookmark.question, `bookmark ${bookmark._id}`)) changed++;
+    }
+
+    if (changed > 0) {
+      stats.bookmarks++;
+      stats.questions += changed;
+      if (!dryRun) await bookmark.save();
+    }
+  }
+};
+
+const run = async () => {
+  const uri = (process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/quiz_app').trim();
+  await mongoose.connect(uri);
+  console.log(`🚀 Migrating answer keys${dryRun ? ' (dry run)' : ''}...`);
+
+  await migrateQuizzes();
+  await migrateBookmarks();
+
+  console.log(`✅ Updated ${stats.questions} question(s) in ${stats.quizzes} quiz(zes) and ${stats.bookmarks} bookmark(s)`);
+  if (stats.unresolved.length > 0) {
+    console.warn(`⚠️ ${stats.unresolved.length} answer key(s) match no option and need manual review:`);
+    stats.unresolved.forEach(u => console.warn(`   - ${u.location}: "${u.answer}"`));
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
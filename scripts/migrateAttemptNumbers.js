@@ -0,0 +1,58 @@
+// One-off migration: number every student's attempts at a quiz so attempt numbers are unique.
+//
+// Attempts created before attempt numbers existed have none stored (or all read as 1), so a
+// student with several attempts at a quiz would break the unique
+// { quizId, studentEmail, mode, attemptNumber } index. This script numbers each student's
+// attempts per quiz and mode in the order they were started, stores the mode on attempts that
+// predate it, and then builds the index.
+//
+// Usage: node scripts/migrateAttemptNumbers.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const QuizAttempt = require('../models/QuizAttempt');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// The index is built below, once the numbers allow it
+mongoose.set('autoIndex', false);
+
+const run = async () => {
+  const uri = (process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/quiz_app').trim();
+  await mongoose.connect(uri);
+  console.log(`🚀 Numbering quiz attempts${dryRun ? ' (dry run)' : ''}...`);
+
+  const cursor = QuizAttempt.collection
+    .find({}, { projection: { quizId: 1, studentEmail: 1, mode: 1, attemptNumber: 1, createdAt: 1 } })
+    .sort({ quizId: 1, studentEmail: 1, createdAt: 1, _id: 1 })
+    .allowDiskUse(true);
+
+  const counters = new Map();
+  let updated = 0;
+  for (let attempt = await cursor.next(); attempt; attempt = await cursor.next()) {
+    const mode = attempt.mode || 'graded';
+    const key = `${attempt.quizId}|${attempt.studentEmail}|${mode}`;
+    const attemptNumber = (counters.get(key) || 0) + 1;
+    counters.set(key, attemptNumber);
+
+    if (attempt.attemptNumber === attemptNumber && attempt.mode === mode) continue;
+    updated++;
+    if (!dryRun) {
+      await QuizAttempt.collection.updateOne({ _id: attempt._id }, { $set: { attemptNumber, mode } });
+    }
+  }
+
+  console.log(`✅ Renumbered ${updated} attempt(s)`);
+
+  if (!dryRun) {
+    await QuizAttempt.createIndexes();
+    console.log('✅ Attempt indexes built');
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
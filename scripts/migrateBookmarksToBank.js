@@ -0,0 +1,56 @@
+// One-off migration: copy bookmarked questions into the question bank.
+//
+// Bookmarks keep their own snapshot of a question (or of a whole quiz), so the same question
+// ends up duplicated across bookmarks and quizzes. This script adds every bookmarked question
+// to its owner's bank, reusing identical questions already there, and records the created
+// bank ids on the bookmark. Questions that fail validation are reported and skipped.
+// Re-running the script does not create duplicates.
+//
+// Usage: node scripts/migrateBookmarksToBank.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Bookmark = require('../models/Bookmark');
+const questionBankService = require('../services/questionBankService');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const stats = { bookmarks: 0, created: 0, existing: 0, failed: [] };
+
+const run = async () => {
+  const uri = (process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/quiz_app').trim();
+  await mongoose.connect(uri);
+  console.log(`🚀 Migrating bookmarks into the question bank${dryRun ? ' (dry run)' : ''}...`);
+
+  const cursor = Bookmark.find({}).cursor();
+  for (let bookmark = await cursor.next(); bookmark; bookmark = await cursor.next()) {
+    stats.bookmarks++;
+
+    if (dryRun) {
+      const count = bookmark.type === 'quiz' && bookmark.quiz ? (bookmark.quiz.questions || []).length : 1;
+      console.log(`   - bookmark ${bookmark._id}: ${count} question(s)`);
+      continue;
+    }
+
+    const result = await questionBankService.importBookmark(bookmark);
+    stats.created += result.created;
+    stats.existing += result.existing;
+    result.failed.forEach(f => stats.failed.push({ location: `bookmark ${bookmark._id} question ${f.index + 1}`, error: f.error }));
+
+    bookmark.bankQuestionIds = result.questionIds;
+    await bookmark.save();
+  }
+
+  console.log(`✅ Processed ${stats.bookmarks} bookmark(s): ${stats.created} question(s) added to the bank, ${stats.existing} already there`);
+  if (stats.failed.length > 0) {
+    console.warn(`⚠️ ${stats.failed.length} question(s) could not be imported:`);
+    stats.failed.forEach(f => console.warn(`   - ${f.location}: ${f.error}`));
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
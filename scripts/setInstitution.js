@@ -0,0 +1,52 @@
+// Assign a faculty account to an institution, or remove it from one.
+//
+// The institution selects the LLM provider, API key and billing a user's requests go through
+// (see config/llm.js) and, for admins, whose usage they can see, so it is set by whoever runs
+// the deployment rather than chosen at registration.
+//
+// Usage: node scripts/setInstitution.js <email> [institution]   (omit the institution to clear it)
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { getProviderSettings } = require('../config/llm');
+
+const [email, ...nameParts] = process.argv.slice(2);
+const institution = nameParts.join(' ').trim();
+
+const run = async () => {
+  if (!email) {
+    console.error('Usage: node scripts/setInstitution.js <email> [institution]');
+    process.exit(1);
+  }
+
+  const uri = (process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/quiz_app').trim();
+  await mongoose.connect(uri);
+
+  const user = await User.findOne({ email: email.trim().toLowerCase() });
+  if (!user) {
+    console.error(`❌ No user with email ${email}`);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+
+  user.institution = institution || undefined;
+  await user.save();
+
+  if (!institution) {
+    console.log(`✅ ${user.email} no longer belongs to an institution`);
+  } else {
+    const settings = getProviderSettings(institution);
+    console.log(`✅ ${user.email} (${user.role}) now belongs to "${institution}"`);
+    if (settings.key === 'default') {
+      console.warn(`⚠️ LLM_CONFIG has no entry for "${institution}"; its requests use the default provider`);
+    }
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Could not set the institution:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
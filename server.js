@@ -6,14 +6,20 @@ const cookieParser = require('cookie-parser');
 
 const authRoutes = require('./routes/auth');
 const quizRoutes = require('./routes/quiz');
+const quizUploadRoutes = require('./routes/quizUpload');
+const gradingRoutes = require('./routes/grading');
+const llmRoutes = require('./routes/llm');
 const folderRoutes = require('./routes/folder');
 const bookmarkRoutes = require('./routes/bookmark');
+const questionBankRoutes = require('./routes/questionBank');
 const studentRoutes = require('./routes/student');
 const studentQuizRoutes = require('./routes/studentQuiz');
 const studentAuthRoutes = require('./routes/studentAuth');
 const studentAuthQuizRoutes = require('./routes/studentAuthQuiz');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
 const { createIndexes } = require('./config/dbIndexes');
+const gradingQueue = require('./services/gradingQueue');
+const attemptSweeper = require('./services/attemptSweeper');
 
 const app = express();
 
@@ -147,9 +153,13 @@ const ensureDb = async (req, res, next) => {
 app.use('/api', ensureDb); // Apply to all API routes
 
 app.use('/api/auth', authRoutes);
+app.use('/api/quiz', quizUploadRoutes);
+app.use('/api/quiz', gradingRoutes);
 app.use('/api/quiz', quizRoutes);
 app.use('/api/folders', folderRoutes);
 app.use('/api/bookmarks', bookmarkRoutes);
+app.use('/api/questions', questionBankRoutes);
+app.use('/api/llm', llmRoutes);
 app.use('/api/students', studentRoutes);
 app.use('/api/student-quiz', studentQuizRoutes);
 
@@ -215,5 +225,8 @@ module.exports = app;
 if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 Server running on port ${PORT}`);
+    // Long-running server: grade queued submissions and submit expired attempts in the background
+    gradingQueue.start();
+    attemptSweeper.start();
   });
 }
\ No newline at end of file
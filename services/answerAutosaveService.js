@@ -0,0 +1,209 @@
+const QuizAttempt = require('../models/QuizAttempt');
+const gradingEngine = require('./gradingEngine');
+const attemptLayoutService = require('./attemptLayoutService');
+
+const OPEN_STATUSES = ['started', 'in-progress'];
+// History entries kept per attempt; the oldest are dropped beyond this
+const MAX_HISTORY = 1000;
+// Times a save is retried when another save changed the attempt in between
+const MAX_RETRIES = 3;
+
+const sameAnswer = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+// Per-answer autosave. Each save carries the client's sequence number and/or timestamp for the
+// answer; a save older than the one already stored for that question is rejected as stale, and a
+// retry of a save that was already applied (same requestId, or same sequence and answer) is
+// acknowledged without being applied twice. Saves are written with a revision check, so saves
+// racing from two devices are applied one after the other instead of overwriting each other.
+// Whole-attempt snapshots from /quiz/save-progress go through the same revision check.
+class AnswerAutosaveService {
+  // Saved answers as [{ questionId, studentAnswer, ... }], converting the positional arrays and
+  // { questionId: answer } maps that /quiz/save-progress accepts
+  toKeyedAnswers(savedAnswers, quiz, attempt) {
+    if (!savedAnswers) return [];
+    if (Array.isArray(savedAnswers) && savedAnswers.every(a => a && typeof a === 'object' && !Array.isArray(a) && a.questionId !== undefined)) {
+      return savedAnswers.map(a => ({
+        ...a,
+        questionId: `${a.questionId}`,
+        studentAnswer: a.studentAnswer !== undefined ? a.studentAnswer : a.answer
+      }));
+    }
+
+    // Positional answers follow the order the attempt displays its questions in
+    return attemptLayoutService.getQuestions(quiz, attempt)
+      .map((question, index) => ({
+        questionId: gradingEngine.getQuestionId(question),
+        studentAnswer: gradingEngine.resolveStudentAnswer(question, index, savedAnswers)
+      }))
+      .filter(entry => gradingEngine.isAnswered(entry.studentAnswer));
+  }
+
+  // Whether an incoming save does not come after the stored one: by sequence number when both
+  // have one (an equal number with a different answer means two clients are out of step),
+  // otherwise by client timestamp
+  isStale(incoming, current) {
+    if (!current) return false;
+    if (Number.isInteger(incoming.seq) && Number.isInteger(current.seq)) {
+      return incoming.seq <= current.seq;
+    }
+    if (incoming.clientTimestamp && current.clientTimestamp) {
+      return new Date(incoming.clientTimestamp) < new Date(current.clientTimestamp);
+    }
+    return false;
+  }
+
+  isRepeat(incoming, current) {
+    return !!current && Number.isInteger(incoming.seq) && incoming.seq === current.seq &&
+      sameAnswer(incoming.answer, current.studentAnswer);
+  }
+
+  // Outcome of a save against the attempt as it is now, without writing anything
+  evaluate(attempt, quiz, input) {
+    const questionId = `${input.questionId}`;
+
+    if (input.requestId) {
+      const applied = (attempt.answerHistory || []).find(h => h.requestId === input.requestId);
+      if (applied) return { status: 'duplicate', entry: { questionId: applied.questionId, seq: applied.seq, clientTimestamp: applied.clientTimestamp } };
+    }
+
+    const savedAnswers = this.toKeyedAnswers(attempt.savedAnswers, quiz, attempt);
+    const current = savedAnswers.find(a => a.questionId === questionId);
+
+    if (this.isRepeat(input, current)) return { status: 'duplicate', entry: current };
+    if (this.isStale(input, current)) return { status: 'stale', current };
+
+    const now = new Date();
+    const entry = {
+      questionId,
+      studentAnswer: input.answer,
+      seq: Number.isInteger(input.seq) ? input.seq : undefined,
+      clientTimestamp: input.clientTimestamp ? new Date(input.clientTimestamp) : undefined,
+      savedAt: now
+    };
+
+    return {
+      status: 'saved',
+      entry,
+      savedAnswers: [...savedAnswers.filter(a => a.questionId !== questionId), entry],
+      history: {
+        questionId,
+        answer: input.answer,
+        previousAnswer: current ? current.studentAnswer : undefined,
+        seq: entry.seq,
+        clientTimestamp: entry.clientTimestamp,
+        receivedAt: now,
+        requestId: input.requestId || undefined
+      }
+    };
+  }
+
+  // Outcome of a save-progress snapshot (every answer of the attempt) against the attempt as it
+  // is now. Changed answers replace the stored ones and keep their seq/clientTimestamp, so later
+  // per-answer saves are still ordered against them; answers the snapshot leaves blank are
+  // cleared. Stored answers saved after the snapshot arrived, or newer than its entry by seq or
+  // timestamp, are kept.
+  evaluateSnapshot(attempt, quiz, answers, receivedAt) {
+    const current = this.toKeyedAnswers(attempt.savedAnswers, quiz, attempt);
+    const incoming = new Map(this.toKeyedAnswers(answers, quiz, attempt).map(a => [a.questionId, a]));
+    const isNewer = (stored) => !!stored.savedAt && new Date(stored.savedAt) > receivedAt;
+    const now = new Date();
+
+    const savedAnswers = [];
+    const history = [];
+    const record = (questionId, answer, previous, entry) => history.push({
+      questionId,
+      answer,
+      previousAnswer: previous ? previous.studentAnswer : undefined,
+      seq: entry.seq,
+      clientTimestamp: entry.clientTimestamp,
+      receivedAt: now
+    });
+
+    for (const stored of current.filter(a => !incoming.has(a.questionId))) {
+      if (isNewer(stored)) savedAnswers.push(stored);
+      else record(stored.questionId, null, stored, {});
+    }
+
+    for (const [questionId, input] of incoming) {
+      const stored = current.find(a => a.questionId === questionId);
+      const seq = Number.isInteger(input.seq) ? input.seq : undefined;
+      const clientTimestamp = input.clientTimestamp && !isNaN(new Date(input.clientTimestamp)) ? new Date(input.clientTimestamp) : undefined;
+
+      if (stored && (isNewer(stored) || sameAnswer(input.studentAnswer, stored.studentAnswer) ||
+        this.isStale({ seq, clientTimestamp }, stored))) {
+        savedAnswers.push(stored);
+        continue;
+      }
+
+      const entry = {
+        questionId,
+        studentAnswer: input.studentAnswer,
+        seq: seq !== undefined ? seq : stored && stored.seq,
+        clientTimestamp: clientTimestamp || (stored && stored.clientTimestamp),
+        savedAt: now
+      };
+      savedAnswers.push(entry);
+      record(questionId, input.studentAnswer, stored, entry);
+    }
+
+    return { savedAnswers, history };
+  }
+
+  // Write saved answers and history entries, provided no other save changed the attempt since
+  // it was read. Resolves to the updated attempt, or null when the revision moved on or the
+  // attempt was closed.
+  async write(attempt, savedAnswers, history) {
+    const revision = attempt.autosaveRevision || 0;
+    return QuizAttempt.findOneAndUpdate(
+      {
+        _id: attempt._id,
+        status: { $in: OPEN_STATUSES },
+        // Attempts saved before revisions existed have no field yet
+        autosaveRevision: revision === 0 ? { $in: [0, null] } : revision
+      },
+      {
+        $set: {
+          savedAnswers,
+          timeSpent: Math.floor((Date.now() - new Date(attempt.startedAt).getTime()) / 1000)
+        },
+        $push: { answerHistory: { $each: history, $slice: -MAX_HISTORY } },
+        $inc: { autosaveRevision: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  // Save a save-progress snapshot. Returns { status } of 'saved' (with the number of `changed`
+  // answers), 'closed' or 'conflict', as saveAnswer does.
+  async saveSnapshot(attempt, quiz, answers) {
+    const receivedAt = new Date();
+    for (let tries = 0; tries < MAX_RETRIES; tries++) {
+      const result = this.evaluateSnapshot(attempt, quiz, answers, receivedAt);
+      const updated = await this.write(attempt, result.savedAnswers, result.history);
+      if (updated) return { status: 'saved', changed: result.history.length, attempt: updated };
+
+      attempt = await QuizAttempt.findById(attempt._id);
+      if (!attempt || !OPEN_STATUSES.includes(attempt.status)) return { status: 'closed' };
+    }
+    return { status: 'conflict' };
+  }
+
+  // Save one answer. Returns { status } of 'saved', 'duplicate', 'stale' (with the stored
+  // `current` answer), 'closed' when the attempt was submitted meanwhile, or 'conflict' when
+  // other saves kept changing the attempt.
+  async saveAnswer(attempt, quiz, input) {
+    for (let tries = 0; tries < MAX_RETRIES; tries++) {
+      const result = this.evaluate(attempt, quiz, input);
+      if (result.status !== 'saved') return result;
+
+      const updated = await this.write(attempt, result.savedAnswers, [result.history]);
+      if (updated) return { status: 'saved', entry: result.entry, attempt: updated };
+
+      attempt = await QuizAttempt.findById(attempt._id);
+      if (!attempt || !OPEN_STATUSES.includes(attempt.status)) return { status: 'closed' };
+    }
+    return { status: 'conflict' };
+  }
+}
+
+module.exports = new AnswerAutosaveService();
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const gradingService = require('./gradingService');
+const { toStudentQuestion, toAnswerList } = require('./questionTypes');
+
+// Question types whose options may be reordered per attempt
+const SHUFFLABLE_TYPES = ['mcq', 'multi-select'];
+
+// Per-attempt presentation of a quiz: question order and option order. The permutation is
+// stored on the QuizAttempt so a resumed attempt shows the same layout, and grading maps the
+// student's choices back to the teacher's original option order.
+class AttemptLayoutService {
+  shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  questionId(question) {
+    return (question._id || question.id).toString();
+  }
+
+  questionDifficulty(question) {
+    return question.difficulty || 'medium';
+  }
+
+  // Questions drawn for a new attempt when the quiz uses a question pool, kept in quiz order
+  drawQuestions(quiz, questions = quiz.questions) {
+    const pool = quiz.questionPool;
+    if (!pool || !pool.enabled) return questions;
+
+    const strata = typeof quiz.getPoolStrata === 'function' ? quiz.getPoolStrata() : null;
+    let drawn;
+    if (strata) {
+      drawn = [];
+      for (const [difficulty, count] of Object.entries(strata)) {
+        const candidates = questions.filter(q => this.questionDifficulty(q) === difficulty);
+        drawn.push(...this.shuffle(candidates).slice(0, count));
+      }
+    } else {
+      drawn = this.shuffle(questions).slice(0, pool.drawCount || questions.length);
+    }
+
+    const drawnIds = new Set(drawn.map(q => this.questionId(q)));
+    return questions.filter(q => drawnIds.has(this.questionId(q)));
+  }
+
+  // Build the layout for a new attempt from the quiz settings. Quizzes without a pool or
+  // shuffling get an empty layout and are served in quiz order.
+  createLayout(quiz, questions = quiz.questions) {
+    const pooled = !!(quiz.questionPool && quiz.questionPool.enabled);
+    const selected = this.drawQuestions(quiz, questions);
+    const ids = selected.map(q => this.questionId(q));
+    const questionOrder = quiz.shuffleQuestions ? this.shuffle(ids) : (pooled ? ids : []);
+
+    const optionOrders = [];
+    if (quiz.shuffleOptions) {
+      for (const question of selected) {
+        if (SHUFFLABLE_TYPES.includes(question.type) && question.options && question.options.length > 1) {
+          optionOrders.push({
+            questionId: this.questionId(question),
+            order: this.shuffle(question.options.map((_, i) => i))
+          });
+        }
+      }
+    }
+
+    return { questionOrder, optionOrders };
+  }
+
+  // Marks available in an attempt: only the questions it received count
+  getMaxMarks(quiz, attempt) {
+    return this.getAttemptQuestions(quiz, attempt).reduce((sum, q) => sum + (q.marks || 1), 0);
+  }
+
+  getOptionOrder(attempt, questionId) {
+    if (!attempt || !attempt.optionOrders) return null;
+    const entry = attempt.optionOrders.find(o => o.questionId === questionId);
+    return entry && entry.order && entry.order.length > 0 ? entry.order : null;
+  }
+
+  // Quiz questions in the order this attempt shows them (the quiz order when there is no layout)
+  getQuestions(quiz, attempt) {
+    if (!attempt || !attempt.questionOrder || attempt.questionOrder.length === 0) {
+      return quiz.questions;
+    }
+
+    const byId = new Map(quiz.questions.map(q => [this.questionId(q), q]));
+    return attempt.questionOrder.map(id => byId.get(id)).filter(Boolean);
+  }
+
+  // Questions this attempt received, in quiz order (the order results are stored in)
+  getAttemptQuestions(quiz, attempt) {
+    if (!attempt || !attempt.questionOrder || attempt.questionOrder.length === 0) {
+      return quiz.questions;
+    }
+
+    const received = new Set(attempt.questionOrder);
+    return quiz.questions.filter(q => received.has(this.questionId(q)));
+  }
+
+  // Position of a question in the attempt's order, used for positional answer arrays
+  getPosition(attempt, questionId, fallback) {
+    if (!attempt || !attempt.questionOrder || attempt.questionOrder.length === 0) return fallback;
+    return attempt.questionOrder.indexOf(questionId);
+  }
+
+  presentQuestion(question, attempt) {
+    const view = toStudentQuestion(question);
+    const order = this.getOptionOrder(attempt, this.questionId(question));
+    if (order) {
+      view.options = order.map(i => question.options[i]);
+    }
+    return view;
+  }
+
+  presentQuiz(quiz, attempt) {
+    return this.getQuestions(quiz, attempt).map(q => this.presentQuestion(q, attempt));
+  }
+
+  // The correct answer as a student should see it: option keys given as an index or letter are
+  // shown as the option text, which stays right when the options were shuffled
+  presentCorrectAnswer(question) {
+    const options = question.options || [];
+    if (options.length === 0) return question.answer;
+
+    const toText = (key) => {
+      const index = gradingService.resolveOptionIndex(key, options);
+      return index === null ? key : options[index];
+    };
+    if (question.type === 'multi-select') {
+      return toAnswerList(question.answer).map(toText);
+    }
+    return Number.isInteger(question.answerIndex) ? options[question.answerIndex] : toText(question.answer);
+  }
+
+  // Translate an answer given against the shuffled options (index, letter or text) into the
+  // text of the option the student picked. Answers that match no option are returned unchanged.
+  toCanonicalAnswer(question, studentAnswer, order) {
+    if (!order) return studentAnswer;
+
+    const displayedOptions = order.map(i => question.options[i]);
+    const mapOne = (answer) => {
+      const displayIndex = gradingService.resolveOptionIndex(answer, displayedOptions);
+      return displayIndex === null ? answer : question.options[order[displayIndex]];
+    };
+
+    if (question.type === 'multi-select') {
+      return toAnswerList(studentAnswer).map(mapOne);
+    }
+    return studentAnswer === '' || studentAnswer === undefined || studentAnswer === null
+      ? studentAnswer
+      : mapOne(studentAnswer);
+  }
+}
+
+module.exports = new AttemptLayoutService();
@@ -0,0 +1,151 @@
+const SCORING_POLICIES = ['highest', 'latest', 'average'];
+const FINISHED_STATUSES = ['submitted', 'graded', 'blocked', 'expired'];
+// Attempts whose grading has not finished have no score to count yet
+const UNSCORED_GRADING_STATUSES = ['queued', 'grading', 'failed'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Retakes: how many attempts a student gets at a quiz, how long they wait between them and
+// which attempt's score counts (the quiz's `attemptPolicy`)
+class AttemptPolicyService {
+  getPolicy(quiz) {
+    const policy = (quiz && quiz.attemptPolicy) || {};
+    return {
+      maxAttempts: Number.isInteger(policy.maxAttempts) && policy.maxAttempts >= 0 ? policy.maxAttempts : 1,
+      cooldownMinutes: policy.cooldownMinutes > 0 ? policy.cooldownMinutes : 0,
+      scoring: SCORING_POLICIES.includes(policy.scoring) ? policy.scoring : 'highest'
+    };
+  }
+
+  // Practice attempts never count towards the attempt limit or the score
+  isPractice(attempt) {
+    return attempt.mode === 'practice';
+  }
+
+  isFinished(attempt) {
+    return FINISHED_STATUSES.includes(attempt.status);
+  }
+
+  isScored(attempt) {
+    return this.isFinished(attempt) && !UNSCORED_GRADING_STATUSES.includes(attempt.gradingStatus);
+  }
+
+  // Number for a student's next attempt in a mode, given all their attempts at the quiz
+  nextAttemptNumber(attempts, mode = 'graded') {
+    return attempts
+      .filter(attempt => (attempt.mode || 'graded') === mode)
+      .reduce((max, attempt) => Math.max(max, attempt.attemptNumber || 1), 0) + 1;
+  }
+
+  // Whether a student with these attempts at the quiz may start another one now. An attempt in
+  // progress counts as used; `attemptsRemaining` is null when attempts are unlimited, as they
+  // always are on practice quizzes.
+  getEligibility(quiz, attempts, now = new Date()) {
+    if (quiz.mode === 'practice') {
+      return {
+        maxAttempts: 0,
+        attemptsUsed: attempts.filter(attempt => this.isPractice(attempt)).length,
+        attemptsRemaining: null,
+        nextAttemptAt: null,
+        canStart: true,
+        message: null
+      };
+    }
+
+    const { maxAttempts, cooldownMinutes } = this.getPolicy(quiz);
+    attempts = attempts.filter(attempt => !this.isPractice(attempt));
+    const attemptsUsed = attempts.length;
+    const attemptsRemaining = maxAttempts === 0 ? null : Math.max(0, maxAttempts - attemptsUsed);
+
+    const lastFinishedAt = attempts
+      .filter(attempt => this.isFinished(attempt) && attempt.submittedAt)
+      .reduce((latest, attempt) => Math.max(latest, new Date(attempt.submittedAt).getTime()), 0);
+    const cooldownEndsAt = lastFinishedAt && cooldownMinutes
+      ? new Date(lastFinishedAt + cooldownMinutes * 60 * 1000)
+      : null;
+    const nextAttemptAt = cooldownEndsAt && cooldownEndsAt > now ? cooldownEndsAt : null;
+
+    let message = null;
+    if (attemptsRemaining === 0) {
+      message = maxAttempts === 1
+        ? 'You have already submitted this quiz'
+        : `You have used all ${maxAttempts} attempts at this quiz`;
+    } else if (nextAttemptAt) {
+      message = `You can start your next attempt after ${nextAttemptAt.toISOString()}`;
+    }
+
+    return {
+      maxAttempts,
+      attemptsUsed,
+      attemptsRemaining,
+      nextAttemptAt,
+      canStart: !message,
+      message
+    };
+  }
+
+  // The score that counts for one student under the quiz's scoring policy, or null while none
+  // of their attempts has been graded. Highest compares percentages, since pooled quizzes can
+  // give attempts different maximum marks.
+  getCountedScore(quiz, attempts) {
+    const { scoring } = this.getPolicy(quiz);
+    const scored = attempts
+      .filter(attempt => this.isScored(attempt) && !this.isPractice(attempt))
+      .sort((a, b) => (a.attemptNumber || 1) - (b.attemptNumber || 1));
+    if (scored.length === 0) return null;
+
+    if (scoring === 'average') {
+      const average = (field) => round(scored.reduce((sum, a) => sum + (a[field] || 0), 0) / scored.length);
+      return {
+        scoring,
+        totalMarks: average('totalMarks'),
+        maxMarks: average('maxMarks'),
+        percentage: average('percentage'),
+        attemptId: null,
+        attemptNumber: null,
+        attemptsCounted: scored.length
+      };
+    }
+
+    const counted = scoring === 'latest'
+      ? scored[scored.length - 1]
+      : scored.reduce((best, attempt) => ((attempt.percentage || 0) > (best.percentage || 0) ? attempt : best));
+    return {
+      scoring,
+      totalMarks: counted.totalMarks,
+      maxMarks: counted.maxMarks,
+      percentage: counted.percentage,
+      attemptId: counted._id,
+      attemptNumber: counted.attemptNumber || 1,
+      attemptsCounted: 1
+    };
+  }
+
+  // Counted score of every student in a set of attempts at one quiz
+  summarizeByStudent(quiz, attempts) {
+    const byStudent = new Map();
+    for (const attempt of attempts) {
+      const email = attempt.studentEmail;
+      if (!byStudent.has(email)) byStudent.set(email, []);
+      byStudent.get(email).push(attempt);
+    }
+
+    return [...byStudent.values()]
+      .map(studentAttempts => {
+        const [first] = studentAttempts;
+        return {
+          studentName: first.studentName,
+          studentUSN: first.studentUSN,
+          studentEmail: first.studentEmail,
+          studentBranch: first.studentBranch,
+          studentYear: first.studentYear,
+          studentSemester: first.studentSemester,
+          attempts: studentAttempts.length,
+          counted: this.getCountedScore(quiz, studentAttempts)
+        };
+      })
+      .sort((a, b) => `${a.studentName}`.localeCompare(`${b.studentName}`));
+  }
+}
+
+module.exports = new AttemptPolicyService();
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const QuizAttempt = require('../models/QuizAttempt');
+const gradingQueue = require('./gradingQueue');
+
+const DEFAULT_GRACE_SECONDS = 60;
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000;
+const OPEN_STATUSES = ['started', 'in-progress'];
+
+// Submits attempts whose time ran out without the student submitting (closed tab, lost
+// connection) and queues whatever was saved with /quiz/save-progress for grading. Attempts are
+// only swept once the late-submit grace period (SUBMIT_GRACE_SECONDS) has passed as well, so a
+// final submit that was sent just before the deadline is still accepted.
+class AttemptSweeper {
+  constructor() {
+    const grace = parseInt(process.env.SUBMIT_GRACE_SECONDS, 10);
+    this.graceSeconds = Number.isFinite(grace) && grace >= 0 ? grace : DEFAULT_GRACE_SECONDS;
+    this.timer = null;
+    this.sweeping = false;
+  }
+
+  // True when a submit or save for this attempt arrives after the deadline plus the grace period
+  isPastGrace(attempt, now = new Date()) {
+    const deadline = attempt.getDeadline();
+    return !!deadline && now.getTime() > deadline.getTime() + this.graceSeconds * 1000;
+  }
+
+  // Auto-submit one expired attempt with its saved answers. The status condition makes this
+  // safe when several servers sweep at once; returns null if the attempt was already closed.
+  async expireAttempt(attempt) {
+    const deadline = attempt.getDeadline();
+    const updated = await QuizAttempt.findOneAndUpdate(
+      { _id: attempt._id, status: { $in: OPEN_STATUSES } },
+      {
+        $set: {
+          status: 'submitted',
+          submittedAnswers: attempt.savedAnswers || [],
+          submittedAt: deadline,
+          submittedAfterWindowClose: attempt.isAfterWindowClose(deadline),
+          timeSpent: Math.max(0, Math.floor((deadline - attempt.startedAt) / 1000)),
+          isAutoSubmit: true,
+          autoSubmitReason: 'time-expired',
+          gradingStatus: 'queued'
+        }
+      },
+      { new: true }
+    );
+    if (!updated) return null;
+
+    await gradingQueue.enqueue(updated);
+    console.log(`⏰ [SWEEPER] Attempt ${updated._id} ran out of time and was submitted automatically`);
+    return updated;
+  }
+
+  // Auto-submit every open attempt that is past its deadline and grace period
+  async sweep({ limit = 100 } = {}) {
+    const cutoff = new Date(Date.now() - this.graceSeconds * 1000);
+    const attempts = await QuizAttempt.find({
+      status: { $in: OPEN_STATUSES },
+      mode: { $ne: 'practice' },
+      // Offline attempts with a checkpoint received in time wait for their answer bundle until the
+      // upload deadline
+      $or: [
+        { 'offlineSync.uploadDeadline': null },
+        { 'offlineSync.uploadDeadline': { $lt: new Date() } }
+      ],
+      $expr: {
+        $lt: [
+          {
+            $ifNull: [
+              '$deadline',
+              { $add: ['$startedAt', { $multiply: [{ $ifNull: ['$duration', 30] }, 60 * 1000] }] }
+            ]
+          },
+          cutoff
+        ]
+      }
+    }).limit(limit);
+
+    let expired = 0;
+    for (const attempt of attempts) {
+      if (await this.expireAttempt(attempt)) expired++;
+    }
+    if (expired > 0) gradingQueue.tick();
+
+    return { expired };
+  }
+
+  async tick() {
+    if (this.sweeping || mongoose.connection.readyState !== 1) return;
+    this.sweeping = true;
+
+    try {
+      await this.sweep();
+    } catch (error) {
+      console.error('❌ [SWEEPER] Sweep failed:', error.message);
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  // Sweep periodically in the background (long-running servers)
+  start({ interval = DEFAULT_SWEEP_INTERVAL_MS } = {}) {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), interval);
+    if (this.timer.unref) this.timer.unref();
+    console.log(`⏰ Attempt sweeper started (grace ${this.graceSeconds}s)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new AttemptSweeper();
@@ -0,0 +1,188 @@
+const path = require('path');
+const JSZip = require('jszip');
+const mammoth = require('mammoth');
+// Require the library entry directly; the package index runs a self-test when loaded without a parent module
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+const SUPPORTED_TYPES = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.pptx': 'pptx',
+  '.txt': 'txt'
+};
+
+const DEFAULT_CHUNK_SIZE = 6000; // characters per chunk sent to the generator
+const DOCX_SECTION_PARAGRAPHS = 10;
+
+class DocumentService {
+  getDocumentType(fileName) {
+    return SUPPORTED_TYPES[path.extname(fileName || '').toLowerCase()] || null;
+  }
+
+  cleanText(text) {
+    return (text || '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  // Extract text as a list of sections, each tagged with where it came from
+  async extractSections(buffer, fileName) {
+    const type = this.getDocumentType(fileName);
+
+    switch (type) {
+      case 'pdf':
+        return this.extractPdf(buffer);
+      case 'docx':
+        return this.extractDocx(buffer);
+      case 'pptx':
+        return this.extractPptx(buffer);
+      case 'txt':
+        return this.extractTxt(buffer);
+      default:
+        throw new Error('Unsupported file type. Upload a PDF, DOCX, PPTX or TXT file');
+    }
+  }
+
+  async extractPdf(buffer) {
+    const pages = [];
+
+    await pdfParse(buffer, {
+      pagerender: async (pageData) => {
+        const content = await pageData.getTextContent();
+        let lastY;
+        let text = '';
+        for (const item of content.items) {
+          text += (lastY === undefined || lastY === item.transform[5]) ? item.str : `\n${item.str}`;
+          lastY = item.transform[5];
+        }
+        pages.push({ index: pageData.pageIndex + 1, text });
+        return text;
+      }
+    });
+
+    return pages
+      .sort((a, b) => a.index - b.index)
+      .map(p => ({ kind: 'page', index: p.index, label: `Page ${p.index}`, text: this.cleanText(p.text) }))
+      .filter(s => s.text);
+  }
+
+  // DOCX files carry no reliable page numbers, so group paragraphs into numbered sections
+  async extractDocx(buffer) {
+    const { value } = await mammoth.extractRawText({ buffer });
+    const paragraphs = value.split(/\n+/).map(p => p.trim()).filter(Boolean);
+    const sections = [];
+
+    for (let i = 0; i < paragraphs.length; i += DOCX_SECTION_PARAGRAPHS) {
+      const index = sections.length + 1;
+      sections.push({
+        kind: 'section',
+        index,
+        label: `Section ${index}`,
+        text: this.cleanText(paragraphs.slice(i, i + DOCX_SECTION_PARAGRAPHS).join('\n'))
+      });
+    }
+
+    return sections;
+  }
+
+  async extractPptx(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const slideFiles = Object.keys(zip.files)
+      .map(name => ({ name, match: name.match(/^ppt\/slides\/slide(\d+)\.xml$/) }))
+      .filter(f => f.match)
+      .map(f => ({ name: f.name, index: parseInt(f.match[1], 10) }))
+      .sort((a, b) => a.index - b.index);
+
+    const sections = [];
+    for (const slide of slideFiles) {
+      const xml = await zip.file(slide.name).async('string');
+      const paragraphs = xml.split(/<\/a:p>/).map(p =>
+        [...p.matchAll(/<a:t(?:\s[^>]*)?>([^<]*)<\/a:t>/g)].map(m => this.decodeXml(m[1])).join('')
+      );
+      const text = this.cleanText(paragraphs.filter(Boolean).join('\n'));
+      if (text) {
+        sections.push({ kind: 'slide', index: slide.index, label: `Slide ${slide.index}`, text });
+      }
+    }
+
+    return sections;
+  }
+
+  // Plain text uses form feeds as page breaks when present
+  async extractTxt(buffer) {
+    const pages = buffer.toString('utf8').split('\f');
+    const kind = pages.length > 1 ? 'page' : 'section';
+
+    return pages
+      .map((text, i) => ({
+        kind,
+        index: i + 1,
+        label: `${kind === 'page' ? 'Page' : 'Section'} ${i + 1}`,
+        text: this.cleanText(text)
+      }))
+      .filter(s => s.text);
+  }
+
+  decodeXml(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  // Group consecutive sections into chunks of roughly maxChars, splitting sections that are too long.
+  // Each chunk keeps the list of sections it covers so generated questions can point back to them.
+  chunkSections(sections, maxChars = DEFAULT_CHUNK_SIZE) {
+    const chunks = [];
+    let current = { sections: [], length: 0 };
+
+    const flush = () => {
+      if (current.sections.length > 0) chunks.push(current);
+      current = { sections: [], length: 0 };
+    };
+
+    for (const section of sections) {
+      const pieces = [];
+      for (let i = 0; i < section.text.length; i += maxChars) {
+        pieces.push({ ...section, text: section.text.slice(i, i + maxChars) });
+      }
+
+      for (const piece of pieces) {
+        if (current.length + piece.text.length > maxChars) flush();
+        current.sections.push(piece);
+        current.length += piece.text.length;
+      }
+    }
+    flush();
+
+    return chunks.map(chunk => ({
+      sections: chunk.sections,
+      text: chunk.sections.map(s => `[${s.label}]\n${s.text}`).join('\n\n')
+    }));
+  }
+
+  // Spread the requested number of questions over the chunks, using evenly spaced chunks
+  // when there are more chunks than questions or than `maxChunks`
+  planChunks(chunks, numQuestions, maxChunks = Infinity) {
+    const limit = Math.min(numQuestions, maxChunks);
+    let selected = chunks;
+    if (chunks.length > limit) {
+      const step = chunks.length / limit;
+      selected = Array.from({ length: limit }, (_, i) => chunks[Math.floor(i * step)]);
+    }
+
+    const base = Math.floor(numQuestions / selected.length);
+    const remainder = numQuestions % selected.length;
+
+    return selected.map((chunk, i) => ({
+      ...chunk,
+      numQuestions: base + (i < remainder ? 1 : 0)
+    }));
+  }
+}
+
+module.exports = new DocumentService();
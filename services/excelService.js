@@ -1,7 +1,80 @@
 const XLSX = require('xlsx');
+const quizAnalyticsService = require('./quizAnalyticsService');
+const attemptPolicyService = require('./attemptPolicyService');
 
 class ExcelService {
-  generateQuizResultsExcel(quizTitle, attempts) {
+  // Flag submissions accepted in the grace period after the quiz's window closed
+  getWindowNote(attempt) {
+    return attempt.submittedAfterWindowClose ? 'Submitted after window close' : '';
+  }
+
+  // Sheet with one row per student and the score that counts under the quiz's scoring policy
+  appendCountedScoresSheet(wb, quiz, attempts) {
+    const { scoring, maxAttempts } = attemptPolicyService.getPolicy(quiz);
+    const data = [
+      ['Counted Scores'],
+      ['Scoring:', `${scoring} of each student's attempts`],
+      ['Attempts Allowed:', maxAttempts === 0 ? 'Unlimited' : maxAttempts],
+      [],
+      ['Name', 'USN', 'Email', 'Attempts', 'Counted Attempt', 'Counted Marks', 'Max Marks', 'Counted Percentage (%)']
+    ];
+
+    attemptPolicyService.summarizeByStudent(quiz, attempts).forEach(student => {
+      const counted = student.counted;
+      data.push([
+        student.studentName,
+        student.studentUSN,
+        student.studentEmail,
+        student.attempts,
+        counted ? (counted.attemptNumber ? `#${counted.attemptNumber}` : `Average of ${counted.attemptsCounted}`) : 'Not graded yet',
+        counted ? counted.totalMarks : '',
+        counted ? counted.maxMarks : '',
+        counted ? counted.percentage : ''
+      ]);
+    });
+
+    const ws = XLSX.utils.aoa_to_sheet(data);
+    ws['!cols'] = [
+      { wch: 20 }, { wch: 15 }, { wch: 25 }, { wch: 10 },
+      { wch: 18 }, { wch: 14 }, { wch: 12 }, { wch: 22 }
+    ];
+    XLSX.utils.book_append_sheet(wb, ws, 'Counted Scores');
+  }
+
+  // Sheet of practice attempts, kept apart from the graded results
+  appendPracticeSheet(wb, practiceAttempts) {
+    if (!practiceAttempts || practiceAttempts.length === 0) return;
+
+    const data = [
+      ['Practice Attempts (not part of the graded results)'],
+      [],
+      ['Name', 'USN', 'Email', 'Attempt', 'Total Marks', 'Max Marks', 'Percentage (%)', 'Questions Checked', 'Checks', 'Submitted At']
+    ];
+    practiceAttempts.forEach(attempt => {
+      const checks = attempt.practiceChecks || [];
+      data.push([
+        attempt.studentName,
+        attempt.studentUSN,
+        attempt.studentEmail,
+        attempt.attemptNumber || 1,
+        attempt.totalMarks,
+        attempt.maxMarks,
+        attempt.percentage,
+        checks.length,
+        checks.reduce((sum, c) => sum + (c.tries || 0), 0),
+        attempt.submittedAt ? new Date(attempt.submittedAt).toLocaleString() : 'Not submitted'
+      ]);
+    });
+
+    const ws = XLSX.utils.aoa_to_sheet(data);
+    ws['!cols'] = [
+      { wch: 20 }, { wch: 15 }, { wch: 25 }, { wch: 10 }, { wch: 12 },
+      { wch: 12 }, { wch: 15 }, { wch: 18 }, { wch: 10 }, { wch: 20 }
+    ];
+    XLSX.utils.book_append_sheet(wb, ws, 'Practice');
+  }
+
+  generateQuizResultsExcel(quizTitle, attempts, quiz, practiceAttempts = []) {
     // Create worksheet data
     const wsData = [
       ['Quiz Results Report'],
@@ -9,7 +82,7 @@ class ExcelService {
       ['Generated on:', new Date().toLocaleString()],
       ['Total Students:', attempts.length],
       [],
-      ['Name', 'USN', 'Email', 'Branch', 'Year', 'Semester', 'Total Marks', 'Max Marks', 'Percentage (%)', 'Status', 'Violation Reason', 'Submitted At']
+      ['Name', 'USN', 'Email', 'Branch', 'Year', 'Semester', 'Attempt', 'Total Marks', 'Max Marks', 'Negative Marks', 'Percentage (%)', 'Status', 'Violation Reason', 'Submitted At', 'Window']
     ];
 
     // Add student data
@@ -21,12 +94,15 @@ class ExcelService {
         attempt.studentBranch,
         attempt.studentYear,
         attempt.studentSemester,
+        attempt.attemptNumber || 1,
         attempt.totalMarks,
         attempt.maxMarks,
+        attempt.penaltyMarks || 0,
         attempt.percentage,
         attempt.status,
         attempt.violationReason || '',
-        attempt.submittedAt ? new Date(attempt.submittedAt).toLocaleString() : 'Not submitted'
+        attempt.submittedAt ? new Date(attempt.submittedAt).toLocaleString() : 'Not submitted',
+        this.getWindowNote(attempt)
       ]);
     });
 
@@ -58,22 +134,28 @@ class ExcelService {
       { wch: 15 }, // Branch
       { wch: 10 }, // Year
       { wch: 10 }, // Semester
+      { wch: 10 }, // Attempt
       { wch: 12 }, // Total Marks
       { wch: 12 }, // Max Marks
+      { wch: 15 }, // Negative Marks
       { wch: 15 }, // Percentage
       { wch: 12 }, // Status
-      { wch: 20 }  // Submitted At
+      { wch: 20 }, // Violation Reason
+      { wch: 20 }, // Submitted At
+      { wch: 30 }  // Window
     ];
 
     // Add worksheet to workbook
     XLSX.utils.book_append_sheet(wb, ws, 'Results');
+    if (quiz) this.appendCountedScoresSheet(wb, quiz, attempts);
+    this.appendPracticeSheet(wb, practiceAttempts);
 
     // Generate buffer
     const excelBuffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
     return excelBuffer;
   }
 
-  generateDetailedQuizResultsExcel(quizTitle, quiz, attempts) {
+  generateDetailedQuizResultsExcel(quizTitle, quiz, attempts, practiceAttempts = []) {
     const wb = XLSX.utils.book_new();
 
     // Summary Sheet
@@ -82,9 +164,10 @@ class ExcelService {
       ['Quiz Title:', quizTitle],
       ['Generated on:', new Date().toLocaleString()],
       ['Total Questions:', quiz.questions.length],
+      ['Questions per Student:', quiz.getQuestionsPerAttempt()],
       ['Total Students:', attempts.length],
       [],
-      ['Name', 'USN', 'Email', 'Branch', 'Year', 'Semester', 'Total Marks', 'Max Marks', 'Percentage (%)', 'Status', 'Violation Reason']
+      ['Name', 'USN', 'Email', 'Branch', 'Year', 'Semester', 'Attempt', 'Total Marks', 'Max Marks', 'Negative Marks', 'Percentage (%)', 'Status', 'Violation Reason', 'Window']
     ];
 
     attempts.forEach(attempt => {
@@ -95,11 +178,14 @@ class ExcelService {
         attempt.studentBranch,
         attempt.studentYear,
         attempt.studentSemester,
+        attempt.attemptNumber || 1,
         attempt.totalMarks,
         attempt.maxMarks,
+        attempt.penaltyMarks || 0,
         attempt.percentage,
         attempt.status,
-        attempt.violationReason || ''
+        attempt.violationReason || '',
+        this.getWindowNote(attempt)
       ]);
     });
 
@@ -107,9 +193,37 @@ class ExcelService {
     wsSummary['!cols'] = [
       { wch: 20 }, { wch: 15 }, { wch: 25 }, { wch: 15 },
       { wch: 10 }, { wch: 10 }, { wch: 12 }, { wch: 12 },
-      { wch: 15 }, { wch: 12 }
+      { wch: 15 }, { wch: 15 }, { wch: 12 }, { wch: 20 },
+      { wch: 30 }
     ];
     XLSX.utils.book_append_sheet(wb, wsSummary, 'Summary');
+    this.appendCountedScoresSheet(wb, quiz, attempts);
+    this.appendPracticeSheet(wb, practiceAttempts);
+
+    // Question analysis: each question is measured against the students who received it
+    const analysisData = [
+      ['Question', 'Type', 'Difficulty', 'Max Marks', 'Seen By', 'Answered', 'Correct', 'Correct Rate (%)', 'Average Marks']
+    ];
+    quizAnalyticsService.getQuestionStats(quiz, attempts).forEach((stat, qNum) => {
+      analysisData.push([
+        `Q${qNum + 1}: ${stat.question}`,
+        stat.type,
+        stat.difficulty,
+        stat.maxMarks,
+        stat.seenBy,
+        stat.answered,
+        stat.correct,
+        stat.correctRate === null ? 'N/A' : stat.correctRate,
+        stat.averageMarks === null ? 'N/A' : stat.averageMarks
+      ]);
+    });
+
+    const wsAnalysis = XLSX.utils.aoa_to_sheet(analysisData);
+    wsAnalysis['!cols'] = [
+      { wch: 50 }, { wch: 15 }, { wch: 12 }, { wch: 10 }, { wch: 10 },
+      { wch: 10 }, { wch: 10 }, { wch: 15 }, { wch: 15 }
+    ];
+    XLSX.utils.book_append_sheet(wb, wsAnalysis, 'Question Analysis');
 
     // Individual student sheets (limit to first 10 for performance)
     attempts.slice(0, 10).forEach((attempt, index) => {
@@ -123,29 +237,60 @@ class ExcelService {
         ['Semester:', attempt.studentSemester],
         [],
         ['Score:', `${attempt.totalMarks}/${attempt.maxMarks} (${attempt.percentage}%)`],
+        ['Negative Marks:', attempt.penaltyMarks || 0],
         ['Violation Reason:', attempt.violationReason || 'N/A'],
         [],
-        ['Question', 'Type', 'Student Answer', 'Correct Answer', 'Result', 'Marks']
+        ['Question', 'Type', 'Student Answer', 'Correct Answer', 'Result', 'Marks', 'Max Marks']
       ];
 
       attempt.answers.forEach((ans, qNum) => {
         studentData.push([
           `Q${qNum + 1}: ${ans.question}`,
           ans.type,
-          ans.studentAnswer || 'Not answered',
+          (Array.isArray(ans.studentAnswer) ? ans.studentAnswer.join(', ') : ans.studentAnswer) || 'Not answered',
           ans.correctAnswer,
-          ans.isCorrect ? 'Correct' : 'Incorrect',
-          ans.marks
+          ans.needsReview ? 'Needs Review'
+            : ans.isCorrect ? 'Correct' : (ans.penalty > 0 ? `Incorrect (-${ans.penalty})` : 'Incorrect'),
+          ans.marks,
+          ans.maxMarks
         ]);
+
+        // Rubric breakdown: one row per criterion and per detected misconception
+        if (ans.rubricResult && ans.rubricResult.criteria && ans.rubricResult.criteria.length > 0) {
+          ans.rubricResult.criteria.forEach(c => {
+            studentData.push([
+              `   Criterion: ${c.description} (weight ${c.weight})`,
+              '',
+              c.evidence || '',
+              c.missingKeywords && c.missingKeywords.length > 0 ? `Missing: ${c.missingKeywords.join(', ')}` : '',
+              c.score >= 1 ? 'Met' : (c.score > 0 ? 'Partly met' : 'Not met'),
+              c.awarded,
+              ''
+            ]);
+          });
+          (ans.rubricResult.misconceptions || []).filter(m => m.present).forEach(m => {
+            studentData.push([
+              `   Misconception: ${m.description}`,
+              '',
+              m.evidence || '',
+              '',
+              'Present',
+              -m.deducted,
+              ''
+            ]);
+          });
+        }
       });
 
       const wsStudent = XLSX.utils.aoa_to_sheet(studentData);
       wsStudent['!cols'] = [
         { wch: 50 }, { wch: 15 }, { wch: 30 },
-        { wch: 30 }, { wch: 12 }, { wch: 10 }
+        { wch: 30 }, { wch: 15 }, { wch: 10 }, { wch: 10 }
       ];
 
-      const sheetName = `${attempt.studentUSN}`.substring(0, 31); // Excel sheet name limit
+      // Excel sheet names are limited to 31 characters and must be unique across retakes
+      const suffix = (attempt.attemptNumber || 1) > 1 ? ` #${attempt.attemptNumber}` : '';
+      const sheetName = `${attempt.studentUSN}`.substring(0, 31 - suffix.length) + suffix;
       XLSX.utils.book_append_sheet(wb, wsStudent, sheetName);
     });
 
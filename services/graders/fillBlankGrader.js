@@ -0,0 +1,26 @@
+const normalize = (value, caseSensitive) => {
+  const text = `${value || ''}`.trim().replace(/\s+/g, ' ').replace(/[.!?;:,]+$/, '');
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+// Fill-in-the-blank: the answer must match one of the accepted spellings
+module.exports = {
+  async grade(question, studentAnswer, { answered, maxMarks }) {
+    if (!answered) {
+      return { isCorrect: false, marks: 0, penalty: 0, feedback: 'Not answered.' };
+    }
+
+    const accepted = question.acceptedAnswers && question.acceptedAnswers.length > 0
+      ? question.acceptedAnswers
+      : [question.answer];
+    const given = normalize(studentAnswer, question.caseSensitive);
+    const isCorrect = accepted.some(a => normalize(a, question.caseSensitive) === given);
+
+    return {
+      isCorrect,
+      marks: isCorrect ? maxMarks : 0,
+      penalty: 0,
+      feedback: isCorrect ? 'Correct answer.' : 'Answer does not match any accepted answer.'
+    };
+  }
+};
@@ -0,0 +1,43 @@
+const gradingService = require('../gradingService');
+
+// Single-answer multiple choice. Answers are compared by option index, so the key and the
+// student's answer may each be an index, an option letter (A, B, C, ...) or the option text.
+module.exports = {
+  getCorrectIndex(question) {
+    if (Number.isInteger(question.answerIndex)) return question.answerIndex;
+    return gradingService.resolveOptionIndex(question.answer, question.options || []);
+  },
+
+  isCorrect(question, studentAnswer) {
+    const options = question.options || [];
+    const correctIndex = options.length > 0 ? this.getCorrectIndex(question) : null;
+
+    if (correctIndex !== null) {
+      return gradingService.resolveOptionIndex(studentAnswer, options) === correctIndex;
+    }
+
+    // No usable option index (legacy keys that match no option): compare the normalized text
+    const studentAns = gradingService.normalizeMCQAnswer(studentAnswer, options.length);
+    return studentAns !== '' && studentAns === gradingService.normalizeMCQAnswer(question.answer, options.length);
+  },
+
+  // Marks deducted for a wrong answer under the quiz's negative-marking policy
+  getPenalty(negativeMarking, studentAnswer, answered) {
+    if (!negativeMarking || !negativeMarking.enabled) return 0;
+    if (!answered && !negativeMarking.applyToUnanswered) return 0;
+
+    return Math.max(0, negativeMarking.penalty || 0);
+  },
+
+  async grade(question, studentAnswer, { quiz, answered, maxMarks }) {
+    const isCorrect = this.isCorrect(question, studentAnswer);
+    const penalty = isCorrect ? 0 : this.getPenalty(quiz && quiz.negativeMarking, studentAnswer, answered);
+
+    return {
+      isCorrect,
+      marks: isCorrect ? maxMarks : (penalty > 0 ? -penalty : 0),
+      penalty,
+      feedback: isCorrect ? 'Correct answer.' : (answered ? 'Incorrect answer.' : 'Not answered.')
+    };
+  }
+};
@@ -0,0 +1,54 @@
+const gradingService = require('../gradingService');
+const { toAnswerList } = require('../questionTypes');
+
+// Multiple-correct MCQ. With partial credit each correct pick earns a share of the marks
+// and each wrong pick cancels one correct pick; otherwise the selection must be exact.
+module.exports = {
+  getCorrectIndexes(question) {
+    if (question.correctOptionIndexes && question.correctOptionIndexes.length > 0) {
+      return [...question.correctOptionIndexes];
+    }
+    const keys = question.correctAnswers && question.correctAnswers.length > 0
+      ? question.correctAnswers
+      : toAnswerList(question.answer);
+    return keys
+      .map(key => gradingService.resolveOptionIndex(key, question.options || []))
+      .filter(index => index !== null);
+  },
+
+  async grade(question, studentAnswer, { maxMarks }) {
+    const correctIndexes = new Set(this.getCorrectIndexes(question));
+    const selections = toAnswerList(studentAnswer);
+
+    const matched = new Set();
+    const picked = new Set();
+    let wrong = 0;
+
+    for (const selection of selections) {
+      const index = gradingService.resolveOptionIndex(selection, question.options || []);
+      if (index !== null && picked.has(index)) continue;
+      if (index !== null) picked.add(index);
+
+      if (index !== null && correctIndexes.has(index)) {
+        matched.add(index);
+      } else {
+        wrong++;
+      }
+    }
+
+    const isCorrect = correctIndexes.size > 0 && matched.size === correctIndexes.size && wrong === 0;
+    let marks = isCorrect ? maxMarks : 0;
+
+    if (!isCorrect && question.partialCredit !== false && correctIndexes.size > 0) {
+      const share = Math.max(0, (matched.size - wrong) / correctIndexes.size);
+      marks = Math.round(share * maxMarks * 100) / 100;
+    }
+
+    let feedback = 'Incorrect selection.';
+    if (isCorrect) feedback = 'All correct options selected.';
+    else if (selections.length === 0) feedback = 'Not answered.';
+    else if (marks > 0) feedback = `Partially correct: ${matched.size} of ${correctIndexes.size} correct options selected${wrong ? `, ${wrong} incorrect` : ''}.`;
+
+    return { isCorrect, marks, penalty: 0, feedback };
+  }
+};
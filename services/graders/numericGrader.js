@@ -0,0 +1,53 @@
+const normalizeUnit = (unit) => (unit || '').toLowerCase().replace(/\s+/g, '');
+
+// Split "9.81 m/s^2" into a number and a unit
+const parseNumber = (value) => {
+  if (typeof value === 'number') return { number: value, unit: '' };
+
+  const match = `${value || ''}`.trim().replace(/,/g, '').match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*(.*)$/i);
+  if (!match) return { number: NaN, unit: '' };
+
+  return { number: parseFloat(match[1]), unit: match[2].trim() };
+};
+
+// Numeric answers are accepted within an absolute or percentage tolerance, with optional units
+module.exports = {
+  parseNumber,
+
+  async grade(question, studentAnswer, { answered, maxMarks }) {
+    if (!answered) {
+      return { isCorrect: false, marks: 0, penalty: 0, feedback: 'Not answered.' };
+    }
+
+    const key = question.numericAnswer || {};
+    const expected = key.value !== undefined ? Number(key.value) : parseNumber(question.answer).number;
+    const { number, unit } = parseNumber(studentAnswer);
+
+    if (!Number.isFinite(number)) {
+      return { isCorrect: false, marks: 0, penalty: 0, feedback: 'Answer is not a number.' };
+    }
+
+    if (key.unit) {
+      const allowedUnits = [key.unit, ...(key.acceptedUnits || [])].map(normalizeUnit);
+      if (unit && !allowedUnits.includes(normalizeUnit(unit))) {
+        return { isCorrect: false, marks: 0, penalty: 0, feedback: `Incorrect unit. Expected ${key.unit}.` };
+      }
+      if (!unit && key.requireUnit) {
+        return { isCorrect: false, marks: 0, penalty: 0, feedback: `Unit missing. Expected ${key.unit}.` };
+      }
+    }
+
+    const tolerance = key.toleranceType === 'percent'
+      ? Math.abs(expected) * (key.tolerance || 0) / 100
+      : (key.tolerance || 0);
+    // Small epsilon so exact decimal answers are not rejected by floating point noise
+    const isCorrect = Math.abs(number - expected) <= tolerance + 1e-9;
+
+    return {
+      isCorrect,
+      marks: isCorrect ? maxMarks : 0,
+      penalty: 0,
+      feedback: isCorrect ? 'Correct answer.' : 'Answer is outside the accepted range.'
+    };
+  }
+};
@@ -0,0 +1,87 @@
+const gradingService = require('../gradingService');
+const llmService = require('../llmService');
+const offlineGradingService = require('../offlineGradingService');
+const promptSafetyService = require('../promptSafetyService');
+
+// An LLM grade more generous than the offline heuristic by more than this share of the
+// question's marks is flagged; a manipulated model tends to over-award, not under-award
+const HEURISTIC_MARGIN = 0.5;
+
+// Answer graded offline, flagged for review when it stands in for the LLM
+const gradeOffline = (question, studentAnswer, maxMarks, settings, fallback) => {
+  const grading = offlineGradingService.grade(question, studentAnswer, maxMarks, settings);
+  return {
+    isCorrect: grading.isCorrect,
+    marks: grading.marks,
+    penalty: 0,
+    feedback: fallback ? `${grading.feedback} (AI grading unavailable; graded offline.)` : grading.feedback,
+    needsReview: fallback && grading.feedback !== 'No answer provided.',
+    reviewReasons: fallback && grading.feedback !== 'No answer provided.' ? ['ai-unavailable'] : [],
+    rubricResult: grading.rubricResult
+  };
+};
+
+const gradeWithLlm = async (question, studentAnswer, maxMarks, quiz, settings, retryLlmErrors) => {
+  try {
+    // The provider is the one configured for the quiz owner's institution
+    const llmContext = { userId: quiz && quiz.userId, retryLlmErrors };
+    if (!(await gradingService.isConfigured(llmContext))) {
+      return gradeOffline(question, studentAnswer, maxMarks, settings, true);
+    }
+
+    const hasRubric = question.rubric && question.rubric.criteria && question.rubric.criteria.length > 0;
+    const grading = hasRubric
+      ? await gradingService.gradeWithRubric(question.question, question.answer, question.rubric, studentAnswer, maxMarks, llmContext)
+      : await gradingService.gradeShortAnswer(question.question, question.answer, studentAnswer, maxMarks, llmContext);
+
+    const confidence = typeof grading.confidence === 'number' ? grading.confidence : undefined;
+    const reviewReasons = [];
+    if (grading.needsReview) reviewReasons.push('ai-unavailable');
+    if (confidence !== undefined && confidence < settings.minConfidence) reviewReasons.push('low-confidence');
+
+    // Cross-check against the deterministic grader
+    const heuristic = offlineGradingService.grade(question, studentAnswer, maxMarks, settings);
+    if (!grading.needsReview && grading.marks - heuristic.marks > HEURISTIC_MARGIN * maxMarks) {
+      reviewReasons.push('heuristic-mismatch');
+    }
+
+    return {
+      isCorrect: grading.isCorrect,
+      marks: grading.marks,
+      penalty: 0,
+      feedback: grading.feedback,
+      needsReview: reviewReasons.length > 0,
+      reviewReasons,
+      confidence,
+      rubricResult: grading.rubricResult
+    };
+  } catch (error) {
+    // Left to the grading queue, which tries the whole attempt again later
+    if (retryLlmErrors && llmService.isRetryable(error)) throw error;
+    console.error('Error grading short answer:', error);
+    return gradeOffline(question, studentAnswer, maxMarks, settings, true);
+  }
+};
+
+// Free-text answers graded by the LLM, against the question's rubric when it has one and
+// otherwise against the model answer alone. Grades the model is unsure of, or that are far more
+// generous than the offline heuristic, are flagged. Quizzes set to offline grading, or any quiz
+// when the LLM is not configured or fails, use the deterministic offline grader; with
+// `retryLlmErrors`, timeouts and server errors are thrown instead so the caller can retry. Answers
+// that seem to address the grader ("ignore the instructions...") are always flagged.
+module.exports = {
+  async grade(question, studentAnswer, { maxMarks, quiz, retryLlmErrors = false }) {
+    const settings = offlineGradingService.getSettings(quiz);
+    const grade = settings.mode === 'offline'
+      ? gradeOffline(question, studentAnswer, maxMarks, settings, false)
+      : await gradeWithLlm(question, studentAnswer, maxMarks, quiz, settings, retryLlmErrors);
+
+    const suspiciousContent = promptSafetyService.detectInjection(studentAnswer);
+    if (suspiciousContent.length > 0) {
+      grade.needsReview = true;
+      grade.reviewReasons = [...grade.reviewReasons, 'suspected-injection'];
+      grade.suspiciousContent = suspiciousContent;
+    }
+    return grade;
+  }
+};
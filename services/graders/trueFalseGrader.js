@@ -0,0 +1,19 @@
+const mcqGrader = require('./mcqGrader');
+const { parseBoolean } = require('../questionTypes');
+
+// True/false questions follow the same negative-marking policy as MCQs
+module.exports = {
+  async grade(question, studentAnswer, { quiz, answered, maxMarks }) {
+    const expected = parseBoolean(question.answer);
+    const given = parseBoolean(studentAnswer);
+    const isCorrect = expected !== null && given === expected;
+    const penalty = isCorrect ? 0 : mcqGrader.getPenalty(quiz && quiz.negativeMarking, studentAnswer, answered);
+
+    return {
+      isCorrect,
+      marks: isCorrect ? maxMarks : (penalty > 0 ? -penalty : 0),
+      penalty,
+      feedback: isCorrect ? 'Correct answer.' : (answered ? 'Incorrect answer.' : 'Not answered.')
+    };
+  }
+};
@@ -0,0 +1,164 @@
+const offlineGradingService = require('./offlineGradingService');
+
+// Answers whose word sets overlap at least this much (Jaccard) count as near-identical
+const SIMILARITY_THRESHOLD = 0.8;
+// Near-identical answers may differ by at most this share of the question's marks
+const MARK_TOLERANCE = 0.1;
+
+// Consistency checks for AI-graded short answers: near-identical answers to the same question
+// should get the same marks, and grades the model was unsure of should be looked at.
+class GradingConsistencyService {
+  // Stemmed words of an answer. Stopwords are kept so "is not" and "is" stay apart.
+  terms(text) {
+    return new Set(offlineGradingService.words(text).map(w => offlineGradingService.stem(w)));
+  }
+
+  similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const term of a) {
+      if (b.has(term)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+  }
+
+  marksDiffer(a, b, maxMarks) {
+    return Math.abs((a || 0) - (b || 0)) > MARK_TOLERANCE * (maxMarks || 1);
+  }
+
+  // Answered short-answer entries of every attempt, grouped by question
+  collectAnswers(attempts) {
+    const byQuestion = new Map();
+    for (const attempt of attempts) {
+      for (const answer of attempt.answers || []) {
+        if (answer.type !== 'short-answer' || !offlineGradingService.words(answer.studentAnswer).length) continue;
+
+        const key = `${answer.questionId || ''}`;
+        if (!byQuestion.has(key)) byQuestion.set(key, []);
+        byQuestion.get(key).push({ attempt, answer, terms: this.terms(answer.studentAnswer) });
+      }
+    }
+    return byQuestion;
+  }
+
+  // Group similar answers; an answer joins a cluster when it is similar to any member of it
+  cluster(entries) {
+    const parent = entries.map((entry, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        if (this.similarity(entries[i].terms, entries[j].terms) >= SIMILARITY_THRESHOLD) {
+          parent[find(j)] = find(i);
+        }
+      }
+    }
+
+    const clusters = new Map();
+    entries.forEach((entry, i) => {
+      const root = find(i);
+      if (!clusters.has(root)) clusters.set(root, []);
+      clusters.get(root).push(entry);
+    });
+    return [...clusters.values()];
+  }
+
+  describe({ attempt, answer }) {
+    return {
+      attemptId: attempt._id,
+      studentName: attempt.studentName,
+      studentUSN: attempt.studentUSN,
+      answerId: answer._id,
+      studentAnswer: answer.studentAnswer,
+      marks: answer.marks,
+      maxMarks: answer.maxMarks,
+      confidence: answer.confidence,
+      gradedBy: answer.gradedBy
+    };
+  }
+
+  // Clusters of similar answers per question and every answer a teacher should review:
+  // members of clusters whose marks disagree, low-confidence AI grades and anything the grader
+  // already flagged. Manually graded answers are never flagged again.
+  review(quiz, attempts) {
+    const { minConfidence } = offlineGradingService.getSettings(quiz);
+    const questions = [];
+    const flags = new Map();
+
+    const flag = (entry, reason) => {
+      if (entry.answer.gradedBy === 'manual') return;
+      const key = `${entry.attempt._id}:${entry.answer.questionId}`;
+      if (!flags.has(key)) {
+        flags.set(key, {
+          ...this.describe(entry),
+          questionId: entry.answer.questionId,
+          question: entry.answer.question,
+          reasons: []
+        });
+      }
+      if (!flags.get(key).reasons.includes(reason)) flags.get(key).reasons.push(reason);
+    };
+
+    for (const [questionId, entries] of this.collectAnswers(attempts)) {
+      const clusters = this.cluster(entries)
+        .filter(members => members.length > 1)
+        .map(members => {
+          const marks = members.map(m => m.answer.marks || 0);
+          const inconsistent = members.some(a => members.some(b =>
+            this.marksDiffer(a.answer.marks, b.answer.marks, a.answer.maxMarks)
+          ));
+          if (inconsistent) members.forEach(member => flag(member, 'inconsistent'));
+
+          return {
+            size: members.length,
+            minMarks: Math.min(...marks),
+            maxMarks: Math.max(...marks),
+            inconsistent,
+            answers: members.map(member => this.describe(member))
+          };
+        });
+
+      if (clusters.length > 0) {
+        questions.push({ questionId, question: entries[0].answer.question, clusters });
+      }
+
+      for (const entry of entries) {
+        const { confidence, needsReview, reviewReasons } = entry.answer;
+        if (typeof confidence === 'number' && confidence < minConfidence) flag(entry, 'low-confidence');
+        if (needsReview) (reviewReasons && reviewReasons.length > 0 ? reviewReasons : ['needs-review']).forEach(r => flag(entry, r));
+      }
+    }
+
+    return {
+      minConfidence,
+      inconsistentClusters: questions.reduce((sum, q) => sum + q.clusters.filter(c => c.inconsistent).length, 0),
+      flaggedCount: flags.size,
+      flags: [...flags.values()],
+      questions
+    };
+  }
+
+  // Flag freshly graded short answers whose marks disagree with a near-identical answer in an
+  // earlier attempt. Returns the number of answers flagged.
+  flagInconsistent(gradedAnswers, peerAttempts) {
+    const peers = this.collectAnswers(peerAttempts);
+    let flagged = 0;
+
+    for (const answer of gradedAnswers) {
+      if (answer.type !== 'short-answer') continue;
+      const terms = this.terms(answer.studentAnswer);
+      const similar = (peers.get(`${answer.questionId || ''}`) || []).filter(peer =>
+        this.similarity(terms, peer.terms) >= SIMILARITY_THRESHOLD
+      );
+
+      if (similar.some(peer => this.marksDiffer(answer.marks, peer.answer.marks, answer.maxMarks))) {
+        answer.needsReview = true;
+        answer.reviewReasons = [...new Set([...(answer.reviewReasons || []), 'inconsistent'])];
+        flagged++;
+      }
+    }
+    return flagged;
+  }
+}
+
+module.exports = new GradingConsistencyService();
@@ -0,0 +1,152 @@
+const mcqGrader = require('./graders/mcqGrader');
+const multiSelectGrader = require('./graders/multiSelectGrader');
+const trueFalseGrader = require('./graders/trueFalseGrader');
+const numericGrader = require('./graders/numericGrader');
+const fillBlankGrader = require('./graders/fillBlankGrader');
+const shortAnswerGrader = require('./graders/shortAnswerGrader');
+const attemptLayoutService = require('./attemptLayoutService');
+
+// Single grading pipeline shared by every submission route. Each question type is
+// handled by a grader exposing `grade(question, studentAnswer, context)` which resolves to
+// `{ isCorrect, marks, penalty, feedback }`; the engine turns that into the stored
+// QuizAttempt answer shape and the attempt totals.
+class GradingEngine {
+  constructor() {
+    this.graders = {};
+  }
+
+  registerGrader(type, grader) {
+    this.graders[type] = grader;
+  }
+
+  getGrader(question) {
+    if (this.graders[question.type]) {
+      return this.graders[question.type];
+    }
+    // Legacy 'mixed' questions: graded as MCQ when they carry options
+    return question.options && question.options.length > 0
+      ? this.graders.mcq
+      : this.graders['short-answer'];
+  }
+
+  getQuestionId(question) {
+    return (question._id || question.id || '').toString();
+  }
+
+  // Student answers arrive either as a positional array (legacy link flow),
+  // an array of { questionId, studentAnswer } objects, or a { questionId: answer } map
+  resolveStudentAnswer(question, index, studentAnswers) {
+    if (!studentAnswers) return '';
+
+    const questionId = this.getQuestionId(question);
+
+    if (Array.isArray(studentAnswers)) {
+      const keyed = studentAnswers.find(a =>
+        a && typeof a === 'object' && !Array.isArray(a) && a.questionId !== undefined &&
+        a.questionId.toString() === questionId
+      );
+      if (keyed) return keyed.studentAnswer !== undefined ? keyed.studentAnswer : keyed.answer;
+
+      const positional = studentAnswers[index];
+      if (positional && typeof positional === 'object' && !Array.isArray(positional)) return '';
+      return positional !== undefined && positional !== null ? positional : '';
+    }
+
+    if (typeof studentAnswers === 'object') {
+      const value = studentAnswers[questionId];
+      return value !== undefined && value !== null ? value : '';
+    }
+
+    return '';
+  }
+
+  isAnswered(studentAnswer) {
+    if (Array.isArray(studentAnswer)) return studentAnswer.length > 0;
+    return studentAnswer !== undefined && studentAnswer !== null && `${studentAnswer}`.trim() !== '';
+  }
+
+  async gradeQuestion(question, studentAnswer, context = {}) {
+    const maxMarks = question.marks || 1;
+    const answered = this.isAnswered(studentAnswer);
+    const grader = this.getGrader(question);
+
+    const grade = await grader.grade(question, studentAnswer, { ...context, maxMarks, answered });
+
+    return {
+      questionId: this.getQuestionId(question),
+      question: question.question,
+      type: question.type,
+      options: question.options || [],
+      studentAnswer: answered ? studentAnswer : '',
+      correctAnswer: question.answer,
+      isCorrect: !!grade.isCorrect,
+      marks: grade.marks,
+      maxMarks,
+      penalty: grade.penalty || 0,
+      feedback: grade.feedback || '',
+      explanation: question.explanation || grade.feedback || '',
+      needsReview: !!grade.needsReview || (grade.reviewReasons || []).length > 0,
+      reviewReasons: grade.reviewReasons || [],
+      confidence: grade.confidence,
+      suspiciousContent: grade.suspiciousContent || [],
+      rubricResult: grade.rubricResult
+    };
+  }
+
+  // Grade a full attempt. `questions` defaults to the questions the attempt received (all of
+  // them unless the quiz draws from a pool) in quiz order, which is also the order of the stored
+  // results. When the attempt has a shuffled layout, positional answers follow the displayed
+  // order and option choices are mapped back to the teacher's original options before grading.
+  // `retryLlmErrors` lets LLM timeouts and server errors fail the attempt instead of grading
+  // offline. `onProgress` is awaited after each question (the grading queue renews its lock).
+  async gradeAttempt(quiz, studentAnswers, { attempt = null, questions, retryLlmErrors = false, onProgress } = {}) {
+    questions = questions || attemptLayoutService.getAttemptQuestions(quiz, attempt);
+    const gradedAnswers = [];
+
+    for (let i = 0; i < questions.length; i++) {
+      const question = questions[i];
+      const questionId = this.getQuestionId(question);
+      const position = attemptLayoutService.getPosition(attempt, questionId, i);
+      const studentAnswer = attemptLayoutService.toCanonicalAnswer(
+        question,
+        this.resolveStudentAnswer(question, position, studentAnswers),
+        attemptLayoutService.getOptionOrder(attempt, questionId)
+      );
+      gradedAnswers.push(await this.gradeQuestion(question, studentAnswer, { quiz, retryLlmErrors }));
+      if (onProgress) await onProgress();
+    }
+
+    return {
+      gradedAnswers,
+      ...this.calculateTotals(gradedAnswers),
+      suspiciousAnswers: gradedAnswers
+        .filter(a => a.suspiciousContent.length > 0)
+        .map(a => ({ questionId: a.questionId, matches: a.suspiciousContent }))
+    };
+  }
+
+  calculateTotals(gradedAnswers) {
+    const totalMarks = gradedAnswers.reduce((sum, a) => sum + (a.marks || 0), 0);
+    const maxMarks = gradedAnswers.reduce((sum, a) => sum + (a.maxMarks || 0), 0);
+    const penaltyMarks = gradedAnswers.reduce((sum, a) => sum + (a.penalty || 0), 0);
+    const percentage = maxMarks > 0 ? (totalMarks / maxMarks) * 100 : 0;
+
+    return {
+      totalMarks,
+      maxMarks,
+      penaltyMarks,
+      correctAnswers: gradedAnswers.filter(a => a.isCorrect).length,
+      percentage: Math.round(percentage * 100) / 100
+    };
+  }
+}
+
+const gradingEngine = new GradingEngine();
+gradingEngine.registerGrader('mcq', mcqGrader);
+gradingEngine.registerGrader('multi-select', multiSelectGrader);
+gradingEngine.registerGrader('true-false', trueFalseGrader);
+gradingEngine.registerGrader('numeric', numericGrader);
+gradingEngine.registerGrader('fill-blank', fillBlankGrader);
+gradingEngine.registerGrader('short-answer', shortAnswerGrader);
+
+module.exports = gradingEngine;
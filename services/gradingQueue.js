@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const GradingJob = require('../models/GradingJob');
+const QuizAttempt = require('../models/QuizAttempt');
+const Quiz = require('../models/Quiz');
+const gradingEngine = require('./gradingEngine');
+const gradingConsistencyService = require('./gradingConsistencyService');
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+// A running job whose lock has not been renewed within this time is assumed dead and retried.
+// Workers renew the lock after every graded question, each taking at most one LLM timeout.
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const RETRY_BASE_DELAY_MS = 5000;
+
+// Mongo-backed grading queue. Submissions are saved with their raw answers and a GradingJob;
+// workers claim jobs with an atomic update, so several server instances can share the queue.
+// Long-running servers poll continuously (start); serverless deploys call runBatch from a
+// scheduled request instead.
+class GradingQueue {
+  constructor() {
+    this.workerId = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    this.concurrency = parseInt(process.env.GRADING_CONCURRENCY, 10) || DEFAULT_CONCURRENCY;
+    this.active = 0;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  // Queue an attempt for grading (re-queues it if it was graded or failed before)
+  async enqueue(attempt, { maxTries } = {}) {
+    return GradingJob.findOneAndUpdate(
+      { attemptId: attempt._id },
+      {
+        $set: {
+          quizId: attempt.quizId,
+          status: 'queued',
+          tries: 0,
+          runAt: new Date(),
+          lastError: null,
+          lockedAt: null,
+          lockedBy: null,
+          completedAt: null,
+          ...(maxTries ? { maxTries } : {})
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  // Atomically take the next due job, including jobs left running by a crashed worker
+  async claimNext() {
+    const now = new Date();
+    return GradingJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+        ]
+      },
+      {
+        $set: { status: 'running', lockedAt: now, lockedBy: this.workerId },
+        $inc: { tries: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  // Store graded answers and totals on the attempt
+  applyGrading(attempt, grading) {
+    attempt.answers = grading.gradedAnswers;
+    attempt.totalMarks = grading.totalMarks;
+    attempt.maxMarks = grading.maxMarks;
+    attempt.penaltyMarks = grading.penaltyMarks;
+    attempt.percentage = grading.percentage;
+    attempt.suspiciousAnswers = grading.suspiciousAnswers || [];
+    attempt.gradingStatus = 'completed';
+
+    // Blocked attempts stay blocked; answers the grader could not score wait for a teacher
+    const needsReview = grading.gradedAnswers.some(a => a.needsReview);
+    if (attempt.status !== 'blocked') {
+      attempt.status = needsReview ? 'submitted' : 'graded';
+    }
+    if (!needsReview) attempt.gradedAt = new Date();
+  }
+
+  // Push the lock of a running job forward. Throws (with `lockLost`) when another worker took
+  // the job over or it was queued again meanwhile, so this run's results must be dropped.
+  async renewLock(job) {
+    const now = new Date();
+    const { matchedCount } = await GradingJob.updateOne(
+      { _id: job._id, status: 'running', lockedBy: this.workerId },
+      { $set: { lockedAt: now } }
+    );
+    if (matchedCount === 0) {
+      const error = new Error('Job lock lost to another worker');
+      error.lockLost = true;
+      throw error;
+    }
+    job.lockedAt = now;
+  }
+
+  // Record the outcome of a run, unless the job no longer belongs to this worker
+  async finishJob(job, update) {
+    const { matchedCount } = await GradingJob.updateOne(
+      { _id: job._id, lockedBy: this.workerId },
+      { $set: { ...update, lockedAt: null, lockedBy: null } }
+    );
+    if (matchedCount > 0) Object.assign(job, update, { lockedAt: null, lockedBy: null });
+    return matchedCount > 0;
+  }
+
+  async processJob(job) {
+    try {
+      const attempt = await QuizAttempt.findById(job.attemptId);
+      if (!attempt) throw new Error('Quiz attempt not found');
+
+      const quiz = await Quiz.findById(attempt.quizId);
+      if (!quiz) throw new Error('Quiz not found');
+
+      attempt.gradingStatus = 'grading';
+      await attempt.save();
+
+      // LLM timeouts and server errors send the job back for another try; on the last one the
+      // affected answers are graded offline and flagged for review instead
+      const grading = await gradingEngine.gradeAttempt(quiz, attempt.submittedAnswers || [], {
+        attempt,
+        retryLlmErrors: job.tries < job.maxTries,
+        onProgress: () => this.renewLock(job)
+      });
+
+      // Near-identical answers already graded differently are left for a teacher to settle
+      const peers = await QuizAttempt.find({
+        quizId: attempt.quizId,
+        _id: { $ne: attempt._id },
+        status: { $in: ['submitted', 'graded', 'blocked'] }
+      }).select('answers.questionId answers.type answers.studentAnswer answers.marks answers.maxMarks');
+      gradingConsistencyService.flagInconsistent(grading.gradedAnswers, peers);
+
+      // Only the worker still holding the job may store its grades
+      await this.renewLock(job);
+      this.applyGrading(attempt, grading);
+      await attempt.save();
+
+      await this.finishJob(job, { status: 'completed', completedAt: new Date(), lastError: null });
+
+      console.log(`📊 [GRADING] Attempt ${attempt._id}: ${grading.totalMarks}/${grading.maxMarks}`);
+      if (attempt.suspiciousAnswers.length > 0) {
+        console.warn(`🚩 [GRADING] Attempt ${attempt._id} has ${attempt.suspiciousAnswers.length} answer(s) addressing the grader; flagged for review`);
+      }
+    } catch (error) {
+      if (error.lockLost) {
+        console.warn(`⚠️ [GRADING] Job for attempt ${job.attemptId} was taken over by another worker; dropping this run`);
+        return;
+      }
+      console.error(`❌ [GRADING] Job for attempt ${job.attemptId} failed (try ${job.tries}/${job.maxTries}):`, error.message);
+
+      const retry = job.tries < job.maxTries;
+      const recorded = await this.finishJob(job, retry
+        // Exponential backoff: 5s, 10s, 20s, ...
+        ? { status: 'queued', runAt: new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (job.tries - 1)), lastError: error.message }
+        : { status: 'failed', lastError: error.message });
+      if (!recorded) return;
+
+      await QuizAttempt.updateOne(
+        retry ? { _id: job.attemptId, gradingStatus: 'grading' } : { _id: job.attemptId },
+        { gradingStatus: retry ? 'queued' : 'failed' }
+      );
+    }
+  }
+
+  // Claim and run jobs until the concurrency limit is reached
+  async tick() {
+    if (this.ticking || mongoose.connection.readyState !== 1) return;
+    this.ticking = true;
+
+    try {
+      while (this.active < this.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        this.active++;
+        this.processJob(job)
+          .catch(error => console.error('❌ [GRADING] Could not record job result:', error.message))
+          .finally(() => {
+            this.active--;
+          });
+      }
+    } catch (error) {
+      console.error('❌ [GRADING] Queue poll failed:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Poll for jobs in the background (long-running servers)
+  start({ pollInterval = DEFAULT_POLL_INTERVAL_MS } = {}) {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), pollInterval);
+    if (this.timer.unref) this.timer.unref();
+    console.log(`🧮 Grading queue started (concurrency ${this.concurrency})`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Process due jobs until none are left or the time budget runs out (serverless schedulers)
+  async runBatch({ timeBudgetMs = 50000 } = {}) {
+    const deadline = Date.now() + timeBudgetMs;
+    let processed = 0;
+
+    while (Date.now() < deadline) {
+      const jobs = [];
+      for (let i = 0; i < this.concurrency; i++) {
+        const job = await this.claimNext();
+        if (!job) break;
+        jobs.push(job);
+      }
+      if (jobs.length === 0) break;
+
+      await Promise.all(jobs.map(job => this.processJob(job)));
+      processed += jobs.length;
+    }
+
+    return { processed };
+  }
+}
+
+module.exports = new GradingQueue();
@@ -1,97 +1,15 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llmService = require('./llmService');
+const promptSafetyService = require('./promptSafetyService');
 
+// LLM requests are made through llmService; `context` ({ userId }) selects the provider
+// configured for the quiz owner's institution. With `context.retryLlmErrors`, errors worth
+// retrying (see llmService.isRetryable) are thrown instead of falling back to keyword matching.
 class GradingService {
-  constructor() {
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-      console.warn('GEMINI_API_KEY not set. Auto-grading will not work.');
-    }
-    this.genAI = apiKey ? new GoogleGenerativeAI(apiKey) : null;
+  async isConfigured(context = {}) {
+    return llmService.isConfigured(context);
   }
 
-  async gradeQuizAttempt(questions, studentAnswers) {
-    if (!this.genAI) {
-      throw new Error('Gemini API not configured');
-    }
-
-    const gradedAnswers = [];
-    let totalMarks = 0;
-    const maxMarks = questions.length;
-
-    for (let i = 0; i < questions.length; i++) {
-      const question = questions[i];
-      const studentAnswer = studentAnswers[i];
-
-      const gradedAnswer = {
-        questionId: question.id,
-        question: question.question,
-        type: question.type,
-        options: question.options || [],
-        studentAnswer: studentAnswer,
-        correctAnswer: question.answer,
-        explanation: question.explanation || ''
-      };
-
-      if (question.type === 'mcq') {
-        const studentAns = this.normalizeMCQAnswer(studentAnswer);
-        const correctAns = this.normalizeMCQAnswer(question.answer);
-
-        let isCorrect = studentAns === correctAns;
-
-        // If not a direct match, check if student provided the full text and answer is a letter, or vice versa
-        if (!isCorrect && question.options && question.options.length > 0) {
-          const letterToIndex = { 'A': 0, 'B': 1, 'C': 2, 'D': 3 };
-
-          // Case 1: Answer is a letter (A, B, C, D), Student provided full text
-          if (letterToIndex[correctAns] !== undefined) {
-            const correctText = this.normalizeMCQAnswer(question.options[letterToIndex[correctAns]]);
-            if (studentAns === correctText) isCorrect = true;
-          }
-
-          // Case 2: Answer is full text, Student provided a letter (A, B, C, D)
-          if (!isCorrect && letterToIndex[studentAns] !== undefined) {
-            const studentProvidedText = this.normalizeMCQAnswer(question.options[letterToIndex[studentAns]]);
-            if (studentProvidedText === correctAns) isCorrect = true;
-          }
-        }
-
-        gradedAnswer.isCorrect = isCorrect;
-        gradedAnswer.marks = isCorrect ? (question.marks || 1) : 0;
-        totalMarks += gradedAnswer.marks;
-      } else if (question.type === 'short-answer') {
-        // Use Gemini to grade short answers
-        try {
-          const grading = await this.gradeShortAnswer(
-            question.question,
-            question.answer,
-            studentAnswer
-          );
-          gradedAnswer.isCorrect = grading.isCorrect;
-          gradedAnswer.marks = grading.marks;
-          gradedAnswer.explanation = grading.feedback;
-          totalMarks += gradedAnswer.marks;
-        } catch (error) {
-          console.error('Error grading short answer:', error);
-          gradedAnswer.isCorrect = false;
-          gradedAnswer.marks = 0;
-          gradedAnswer.explanation = 'Error in auto-grading. Manual review needed.';
-        }
-      }
-
-      gradedAnswers.push(gradedAnswer);
-    }
-
-    const percentage = maxMarks > 0 ? (totalMarks / maxMarks) * 100 : 0;
-
-    return {
-      gradedAnswers,
-      totalMarks,
-      maxMarks,
-      percentage: Math.round(percentage * 100) / 100
-    };
-  }
-
-  async gradeShortAnswer(question, correctAnswer, studentAnswer) {
+  async gradeShortAnswer(question, correctAnswer, studentAnswer, maxMarks = 1, context = {}) {
     if (!studentAnswer || studentAnswer.trim() === '') {
       return {
         isCorrect: false,
@@ -100,41 +18,37 @@ class GradingService {
       };
     }
 
-    const model = this.genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-
     const prompt = `You are an expert teacher grading a student's answer. Be fair and objective.
 
 QUESTION: ${question}
 
 EXPECTED ANSWER (Model Answer): ${correctAnswer}
 
-STUDENT'S ANSWER: ${studentAnswer}
+STUDENT'S ANSWER:
+${promptSafetyService.delimit(studentAnswer)}
+
+${promptSafetyService.instructions()}
 
 Evaluate the student's answer and provide:
 1. Whether the answer is correct (true/false) - Be lenient if key concepts are present
-2. Marks (0 to 1, can be 0.5 for partial credit)
+2. Marks from 0 to ${maxMarks}, in steps of 0.5 (award partial credit for partially correct answers)
 3. Brief feedback
+4. How confident you are in this grade, from 0 (guessing) to 1 (certain)
 
 Respond ONLY with valid JSON in this exact format:
 {
   "isCorrect": true or false,
-  "marks": 0, 0.5, or 1,
-  "feedback": "Brief feedback explaining the marks"
+  "marks": a number from 0 to ${maxMarks},
+  "feedback": "Brief feedback explaining the marks",
+  "confidence": a number from 0 to 1
 }`;
 
     try {
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      let responseText = response.text().trim();
-
-      // Clean up response
-      if (responseText.startsWith('```json')) {
-        responseText = responseText.replace(/```json\n?/, '').replace(/\n?```$/, '');
-      } else if (responseText.startsWith('```')) {
-        responseText = responseText.replace(/```\n?/, '').replace(/\n?```$/, '');
-      }
-
-      const grading = JSON.parse(responseText);
+      const grading = await this.requestJson(prompt, {
+        ...context,
+        purpose: 'short-answer-grading',
+        meta: { correctAnswer, studentAnswer, maxMarks }
+      });
 
       // Validate response
       if (typeof grading.isCorrect !== 'boolean' ||
@@ -144,34 +58,185 @@ Respond ONLY with valid JSON in this exact format:
       }
 
       // Ensure marks are in valid range
-      grading.marks = Math.max(0, Math.min(1, grading.marks));
+      grading.marks = Math.max(0, Math.min(maxMarks, grading.marks));
+      grading.confidence = this.parseConfidence(grading.confidence);
 
       return grading;
     } catch (error) {
-      console.error('Gemini grading error:', error);
-      // Fallback: simple string matching
+      if (context.retryLlmErrors && llmService.isRetryable(error)) throw error;
+      console.error('LLM grading error:', error.message);
+      // Fallback: simple string matching, flagged for a teacher to confirm
       const similarity = this.calculateSimilarity(
         correctAnswer.toLowerCase(),
         studentAnswer.toLowerCase()
       );
 
       if (similarity > 0.7) {
-        return { isCorrect: true, marks: 1, feedback: 'Answer matches expected response.' };
+        return { isCorrect: true, marks: maxMarks, feedback: 'Answer matches expected response.', needsReview: true };
       } else if (similarity > 0.4) {
-        return { isCorrect: false, marks: 0.5, feedback: 'Partially correct answer.' };
+        return { isCorrect: false, marks: maxMarks / 2, feedback: 'Partially correct answer.', needsReview: true };
       } else {
-        return { isCorrect: false, marks: 0, feedback: 'Answer does not match expected response.' };
+        return { isCorrect: false, marks: 0, feedback: 'Answer does not match expected response.', needsReview: true };
       }
     }
   }
 
-  normalizeMCQAnswer(answer) {
-    if (!answer) return '';
-    const text = answer.trim().toUpperCase();
+  // Send a prompt to the configured LLM and parse the JSON it answers with
+  async requestJson(prompt, context = {}) {
+    return llmService.generateJson(prompt, context);
+  }
+
+  // Grade a short answer against a rubric. The model judges each criterion (0 to 1, with
+  // evidence quoted from the answer) and each misconception; the score itself is computed here.
+  async gradeWithRubric(question, modelAnswer, rubric, studentAnswer, maxMarks = 1, context = {}) {
+    if (!studentAnswer || `${studentAnswer}`.trim() === '') {
+      return this.scoreRubric(rubric, null, '', maxMarks);
+    }
+
+    const criteriaList = rubric.criteria
+      .map((c, i) => `${i + 1}. ${c.description} (weight ${c.weight})`)
+      .join('\n');
+    const misconceptionList = (rubric.misconceptions || []).length > 0
+      ? rubric.misconceptions.map((m, i) => `${i + 1}. ${m.description}`).join('\n')
+      : 'None';
+
+    const prompt = `You are an expert teacher grading a student's answer against a rubric. Be fair and objective.
 
-    // Improved regex: match A-D ONLY if it's the whole string,
+QUESTION: ${question}
+
+MODEL ANSWER: ${modelAnswer}
+
+RUBRIC CRITERIA:
+${criteriaList}
+
+MISCONCEPTIONS TO CHECK FOR:
+${misconceptionList}
+
+STUDENT'S ANSWER:
+${promptSafetyService.delimit(studentAnswer)}
+
+${promptSafetyService.instructions()}
+
+For every criterion, give a score from 0 (not addressed) to 1 (fully addressed), using 0.5 for partial coverage,
+and quote the part of the student's answer that supports it (empty string if none).
+For every misconception, say whether the answer shows it and quote the evidence.
+Finally, say how confident you are in this assessment, from 0 (guessing) to 1 (certain).
+
+Respond ONLY with valid JSON in this exact format:
+{
+  "criteria": [{ "criterion": 1, "score": 0.5, "evidence": "quote from the answer" }],
+  "misconceptions": [{ "misconception": 1, "present": false, "evidence": "" }],
+  "feedback": "Brief feedback for the student",
+  "confidence": 0.9
+}`;
+
+    try {
+      const assessment = await this.requestJson(prompt, {
+        ...context,
+        purpose: 'rubric-grading',
+        meta: { rubric, studentAnswer }
+      });
+      if (!assessment || !Array.isArray(assessment.criteria)) {
+        throw new Error('Invalid rubric grading format');
+      }
+      return {
+        ...this.scoreRubric(rubric, assessment, studentAnswer, maxMarks),
+        confidence: this.parseConfidence(assessment.confidence)
+      };
+    } catch (error) {
+      if (context.retryLlmErrors && llmService.isRetryable(error)) throw error;
+      console.error('LLM rubric grading error:', error.message);
+      // Fallback: credit only criteria whose required keywords all appear, flagged for review
+      const result = this.scoreRubric(rubric, null, studentAnswer, maxMarks);
+      return { ...result, needsReview: true, feedback: 'Scored from rubric keywords only. Manual review recommended.' };
+    }
+  }
+
+  // Model confidence clamped to 0..1, or null when the model did not give a usable one
+  parseConfidence(value) {
+    const confidence = Number(value);
+    if (value === undefined || value === null || value === '' || !Number.isFinite(confidence)) return null;
+    return Math.max(0, Math.min(1, confidence));
+  }
+
+  // Turn per-criterion judgements into marks. Without an assessment, a criterion earns full
+  // credit only when it has required keywords and all of them are present.
+  scoreRubric(rubric, assessment, studentAnswer, maxMarks = 1) {
+    const answerText = `${studentAnswer || ''}`.toLowerCase();
+    const judged = (list, key, index) => (assessment && Array.isArray(assessment[list])
+      ? assessment[list].find(item => Number(item[key]) === index + 1)
+      : null) || {};
+
+    const totalWeight = rubric.criteria.reduce((sum, c) => sum + c.weight, 0);
+    const toMarks = (weight) => (totalWeight > 0 ? Math.round((weight / totalWeight) * maxMarks * 100) / 100 : 0);
+
+    const criteria = rubric.criteria.map((criterion, i) => {
+      const keywords = criterion.requiredKeywords || [];
+      const missingKeywords = keywords.filter(k => !answerText.includes(`${k}`.toLowerCase()));
+      const judgement = judged('criteria', 'criterion', i);
+
+      let score = assessment
+        ? Math.max(0, Math.min(1, Number(judgement.score) || 0))
+        : (keywords.length > 0 && missingKeywords.length === 0 && answerText ? 1 : 0);
+      if (missingKeywords.length > 0) score = 0;
+
+      return {
+        description: criterion.description,
+        weight: criterion.weight,
+        score,
+        awarded: toMarks(criterion.weight * score),
+        evidence: typeof judgement.evidence === 'string' ? judgement.evidence : '',
+        missingKeywords
+      };
+    });
+
+    const misconceptions = (rubric.misconceptions || []).map((misconception, i) => {
+      const judgement = judged('misconceptions', 'misconception', i);
+      const present = judgement.present === true;
+      return {
+        description: misconception.description,
+        penalty: misconception.penalty,
+        present,
+        deducted: present ? toMarks(misconception.penalty) : 0,
+        evidence: present && typeof judgement.evidence === 'string' ? judgement.evidence : ''
+      };
+    });
+
+    const earned = criteria.reduce((sum, c) => sum + c.weight * c.score, 0);
+    const deducted = misconceptions.filter(m => m.present).reduce((sum, m) => sum + m.penalty, 0);
+    const fraction = totalWeight > 0 ? Math.max(0, earned - deducted) / totalWeight : 0;
+    const marks = Math.round(Math.min(1, fraction) * maxMarks * 100) / 100;
+
+    return {
+      isCorrect: marks >= maxMarks,
+      marks,
+      feedback: assessment && assessment.feedback
+        ? `${assessment.feedback}`
+        : (answerText ? 'Scored against the rubric.' : 'No answer provided.'),
+      rubricResult: {
+        criteria,
+        misconceptions,
+        earnedWeight: earned,
+        deductedWeight: deducted,
+        totalWeight
+      }
+    };
+  }
+
+  // Letters used to label options, e.g. 'E' for a question with five options
+  getOptionLetters(optionCount) {
+    const count = Math.min(Math.max(optionCount || 0, 1), 26);
+    return `A-${String.fromCharCode(64 + count)}`;
+  }
+
+  normalizeMCQAnswer(answer, optionCount = 4) {
+    if (answer === undefined || answer === null || answer === '') return '';
+    const text = `${answer}`.trim().toUpperCase();
+    const letters = this.getOptionLetters(optionCount);
+
+    // Match a letter ONLY if it's the whole string,
     // or if it's followed by a separator like '.', ')', '-', etc.
-    const match = text.match(/^([A-D])(?:$|[\s\.\)\-].*)/);
+    const match = text.match(new RegExp(`^([${letters}])(?:$|[\\s\\.\\)\\-].*)`));
 
     // If it matches a letter shorthand, return just the letter
     if (match) {
@@ -179,7 +244,7 @@ Respond ONLY with valid JSON in this exact format:
       // Double check: if the original text is longer than 2-3 chars, 
       // it's likely actually full text that happens to start with a letter.
       // E.g. "Database" should NOT match "D".
-      if (text.length <= 3 || /^[A-D][\.\)\-\s]/.test(text)) {
+      if (text.length <= 3 || new RegExp(`^[${letters}][\\.\\)\\-\\s]`).test(text)) {
         return letter;
       }
     }
@@ -187,6 +252,34 @@ Respond ONLY with valid JSON in this exact format:
     return text;
   }
 
+  // Map an answer given as an option index, a letter (A, B, C, ...) or the option text
+  // to the index of the option it refers to. Returns null when it matches no option.
+  resolveOptionIndex(answer, options = []) {
+    if (answer === undefined || answer === null || answer === '' || options.length === 0) return null;
+
+    if (typeof answer === 'number') {
+      return Number.isInteger(answer) && answer >= 0 && answer < options.length ? answer : null;
+    }
+
+    const text = `${answer}`.trim().toUpperCase();
+    const optionTexts = options.map(o => `${o || ''}`.trim().toUpperCase());
+
+    // The full option text wins, so options that are themselves letters still resolve correctly
+    const textIndex = optionTexts.indexOf(text);
+    if (textIndex !== -1) return textIndex;
+
+    const normalized = this.normalizeMCQAnswer(text, options.length);
+    if (normalized.length === 1) {
+      const letterIndex = normalized.charCodeAt(0) - 65;
+      if (letterIndex >= 0 && letterIndex < options.length) return letterIndex;
+    }
+
+    // "B) Paris" style answers where the letter prefix was stripped above but the text still matches
+    const stripped = text.replace(new RegExp(`^[${this.getOptionLetters(options.length)}][\\.\\)\\-]\\s*`), '');
+    const strippedIndex = optionTexts.indexOf(stripped);
+    return strippedIndex !== -1 ? strippedIndex : null;
+  }
+
   calculateSimilarity(str1, str2) {
     const longer = str1.length > str2.length ? str1 : str2;
     const shorter = str1.length > str2.length ? str2 : str1;
@@ -0,0 +1,91 @@
+// Deterministic stand-in for a real model. Used in local development and tests
+// so quiz generation and grading can run without network access or an API key.
+class FakeProvider {
+  constructor({ responses = [], model = 'fake-model' } = {}) {
+    this.name = 'fake';
+    this.model = model || 'fake-model';
+    // Queued raw responses are returned first (useful for exercising the repair loop)
+    this.responses = [...responses];
+    this.calls = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  queueResponse(text) {
+    this.responses.push(text);
+  }
+
+  async generate(prompt, options = {}) {
+    this.calls.push({ prompt, options });
+
+    if (this.responses.length > 0) {
+      return { text: this.responses.shift() };
+    }
+
+    if (options.purpose === 'quiz-generation') {
+      return { text: JSON.stringify(this.buildQuiz(options.meta || {})) };
+    }
+    if (options.purpose === 'short-answer-grading') {
+      return { text: JSON.stringify(this.gradeAnswer(options.meta || {})) };
+    }
+    if (options.purpose === 'rubric-grading') {
+      return { text: JSON.stringify(this.assessRubric(options.meta || {})) };
+    }
+
+    return { text: '{}' };
+  }
+
+  // Full marks when the answer contains the model answer, otherwise none
+  gradeAnswer({ correctAnswer = '', studentAnswer = '', maxMarks = 1 }) {
+    const expected = `${correctAnswer}`.trim().toLowerCase();
+    const isCorrect = expected !== '' && `${studentAnswer}`.toLowerCase().includes(expected);
+    return {
+      isCorrect,
+      marks: isCorrect ? maxMarks : 0,
+      feedback: isCorrect ? 'Matches the model answer.' : 'Does not match the model answer.',
+      confidence: 0.9
+    };
+  }
+
+  // A criterion is met when all of its required keywords appear; misconceptions are never found
+  assessRubric({ rubric = {}, studentAnswer = '' }) {
+    const answer = `${studentAnswer}`.toLowerCase();
+    return {
+      criteria: (rubric.criteria || []).map((criterion, i) => {
+        const keywords = criterion.requiredKeywords || [];
+        const met = keywords.length > 0 && keywords.every(k => answer.includes(`${k}`.toLowerCase()));
+        return { criterion: i + 1, score: met ? 1 : 0, evidence: met ? keywords.join(', ') : '' };
+      }),
+      misconceptions: (rubric.misconceptions || []).map((m, i) => ({ misconception: i + 1, present: false, evidence: '' })),
+      feedback: 'Scored by the mock provider.',
+      confidence: 0.9
+    };
+  }
+
+  buildQuiz({ numQuestions = 5, questionType = 'mcq', difficulty = 'medium', topic = 'the topic', marks = 1, sources }) {
+    const levels = ['easy', 'medium', 'hard'];
+    const questions = [];
+
+    for (let i = 0; i < numQuestions; i++) {
+      const type = questionType === 'mixed' ? (i % 2 === 0 ? 'mcq' : 'short-answer') : questionType;
+      const level = difficulty === 'mixed' ? levels[i % levels.length] : difficulty;
+
+      questions.push({
+        question: `Question ${i + 1} about ${topic}?`,
+        type,
+        options: type === 'mcq' ? ['Option A', 'Option B', 'Option C', 'Option D'] : [],
+        answer: type === 'mcq' ? 'A' : `Model answer ${i + 1} about ${topic}.`,
+        explanation: `Explanation for question ${i + 1}.`,
+        marks,
+        difficulty: level,
+        ...(sources && sources.length > 0 ? { source: sources[i % sources.length] } : {})
+      });
+    }
+
+    return { questions };
+  }
+}
+
+module.exports = FakeProvider;
@@ -0,0 +1,34 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+class GeminiProvider {
+  constructor({ apiKey = process.env.GEMINI_API_KEY, model = 'gemini-1.5-flash' } = {}) {
+    this.name = 'gemini';
+    this.model = model || 'gemini-1.5-flash';
+    this.genAI = apiKey ? new GoogleGenerativeAI(apiKey) : null;
+  }
+
+  isConfigured() {
+    return !!this.genAI;
+  }
+
+  async generate(prompt, { signal } = {}) {
+    if (!this.genAI) {
+      throw new Error('Gemini API not configured');
+    }
+
+    const model = this.genAI.getGenerativeModel({ model: this.model });
+    const result = await model.generateContent(prompt, { signal });
+    const response = await result.response;
+    const usage = response.usageMetadata || {};
+
+    return {
+      text: response.text().trim(),
+      usage: {
+        inputTokens: usage.promptTokenCount,
+        outputTokens: usage.candidatesTokenCount
+      }
+    };
+  }
+}
+
+module.exports = GeminiProvider;
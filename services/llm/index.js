@@ -0,0 +1,41 @@
+const GeminiProvider = require('./geminiProvider');
+const OpenAIProvider = require('./openaiProvider');
+const FakeProvider = require('./fakeProvider');
+
+// Registered provider factories, keyed by name. Each provider exposes `isConfigured()` and
+// `generate(prompt, { purpose, meta, signal })`, resolving to `{ text, usage }` where usage
+// holds `inputTokens` and `outputTokens` when the server reports them.
+const providers = {
+  gemini: (options) => new GeminiProvider(options),
+  openai: (options) => new OpenAIProvider(options),
+  fake: (options) => new FakeProvider(options),
+  mock: (options) => new FakeProvider(options)
+};
+
+exports.registerProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+exports.createProvider = (name = process.env.LLM_PROVIDER || 'gemini', options = {}) => {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return factory(options);
+};
+
+// Rough token count for servers that do not report usage (about four characters per token)
+exports.estimateTokens = (text) => Math.ceil(`${text || ''}`.length / 4);
+
+// Strip markdown code fences and parse the JSON body of a model response
+exports.parseJsonResponse = (text) => {
+  let responseText = (text || '').trim();
+
+  if (responseText.startsWith('```json')) {
+    responseText = responseText.replace(/```json\n?/, '').replace(/\n?```$/, '');
+  } else if (responseText.startsWith('```')) {
+    responseText = responseText.replace(/```\n?/, '').replace(/\n?```$/, '');
+  }
+
+  return JSON.parse(responseText);
+};
@@ -0,0 +1,59 @@
+// Any server speaking the OpenAI chat completions API: OpenAI itself, or a local
+// Ollama (http://localhost:11434/v1) or llama.cpp (http://localhost:8080/v1) server.
+class OpenAIProvider {
+  constructor({ apiKey = process.env.LLM_API_KEY, model, baseUrl = 'https://api.openai.com/v1' } = {}) {
+    this.name = 'openai';
+    this.model = model;
+    this.baseUrl = (baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = apiKey;
+  }
+
+  // Local servers need no key, but every server needs to know which model to run
+  isConfigured() {
+    return !!this.model && (!!this.apiKey || !this.baseUrl.startsWith('https://api.openai.com'));
+  }
+
+  async generate(prompt, { signal } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('OpenAI-compatible provider not configured');
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.2
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      const error = new Error(`LLM request failed with status ${response.status}${body ? `: ${body.slice(0, 200)}` : ''}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    const choice = data.choices && data.choices[0];
+    if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+      throw new Error('LLM response has no message content');
+    }
+
+    const usage = data.usage || {};
+    return {
+      text: choice.message.content.trim(),
+      usage: {
+        inputTokens: usage.prompt_tokens,
+        outputTokens: usage.completion_tokens
+      }
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const LlmUsage = require('../models/LlmUsage');
+const { createProvider, parseJsonResponse, estimateTokens } = require('./llm');
+const { getProviderSettings, normalizeInstitution } = require('../config/llm');
+
+// How long a user's institution is remembered before it is looked up again
+const INSTITUTION_CACHE_MS = 5 * 60 * 1000;
+
+// Entry point for every LLM request. Picks the provider configured for the requesting user's
+// institution, enforces the provider's timeout and records token usage and cost per request.
+class LlmService {
+  constructor() {
+    this.clients = new Map();
+    this.institutions = new Map();
+    this.override = null;
+  }
+
+  // Send every request to one provider regardless of configuration (tests, local tools)
+  setProvider(provider, settings = {}) {
+    this.override = provider
+      ? { provider, settings: { key: 'override', timeoutMs: 30000, pricing: null, ...settings } }
+      : null;
+  }
+
+  async getInstitution(userId) {
+    if (!userId) return null;
+
+    const key = userId.toString();
+    const cached = this.institutions.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.institution;
+    if (mongoose.connection.readyState !== 1) return null;
+
+    const user = await User.findById(userId).select('institution').lean();
+    const institution = (user && user.institution) || null;
+    this.institutions.set(key, { institution, expiresAt: Date.now() + INSTITUTION_CACHE_MS });
+    return institution;
+  }
+
+  // Provider and settings for a request made on behalf of `userId` (or an explicit institution)
+  async getClient({ userId, institution } = {}) {
+    const name = institution !== undefined ? institution : await this.getInstitution(userId);
+    if (this.override) return { ...this.override, institution: name };
+
+    const settings = getProviderSettings(name);
+    if (!this.clients.has(settings.key)) {
+      const provider = createProvider(settings.provider, settings);
+      if (!provider.isConfigured()) {
+        console.warn(`⚠️ LLM provider "${settings.provider}" (${settings.key}) is not configured. AI grading and generation will not work.`);
+      }
+      this.clients.set(settings.key, { provider, settings });
+    }
+    return { ...this.clients.get(settings.key), institution: name };
+  }
+
+  async isConfigured(context) {
+    const { provider } = await this.getClient(context);
+    return provider.isConfigured();
+  }
+
+  // Token counts reported by the provider, or estimated from the text when it reports none
+  countTokens(prompt, result) {
+    const usage = (result && result.usage) || {};
+    const reported = Number.isFinite(usage.inputTokens) && Number.isFinite(usage.outputTokens);
+    return {
+      inputTokens: reported ? usage.inputTokens : estimateTokens(prompt),
+      outputTokens: reported ? usage.outputTokens : estimateTokens(result && result.text),
+      estimated: !reported
+    };
+  }
+
+  // Cost in USD from per-million-token prices, or null when the provider has no pricing
+  calculateCost(usage, pricing) {
+    if (!pricing) return null;
+    const cost = (usage.inputTokens * (Number(pricing.inputPerMillion) || 0) +
+      usage.outputTokens * (Number(pricing.outputPerMillion) || 0)) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+  }
+
+  // Store a usage record without holding up (or failing) the request
+  recordUsage(entry) {
+    const cost = entry.costUsd === null ? 'cost unknown' : `$${entry.costUsd.toFixed(6)}`;
+    console.log(`💰 [LLM] ${entry.purpose || 'request'} via ${entry.provider}/${entry.model} (${entry.institution}): ` +
+      `${entry.inputTokens}+${entry.outputTokens} tokens${entry.estimated ? ' (estimated)' : ''}, ${cost}, ${entry.durationMs}ms` +
+      (entry.status !== 'success' ? ` [${entry.status}]` : ''));
+
+    if (mongoose.connection.readyState !== 1) return;
+    LlmUsage.create(entry).catch(error => {
+      console.error('❌ [LLM] Could not record usage:', error.message);
+    });
+  }
+
+  // Send a prompt and resolve to `{ text, usage, provider, model }`
+  async generate(prompt, { purpose, meta, userId, institution } = {}) {
+    const client = await this.getClient({ userId, institution });
+    const { provider, settings } = client;
+    const controller = new AbortController();
+    const startedAt = Date.now();
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        const error = new Error(`LLM request timed out after ${settings.timeoutMs}ms`);
+        error.statusCode = 504;
+        error.timeout = true;
+        reject(error);
+      }, settings.timeoutMs);
+    });
+
+    const record = {
+      institution: normalizeInstitution(client.institution) || 'default',
+      userId: userId || undefined,
+      provider: provider.name,
+      model: provider.model,
+      purpose
+    };
+
+    try {
+      const result = await Promise.race([
+        provider.generate(prompt, { purpose, meta, signal: controller.signal }),
+        timeout
+      ]);
+
+      const usage = this.countTokens(prompt, result);
+      this.recordUsage({
+        ...record,
+        ...usage,
+        costUsd: this.calculateCost(usage, settings.pricing),
+        durationMs: Date.now() - startedAt,
+        status: 'success'
+      });
+
+      return { text: result.text, usage, provider: provider.name, model: provider.model };
+    } catch (error) {
+      const usage = { inputTokens: estimateTokens(prompt), outputTokens: 0, estimated: true };
+      this.recordUsage({
+        ...record,
+        ...usage,
+        costUsd: this.calculateCost(usage, settings.pricing),
+        durationMs: Date.now() - startedAt,
+        status: error.timeout ? 'timeout' : 'error',
+        error: error.message
+      });
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Whether a failed request may succeed if sent again later: timeouts, rate limits and server
+  // errors (providers report the HTTP status as `status`)
+  isRetryable(error) {
+    if (!error) return false;
+    if (error.timeout) return true;
+    const status = Number(error.status || error.statusCode);
+    return status === 429 || status >= 500;
+  }
+
+  // Send a prompt and parse the JSON the model answers with
+  async generateJson(prompt, context) {
+    const { text } = await this.generate(prompt, context);
+    return parseJsonResponse(text);
+  }
+
+  // Token and cost totals grouped by provider, model and purpose
+  async getUsageSummary(filter) {
+    const groups = await LlmUsage.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: { provider: '$provider', model: '$model', purpose: '$purpose' },
+          requests: { $sum: 1 },
+          failed: { $sum: { $cond: [{ $eq: ['$status', 'success'] }, 0, 1] } },
+          inputTokens: { $sum: '$inputTokens' },
+          outputTokens: { $sum: '$outputTokens' },
+          costUsd: { $sum: { $ifNull: ['$costUsd', 0] } },
+          averageDurationMs: { $avg: '$durationMs' }
+        }
+      },
+      { $sort: { '_id.provider': 1, '_id.model': 1, '_id.purpose': 1 } }
+    ]);
+
+    const breakdown = groups.map(g => ({
+      ...g._id,
+      requests: g.requests,
+      failed: g.failed,
+      inputTokens: g.inputTokens,
+      outputTokens: g.outputTokens,
+      costUsd: Math.round(g.costUsd * 1e6) / 1e6,
+      averageDurationMs: Math.round(g.averageDurationMs || 0)
+    }));
+
+    return {
+      totals: breakdown.reduce((totals, g) => ({
+        requests: totals.requests + g.requests,
+        inputTokens: totals.inputTokens + g.inputTokens,
+        outputTokens: totals.outputTokens + g.outputTokens,
+        costUsd: Math.round((totals.costUsd + g.costUsd) * 1e6) / 1e6
+      }), { requests: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 }),
+      breakdown
+    };
+  }
+}
+
+module.exports = new LlmService();
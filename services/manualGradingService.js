@@ -0,0 +1,127 @@
+const gradingEngine = require('./gradingEngine');
+
+// Teacher review of auto-graded answers. Every override is recorded on the attempt with the
+// previous grade, and the first override of an answer keeps the automatic result in `autoGrade`.
+class ManualGradingService {
+  findAnswer(attempt, answerKey) {
+    return attempt.answers.find(a =>
+      a.questionId === `${answerKey}` || (a._id && a._id.toString() === `${answerKey}`)
+    );
+  }
+
+  // Validate an override body against the answer it applies to
+  parseOverride(answer, input = {}) {
+    const maxMarks = answer.maxMarks || 1;
+    const update = {};
+
+    if (input.marks !== undefined) {
+      const marks = Number(input.marks);
+      if (!Number.isFinite(marks) || marks < 0 || marks > maxMarks) {
+        return { error: `marks must be a number between 0 and ${maxMarks}` };
+      }
+      update.marks = marks;
+    }
+    if (input.isCorrect !== undefined) {
+      if (typeof input.isCorrect !== 'boolean') {
+        return { error: 'isCorrect must be true or false' };
+      }
+      update.isCorrect = input.isCorrect;
+    }
+    if (input.feedback !== undefined) {
+      update.feedback = `${input.feedback}`.trim();
+    }
+
+    if (Object.keys(update).length === 0) {
+      return { error: 'Provide marks, isCorrect or feedback to override' };
+    }
+    // A full-marks override counts as correct unless the teacher says otherwise
+    if (update.marks !== undefined && update.isCorrect === undefined) {
+      update.isCorrect = update.marks >= maxMarks;
+    }
+    return { value: update };
+  }
+
+  // Apply one override to an attempt (not saved). Returns the updated answer.
+  applyOverride(attempt, answerKey, input, user) {
+    const answer = this.findAnswer(attempt, answerKey);
+    if (!answer) return { error: 'Answer not found on this attempt', statusCode: 404 };
+
+    const { error, value } = this.parseOverride(answer, input);
+    if (error) return { error, statusCode: 400 };
+
+    const previous = { marks: answer.marks, isCorrect: answer.isCorrect, feedback: answer.feedback };
+    if (answer.gradedBy !== 'manual') {
+      answer.autoGrade = previous;
+    }
+
+    Object.assign(answer, value);
+    // Manual marks replace any negative-marking deduction
+    if (value.marks !== undefined) answer.penalty = 0;
+    answer.gradedBy = 'manual';
+    answer.needsReview = false;
+
+    attempt.gradeOverrides.push({
+      questionId: answer.questionId,
+      changedBy: user._id,
+      changedByEmail: user.email,
+      previous,
+      updated: { marks: answer.marks, isCorrect: answer.isCorrect, feedback: answer.feedback },
+      reason: input.reason ? `${input.reason}`.trim() : undefined
+    });
+
+    return { value: answer };
+  }
+
+  // Recompute totals after overrides and finish grading once nothing is left to review
+  recalculate(attempt) {
+    const totals = gradingEngine.calculateTotals(attempt.answers);
+    attempt.totalMarks = totals.totalMarks;
+    attempt.maxMarks = totals.maxMarks;
+    attempt.penaltyMarks = totals.penaltyMarks;
+    attempt.percentage = totals.percentage;
+
+    const pending = attempt.answers.filter(a => a.needsReview).length;
+    if (pending === 0 && attempt.status === 'submitted') {
+      attempt.status = 'graded';
+    }
+    if (pending === 0) {
+      attempt.gradedAt = new Date();
+    }
+    return pending;
+  }
+
+  // Answers across attempts that a teacher should look at
+  listPendingReview(attempts, { includeAllShortAnswers = false } = {}) {
+    const items = [];
+    for (const attempt of attempts) {
+      for (const answer of attempt.answers) {
+        const pending = answer.needsReview || (includeAllShortAnswers && answer.type === 'short-answer');
+        if (!pending) continue;
+
+        items.push({
+          attemptId: attempt._id,
+          studentName: attempt.studentName,
+          studentUSN: attempt.studentUSN,
+          studentEmail: attempt.studentEmail,
+          questionId: answer.questionId,
+          question: answer.question,
+          type: answer.type,
+          studentAnswer: answer.studentAnswer,
+          correctAnswer: answer.correctAnswer,
+          marks: answer.marks,
+          maxMarks: answer.maxMarks,
+          isCorrect: answer.isCorrect,
+          feedback: answer.feedback,
+          needsReview: answer.needsReview,
+          reviewReasons: answer.reviewReasons,
+          suspiciousContent: answer.suspiciousContent,
+          confidence: answer.confidence,
+          gradedBy: answer.gradedBy
+        });
+      }
+    }
+    return items;
+  }
+}
+
+module.exports = new ManualGradingService();
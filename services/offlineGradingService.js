@@ -0,0 +1,213 @@
+const gradingService = require('./gradingService');
+
+const DEFAULT_SETTINGS = {
+  mode: 'llm',
+  fullCreditThreshold: 0.8,
+  partialCreditThreshold: 0.5,
+  fuzzyMatchThreshold: 0.2,
+  minConfidence: 0.6,
+  synonyms: []
+};
+
+// Share of the score that comes from keyword coverage; the rest is overall text similarity
+const COVERAGE_WEIGHT = 0.7;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'if', 'then', 'of', 'to', 'in', 'on', 'at', 'by', 'for',
+  'with', 'from', 'as', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'it', 'its', 'this',
+  'that', 'these', 'those', 'which', 'who', 'what', 'when', 'where', 'how', 'why', 'do', 'does',
+  'did', 'has', 'have', 'had', 'can', 'could', 'will', 'would', 'should', 'may', 'might', 'so',
+  'such', 'than', 'into', 'also', 'not', 'no', 'there', 'their', 'they', 'we', 'you', 'i',
+  // Instruction words common in rubric criteria ("mentions ...", "correctly explains ...")
+  'mention', 'mentions', 'explain', 'explains', 'describe', 'describes', 'state', 'states',
+  'identify', 'identifies', 'correctly', 'clearly', 'answer', 'student'
+]);
+
+// Deterministic short-answer grading with no network access: keyword coverage (with stemming,
+// teacher-supplied synonyms and fuzzy matching by normalized edit distance) combined with the
+// overall similarity already used as the LLM fallback.
+class OfflineGradingService {
+  // Grading settings for a quiz, with defaults for anything not configured
+  getSettings(quiz) {
+    const configured = (quiz && quiz.shortAnswerGrading) || {};
+    const settings = { ...DEFAULT_SETTINGS };
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+      if (configured[key] !== undefined && configured[key] !== null) settings[key] = configured[key];
+    }
+    settings.synonymGroups = this.buildSynonymGroups(settings.synonyms);
+    return settings;
+  }
+
+  // Light suffix stripping so "reflects", "reflected" and "reflecting" compare equal
+  stem(word) {
+    if (word.length <= 3) return word;
+
+    let stem = word;
+    if (stem.endsWith('sses')) stem = stem.slice(0, -2);
+    else if (stem.endsWith('ies')) stem = `${stem.slice(0, -3)}y`;
+    else if (stem.endsWith('s') && !stem.endsWith('ss') && !stem.endsWith('us') && !stem.endsWith('is')) stem = stem.slice(0, -1);
+
+    for (const suffix of ['ational', 'ization', 'ation', 'ement', 'ment', 'ness', 'ing', 'ed', 'ly', 'er']) {
+      if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+        stem = stem.slice(0, -suffix.length);
+        break;
+      }
+    }
+
+    // "stopp" -> "stop" after removing -ing/-ed from a doubled consonant
+    if (/([^aeiouslz])\1$/.test(stem)) stem = stem.slice(0, -1);
+    return stem;
+  }
+
+  words(text) {
+    return `${text || ''}`
+      .toLowerCase()
+      .replace(/[^a-z0-9\s.-]/g, ' ')
+      .replace(/(?<!\d)[.-]|[.-](?!\d)/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean);
+  }
+
+  contentWords(text) {
+    return [...new Set(this.words(text).filter(w => !STOPWORDS.has(w)))];
+  }
+
+  tokenize(text) {
+    return this.words(text).filter(w => !STOPWORDS.has(w)).map(w => this.stem(w));
+  }
+
+  // Map every stemmed synonym to the index of its group
+  buildSynonymGroups(synonyms = []) {
+    const groups = new Map();
+    synonyms.forEach((group, index) => {
+      (group || []).forEach(term => {
+        groups.set(this.tokenize(term).join(' '), index);
+      });
+    });
+    return groups;
+  }
+
+  // Normalized edit distance between two words (0 = identical, 1 = nothing in common)
+  distance(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 0 : gradingService.levenshteinDistance(a, b) / longest;
+  }
+
+  tokenMatches(token, answerTokens, settings) {
+    if (answerTokens.includes(token)) return true;
+
+    const group = settings.synonymGroups.get(token);
+    if (group !== undefined && answerTokens.some(t => settings.synonymGroups.get(t) === group)) return true;
+
+    // Short words must match exactly; longer ones tolerate typos
+    return token.length >= 4 && answerTokens.some(t =>
+      t.length >= 4 && this.distance(token, t) <= settings.fuzzyMatchThreshold
+    );
+  }
+
+  // A keyword may be a phrase: it counts when the whole phrase is a listed synonym of something
+  // in the answer, or when every word of it is present
+  keywordMatches(keyword, answerTokens, answerText, settings) {
+    const tokens = this.tokenize(keyword);
+    if (tokens.length === 0) return false;
+
+    const phrase = tokens.join(' ');
+    const group = settings.synonymGroups.get(phrase);
+    if (group !== undefined) {
+      for (const [term, termGroup] of settings.synonymGroups) {
+        if (termGroup === group && ` ${answerText} `.includes(` ${term} `)) return true;
+      }
+    }
+    return tokens.every(token => this.tokenMatches(token, answerTokens, settings));
+  }
+
+  coverage(keywords, studentAnswer, settings) {
+    const answerTokens = this.tokenize(studentAnswer);
+    const answerText = answerTokens.join(' ');
+    const matched = [];
+    const missing = [];
+
+    keywords.forEach(keyword => {
+      (this.keywordMatches(keyword, answerTokens, answerText, settings) ? matched : missing).push(keyword);
+    });
+
+    return {
+      fraction: keywords.length > 0 ? matched.length / keywords.length : 0,
+      matched,
+      missing
+    };
+  }
+
+  // Keywords set by the teacher, or the content words of the model answer
+  getKeywords(question) {
+    if (question.keywords && question.keywords.length > 0) return [...question.keywords];
+    return this.contentWords(question.answer);
+  }
+
+  // Score from 0 to 1 for an answer against the question's keywords and model answer
+  score(question, studentAnswer, settings) {
+    const coverage = this.coverage(this.getKeywords(question), studentAnswer, settings);
+    const similarity = gradingService.calculateSimilarity(
+      this.tokenize(question.answer).join(' '),
+      this.tokenize(studentAnswer).join(' ')
+    );
+
+    return {
+      score: COVERAGE_WEIGHT * coverage.fraction + (1 - COVERAGE_WEIGHT) * similarity,
+      coverage,
+      similarity
+    };
+  }
+
+  // Judge rubric criteria and misconceptions by keyword coverage, in the shape the LLM returns
+  assessRubric(rubric, studentAnswer, settings) {
+    const judge = (keywords) => this.coverage(keywords, studentAnswer, settings);
+
+    return {
+      criteria: rubric.criteria.map((criterion, i) => {
+        const keywords = criterion.requiredKeywords && criterion.requiredKeywords.length > 0
+          ? criterion.requiredKeywords
+          : this.contentWords(criterion.description);
+        const result = judge(keywords);
+        const score = result.fraction >= settings.fullCreditThreshold ? 1
+          : result.fraction >= settings.partialCreditThreshold ? 0.5 : 0;
+        return { criterion: i + 1, score, evidence: result.matched.join(', ') };
+      }),
+      misconceptions: (rubric.misconceptions || []).map((misconception, i) => {
+        const result = judge(this.contentWords(misconception.description));
+        const present = result.fraction >= settings.fullCreditThreshold;
+        return { misconception: i + 1, present, evidence: present ? result.matched.join(', ') : '' };
+      })
+    };
+  }
+
+  grade(question, studentAnswer, maxMarks = 1, settings = this.getSettings()) {
+    if (!studentAnswer || `${studentAnswer}`.trim() === '') {
+      return { isCorrect: false, marks: 0, feedback: 'No answer provided.' };
+    }
+
+    if (question.rubric && question.rubric.criteria && question.rubric.criteria.length > 0) {
+      const assessment = this.assessRubric(question.rubric, studentAnswer, settings);
+      return {
+        ...gradingService.scoreRubric(question.rubric, assessment, studentAnswer, maxMarks),
+        feedback: 'Scored offline against the rubric keywords.'
+      };
+    }
+
+    const { score, coverage } = this.score(question, studentAnswer, settings);
+    const missing = coverage.missing.length > 0 ? ` Missing: ${coverage.missing.join(', ')}.` : '';
+
+    if (score >= settings.fullCreditThreshold) {
+      return { isCorrect: true, marks: maxMarks, feedback: 'Answer covers the expected key points.' };
+    }
+    if (score >= settings.partialCreditThreshold) {
+      // Partial credit in steps of 0.5, never rounded up to full marks
+      const marks = Math.min(Math.max(Math.round(score * maxMarks * 2) / 2, 0.5), Math.max(maxMarks - 0.5, 0.5));
+      return { isCorrect: false, marks: Math.min(marks, maxMarks), feedback: `Partially correct answer.${missing}` };
+    }
+    return { isCorrect: false, marks: 0, feedback: `Answer does not cover the expected key points.${missing}` };
+  }
+}
+
+module.exports = new OfflineGradingService();
+module.exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const attemptLayoutService = require('./attemptLayoutService');
+const attemptSweeper = require('./attemptSweeper');
+
+const PACKAGE_VERSION = 2;
+const DEFAULT_UPLOAD_HOURS = 24;
+// Device clocks drift; timestamps this far outside the window are still accepted
+const CLOCK_SKEW_MS = 2 * 60 * 1000;
+const MIN_DEVICE_KEY_BITS = 2048;
+// Checkpoints kept per attempt; the oldest are dropped beyond this
+const MAX_CHECKPOINTS = 50;
+// DER prefix of a PKCS#8 Ed25519 private key, followed by its 32-byte seed
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Offline attempts for the mobile apps. The app generates an RSA key pair and keeps the private
+// key in the device's keystore; /quiz/start binds the attempt to the device and its public key and
+// returns the attempt as a package encrypted with a random key, which is only sent wrapped with
+// the device's public key, and signed with the server's Ed25519 key. The app signs the answer
+// bundle with its private key.
+//
+// A device can claim any completion time, so timing is only trusted as far as the server saw it.
+// Bundles uploaded before the time limit and grace period are accepted as of their upload. Later
+// uploads are only accepted if the server received a checkpoint with the bundle's digest before
+// the time limit (sent whenever the device was online, see recordCheckpoint), and count as
+// completed when that checkpoint arrived. Such attempts wait OFFLINE_UPLOAD_HOURS for the upload.
+class OfflineSyncService {
+  constructor() {
+    const hours = parseFloat(process.env.OFFLINE_UPLOAD_HOURS);
+    this.uploadHours = Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_UPLOAD_HOURS;
+    this.signingKey = null;
+  }
+
+  getSecret() {
+    return process.env.OFFLINE_SYNC_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+  }
+
+  // Ed25519 key the server signs packages with, derived from the secret so every instance
+  // signs with the same key
+  getSigningKey() {
+    if (!this.signingKey) {
+      const seed = Buffer.from(crypto.hkdfSync('sha256', this.getSecret(), '', 'offline-package-signing', 32));
+      this.signingKey = crypto.createPrivateKey({
+        key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+        format: 'der',
+        type: 'pkcs8'
+      });
+    }
+    return this.signingKey;
+  }
+
+  // Public half of the signing key, for the apps to verify packages with
+  getVerificationKey() {
+    return crypto.createPublicKey(this.getSigningKey()).export({ type: 'spki', format: 'pem' });
+  }
+
+  isValidDeviceId(deviceId) {
+    return typeof deviceId === 'string' && deviceId.trim().length > 0 && deviceId.length <= 200;
+  }
+
+  // The device's RSA public key (PEM), normalized. Returns { value } or { error }.
+  parseDeviceKey(pem) {
+    if (typeof pem !== 'string' || pem.length > 5000) {
+      return { error: 'A device public key (PEM) is required to download an attempt for offline use' };
+    }
+
+    let key;
+    try {
+      key = crypto.createPublicKey(pem);
+    } catch (error) {
+      return { error: 'The device public key could not be read' };
+    }
+    if (key.asymmetricKeyType !== 'rsa' || key.asymmetricKeyDetails.modulusLength < MIN_DEVICE_KEY_BITS) {
+      return { error: `The device public key must be an RSA key of at least ${MIN_DEVICE_KEY_BITS} bits` };
+    }
+    return { value: key.export({ type: 'spki', format: 'pem' }) };
+  }
+
+  // Last moment a submission counts as on time, or null for untimed attempts
+  getSubmitCutoff(attempt) {
+    const deadline = attempt.getDeadline();
+    return deadline ? new Date(deadline.getTime() + attemptSweeper.graceSeconds * 1000) : null;
+  }
+
+  // Offline attempts are not swept while their answers may still be uploaded
+  isAwaitingUpload(attempt, now = new Date()) {
+    const sync = attempt.offlineSync;
+    return !!(sync && sync.deviceId && sync.uploadDeadline && now <= new Date(sync.uploadDeadline));
+  }
+
+  // Bind the attempt to the device and build its package. The device key must have been checked
+  // with parseDeviceKey. The caller saves the attempt.
+  issuePackage(attempt, quiz, deviceId, devicePublicKey, now = new Date()) {
+    const sync = attempt.offlineSync || {};
+    if (sync.deviceId && sync.deviceId !== deviceId) {
+      return { error: 'This attempt has already been downloaded on another device' };
+    }
+    if (sync.devicePublicKey && sync.devicePublicKey !== devicePublicKey) {
+      return { error: 'This attempt has already been downloaded with another device key' };
+    }
+
+    const deadline = attempt.getDeadline();
+    attempt.offlineSync = {
+      deviceId,
+      devicePublicKey,
+      issuedAt: sync.issuedAt || now,
+      checkpoints: sync.checkpoints || [],
+      uploadDeadline: sync.uploadDeadline
+    };
+
+    const content = JSON.stringify({
+      attemptId: `${attempt._id}`,
+      quizId: `${quiz._id}`,
+      title: quiz.title,
+      description: quiz.description,
+      duration: quiz.duration,
+      negativeMarking: quiz.negativeMarking,
+      startedAt: attempt.startedAt,
+      deadline,
+      questions: attemptLayoutService.presentQuiz(quiz, attempt),
+      savedAnswers: attempt.savedAnswers || []
+    });
+
+    const packageKey = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', packageKey, iv);
+    const data = Buffer.concat([cipher.update(content, 'utf8'), cipher.final()]).toString('base64');
+
+    const offlinePackage = {
+      version: PACKAGE_VERSION,
+      algorithm: 'aes-256-gcm',
+      attemptId: `${attempt._id}`,
+      deviceId,
+      issuedAt: attempt.offlineSync.issuedAt,
+      deadline,
+      // The package key, readable only with the device's private key (RSA-OAEP, SHA-256)
+      wrappedKey: crypto.publicEncrypt({
+        key: devicePublicKey,
+        padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+        oaepHash: 'sha256'
+      }, packageKey).toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data
+    };
+    offlinePackage.signature = crypto
+      .sign(null, Buffer.from(this.packageSignatureText(offlinePackage)), this.getSigningKey())
+      .toString('base64');
+
+    return {
+      value: {
+        package: offlinePackage,
+        verificationKey: this.getVerificationKey()
+      }
+    };
+  }
+
+  packageSignatureText(offlinePackage) {
+    const { version, attemptId, deviceId, wrappedKey, iv, tag, data } = offlinePackage;
+    return [version, attemptId, deviceId, wrappedKey, iv, tag, data].join('.');
+  }
+
+  // Record that the device holds an answer bundle with this digest (SHA-256 hex of its base64
+  // payload) now, by the server's clock. Only checkpoints received in time count. The caller
+  // saves the attempt. Returns { value } or { error, status }.
+  recordCheckpoint(attempt, digest, now = new Date()) {
+    const sync = attempt.offlineSync;
+    if (!sync || !sync.deviceId) {
+      return { status: 400, error: 'This attempt was not downloaded for offline use' };
+    }
+    if (typeof digest !== 'string' || !/^[0-9a-f]{64}$/i.test(digest)) {
+      return { status: 400, error: 'The checkpoint needs the SHA-256 digest of the answer bundle payload' };
+    }
+
+    const cutoff = this.getSubmitCutoff(attempt);
+    if (cutoff && now > cutoff) {
+      return { status: 403, error: 'The time limit for this attempt has passed' };
+    }
+
+    sync.checkpoints = [...(sync.checkpoints || []), { digest: digest.toLowerCase(), receivedAt: now }]
+      .slice(-MAX_CHECKPOINTS);
+    // The bundle behind a checkpoint may still come in after the time limit
+    sync.uploadDeadline = new Date((cutoff || now).getTime() + this.uploadHours * 60 * 60 * 1000);
+
+    return { value: { receivedAt: now, uploadDeadline: sync.uploadDeadline } };
+  }
+
+  // Check an answer bundle { payload, signature } uploaded for an offline attempt. The payload is
+  // base64 JSON: { attemptId, deviceId, completedAt, answers: [{ questionId, studentAnswer,
+  // answeredAt }], violationReason }; the signature is the device key's RSA-SHA256 (PKCS#1 v1.5)
+  // signature of the payload, base64 encoded. Returns { value } or { error, status }.
+  verifyBundle(attempt, bundle, now = new Date()) {
+    const sync = attempt.offlineSync;
+    if (!sync || !sync.deviceId || !sync.devicePublicKey) {
+      return { status: 400, error: 'This attempt was not downloaded for offline use' };
+    }
+    if (!bundle || typeof bundle.payload !== 'string' || typeof bundle.signature !== 'string') {
+      return { status: 400, error: 'The answer bundle needs a payload and a signature' };
+    }
+
+    let signed = false;
+    try {
+      signed = crypto.verify('sha256', Buffer.from(bundle.payload), sync.devicePublicKey, Buffer.from(bundle.signature, 'base64'));
+    } catch (error) {
+      signed = false;
+    }
+    if (!signed) {
+      return { status: 400, error: 'The answer bundle signature is invalid; it may have been tampered with' };
+    }
+
+    let content;
+    try {
+      content = JSON.parse(Buffer.from(bundle.payload, 'base64').toString('utf8'));
+    } catch (error) {
+      return { status: 400, error: 'The answer bundle could not be read' };
+    }
+
+    if (`${content.attemptId}` !== `${attempt._id}`) {
+      return { status: 400, error: 'The answer bundle belongs to a different attempt' };
+    }
+    if (content.deviceId !== sync.deviceId) {
+      return { status: 400, error: 'The answer bundle comes from a different device' };
+    }
+
+    // The latest time the server can vouch for: the upload itself when it is on time, otherwise
+    // the checkpoint of this exact bundle received before the cutoff
+    let observedAt = now;
+    const cutoff = this.getSubmitCutoff(attempt);
+    if (cutoff && now > cutoff) {
+      if (sync.uploadDeadline && now > new Date(sync.uploadDeadline)) {
+        return { status: 403, error: 'The answer bundle was uploaded too late' };
+      }
+      const digest = sha256(bundle.payload);
+      const checkpoint = (sync.checkpoints || [])
+        .find(c => c.digest === digest && new Date(c.receivedAt) <= cutoff);
+      if (!checkpoint) {
+        return { status: 403, error: 'The answer bundle was not checkpointed before the time limit, so it cannot be accepted late' };
+      }
+      observedAt = new Date(checkpoint.receivedAt);
+    }
+
+    const completedAt = new Date(content.completedAt);
+    const earliest = new Date(attempt.startedAt).getTime() - CLOCK_SKEW_MS;
+    if (isNaN(completedAt) || completedAt.getTime() < earliest || completedAt.getTime() > observedAt.getTime() + CLOCK_SKEW_MS) {
+      return { status: 403, error: 'The attempt was completed outside the permitted time' };
+    }
+
+    const answers = Array.isArray(content.answers) ? content.answers : [];
+    if (answers.some(answer => !answer || typeof answer !== 'object' || Array.isArray(answer) || answer.questionId === undefined || answer.questionId === null)) {
+      return { status: 400, error: 'Every answer in the answer bundle needs a questionId' };
+    }
+    const outOfWindow = answers.some(answer => {
+      if (answer.answeredAt === undefined) return false;
+      const answeredAt = new Date(answer.answeredAt).getTime();
+      return isNaN(answeredAt) || answeredAt < earliest || answeredAt > completedAt.getTime() + CLOCK_SKEW_MS;
+    });
+    if (outOfWindow) {
+      return { status: 403, error: 'The answer bundle contains answers given outside the permitted time' };
+    }
+
+    return {
+      value: {
+        deviceId: sync.deviceId,
+        // Never later than the server saw the bundle
+        completedAt: new Date(Math.min(completedAt.getTime(), observedAt.getTime())),
+        answers: answers.map(answer => ({ questionId: `${answer.questionId}`, studentAnswer: answer.studentAnswer })),
+        // Proctoring violations the app recorded while offline
+        violationReason: typeof content.violationReason === 'string' ? content.violationReason : ''
+      }
+    };
+  }
+}
+
+module.exports = new OfflineSyncService();
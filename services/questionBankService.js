@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const Question = require('../models/Question');
+const { QUESTION_CONTENT_KEYS } = require('../models/questionContent');
+const { validateQuestion } = require('./questionTypes');
+
+const { BLOOM_LEVELS } = Question;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Faculty-owned question bank. Every content edit creates a new version; quizzes copy the
+// content of the version they pin, so later fixes only reach a quiz when it is re-pinned.
+class QuestionBankService {
+  // Content fields of a validated question, in a stable shape for hashing and versioning
+  pickContent(question) {
+    const content = {};
+    for (const key of QUESTION_CONTENT_KEYS) {
+      if (question[key] !== undefined) content[key] = question[key];
+    }
+    return content;
+  }
+
+  // validateQuestion labels errors for a quiz position; bank questions stand alone
+  describeError(error) {
+    return error.replace(/^Question 1:\s*/, '');
+  }
+
+  // Overlay an edit on the current content. A new answer replaces the derived answer keys
+  // instead of being overridden by them.
+  mergeEdit(current, input) {
+    const merged = { ...current, ...input };
+    const answerChanged = input.answer !== undefined || input.correctAnswer !== undefined ||
+      (input.type !== undefined && input.type !== current.type);
+
+    if (answerChanged) {
+      if (input.answerIndex === undefined) delete merged.answerIndex;
+      if (input.correctOptionIndexes === undefined) delete merged.correctOptionIndexes;
+      if (input.correctAnswers === undefined) delete merged.correctAnswers;
+      if (input.acceptedAnswers === undefined) delete merged.acceptedAnswers;
+      if (input.numericAnswer === undefined && merged.numericAnswer) {
+        merged.numericAnswer = { ...merged.numericAnswer, value: undefined };
+      }
+    }
+    return merged;
+  }
+
+  hashContent(content) {
+    const key = {
+      type: content.type,
+      question: `${content.question || ''}`.trim().toLowerCase(),
+      options: (content.options || []).map(o => `${o}`.trim().toLowerCase()),
+      answer: `${content.answer || ''}`.trim().toLowerCase()
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(key)).digest('hex');
+  }
+
+  // Validate the tagging fields sent with a bank question
+  parseMetadata(input = {}) {
+    if (input.bloomLevel && !BLOOM_LEVELS.includes(input.bloomLevel)) {
+      return { error: `bloomLevel must be one of: ${BLOOM_LEVELS.join(', ')}` };
+    }
+
+    const tags = Array.isArray(input.tags)
+      ? input.tags
+      : typeof input.tags === 'string' ? input.tags.split(',') : undefined;
+
+    const value = {};
+    if (input.subject !== undefined) value.subject = `${input.subject}`.trim();
+    if (input.topic !== undefined) value.topic = `${input.topic}`.trim();
+    if (input.bloomLevel !== undefined) value.bloomLevel = input.bloomLevel || undefined;
+    if (tags !== undefined) value.tags = [...new Set(tags.map(t => `${t}`.trim().toLowerCase()).filter(Boolean))];
+    return { value };
+  }
+
+  // Add a question to a user's bank. An identical question already in the bank is returned
+  // instead of creating a duplicate.
+  async createQuestion(userId, input, origin = { kind: 'manual' }) {
+    const { error, value } = validateQuestion(input, 0);
+    if (error) return { error: this.describeError(error) };
+
+    const metadata = this.parseMetadata(input);
+    if (metadata.error) return { error: metadata.error };
+
+    const content = this.pickContent(value);
+    const contentHash = this.hashContent(content);
+
+    const existing = await Question.findOne({ userId, contentHash, isArchived: false });
+    if (existing) return { value: existing, created: false };
+
+    const question = await Question.create({
+      userId,
+      ...content,
+      ...metadata.value,
+      version: 1,
+      versions: [{ version: 1, ...content }],
+      contentHash,
+      origin
+    });
+    return { value: question, created: true };
+  }
+
+  // Apply an edit. Content changes are saved as a new version; tag-only edits are not.
+  async updateQuestion(question, input) {
+    const metadata = this.parseMetadata(input);
+    if (metadata.error) return { error: metadata.error };
+
+    const hasContent = QUESTION_CONTENT_KEYS.some(key => input[key] !== undefined) || input.correctAnswer !== undefined;
+    if (hasContent) {
+      const current = question.getVersionContent();
+      const { error, value } = validateQuestion(this.mergeEdit(current, input), 0);
+      if (error) return { error: this.describeError(error) };
+
+      // Compare against the current version normalized the same way, so schema defaults
+      // stored on the version do not count as an edit
+      const content = this.pickContent(value);
+      const contentHash = this.hashContent(content);
+      const previous = validateQuestion(current, 0).value;
+      const changed = !previous || JSON.stringify(content) !== JSON.stringify(this.pickContent(previous));
+
+      if (changed) {
+        question.version += 1;
+        question.versions.push({ version: question.version, ...content });
+        for (const key of QUESTION_CONTENT_KEYS) {
+          question.set(key, content[key]);
+        }
+        question.contentHash = contentHash;
+      }
+    }
+
+    Object.assign(question, metadata.value);
+    await question.save();
+    return { value: question };
+  }
+
+  // Build the Mongo filter for a bank search
+  buildSearchFilter(userId, query = {}) {
+    const filter = { userId, isArchived: query.includeArchived === 'true' ? { $in: [true, false] } : false };
+
+    for (const field of ['subject', 'topic', 'difficulty', 'bloomLevel', 'type']) {
+      // As plain strings, so `?type[$ne]=` cannot pass a query operator through
+      if (query[field]) filter[field] = `${query[field]}`;
+    }
+    if (query.tags) {
+      const tags = `${query.tags}`.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+      if (tags.length > 0) filter.tags = { $all: tags };
+    }
+    if (query.search) {
+      const pattern = new RegExp(escapeRegex(`${query.search}`.trim()), 'i');
+      filter.$or = [{ question: pattern }, { subject: pattern }, { topic: pattern }, { tags: pattern }];
+    }
+    return filter;
+  }
+
+  // Whether a quiz entry linked to the bank carries content other than its pinned version's,
+  // i.e. the question was edited in the quiz editor. Marks are set per quiz and do not count.
+  isLocalEdit(entry, content) {
+    const hasContent = QUESTION_CONTENT_KEYS.some(key => key !== 'marks' && entry[key] !== undefined);
+    if (!hasContent) return false;
+
+    const edited = validateQuestion(entry, 0).value;
+    const pinned = validateQuestion(content, 0).value;
+    if (!edited || !pinned) return true;
+
+    const withoutMarks = ({ marks, ...rest }) => rest;
+    return JSON.stringify(withoutMarks(this.pickContent(edited))) !== JSON.stringify(withoutMarks(this.pickContent(pinned)));
+  }
+
+  // Resolve quiz question entries that reference the bank ({ bankQuestionId, version?, marks? })
+  // into the content of the pinned version. Other entries are returned unchanged, as are
+  // linked entries edited in the quiz, which are detached from the bank instead.
+  async resolveQuizQuestions(userId, entries) {
+    const ids = entries.filter(e => e && e.bankQuestionId).map(e => `${e.bankQuestionId}`);
+    if (ids.length === 0) return { value: entries };
+
+    const questions = await Question.find({ _id: { $in: ids }, userId });
+    const byId = new Map(questions.map(q => [q._id.toString(), q]));
+
+    const resolved = [];
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      if (!entry || !entry.bankQuestionId) {
+        resolved.push(entry);
+        continue;
+      }
+
+      const bankQuestion = byId.get(`${entry.bankQuestionId}`);
+      if (!bankQuestion) {
+        return { error: `Question ${i + 1}: bank question ${entry.bankQuestionId} not found` };
+      }
+
+      const version = entry.version !== undefined ? entry.version : entry.bankVersion;
+      const content = bankQuestion.getVersionContent(version);
+      if (!content) {
+        return { error: `Question ${i + 1}: bank question has no version ${version}` };
+      }
+
+      if (this.isLocalEdit(entry, content)) {
+        resolved.push({ ...entry, bankQuestionId: undefined, bankVersion: undefined });
+        continue;
+      }
+
+      resolved.push({
+        ...content,
+        _id: entry._id,
+        marks: entry.marks !== undefined ? entry.marks : content.marks,
+        bankQuestionId: bankQuestion._id,
+        bankVersion: version !== undefined && version !== null ? Number(version) : bankQuestion.version
+      });
+    }
+
+    return { value: resolved };
+  }
+
+  // Copy the questions saved in a bookmark into the owner's bank. Questions that fail
+  // validation are reported and skipped.
+  async importBookmark(bookmark) {
+    const sources = bookmark.type === 'quiz' && bookmark.quiz
+      ? (bookmark.quiz.questions || []).map(q => ({ question: q, difficulty: bookmark.quiz.difficulty }))
+      : bookmark.question && bookmark.question.question ? [{ question: bookmark.question }] : [];
+
+    const result = { created: 0, existing: 0, failed: [], questionIds: [] };
+    for (let i = 0; i < sources.length; i++) {
+      const source = sources[i].question.toObject ? sources[i].question.toObject() : sources[i].question;
+      const difficulty = source.difficulty || sources[i].difficulty;
+      const input = {
+        ...source,
+        type: source.type || 'mcq',
+        difficulty: ['easy', 'medium', 'hard'].includes(difficulty) ? difficulty : 'medium',
+        subject: bookmark.type === 'quiz' && bookmark.quiz ? bookmark.quiz.title : undefined
+      };
+      delete input._id;
+      delete input.id;
+
+      const { error, value, created } = await this.createQuestion(bookmark.userId, input, {
+        kind: 'bookmark',
+        bookmarkId: bookmark._id
+      });
+      if (error) {
+        result.failed.push({ index: i, error });
+        continue;
+      }
+      result.questionIds.push(value._id);
+      if (created) {
+        result.created++;
+      } else {
+        result.existing++;
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = new QuestionBankService();
@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+const gradingService = require('./gradingService');
+
+const QUESTION_TYPES = ['mcq', 'multi-select', 'true-false', 'numeric', 'fill-blank', 'short-answer', 'mixed'];
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+const isBlank = (value) => value === undefined || value === null || `${value}`.trim() === '';
+
+// Interpret the many ways a true/false answer can be written. Numbers are indexes into
+// TRUE_FALSE_OPTIONS, as option indexes are for MCQs, so 0 is "True" and 1 is "False".
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (isBlank(value)) return null;
+
+  const text = `${value}`.trim().toLowerCase();
+  if (/^\d+$/.test(text)) {
+    const option = TRUE_FALSE_OPTIONS[Number(text)];
+    return option ? option === 'True' : null;
+  }
+  if (['true', 't', 'yes', 'y', 'a'].includes(text)) return true;
+  if (['false', 'f', 'no', 'n', 'b'].includes(text)) return false;
+  return null;
+};
+
+// Multi-select answers may be sent as an array or a comma separated string
+const toAnswerList = (value) => {
+  if (Array.isArray(value)) return value.filter(v => !isBlank(v)).map(v => (typeof v === 'number' ? v : `${v}`.trim()));
+  if (isBlank(value)) return [];
+  return `${value}`.split(',').map(v => v.trim()).filter(Boolean);
+};
+
+const parseNumericAnswer = (q, rawAnswer) => {
+  const source = q.numericAnswer || {};
+  const value = Number(source.value !== undefined ? source.value : rawAnswer);
+
+  return {
+    value,
+    tolerance: source.tolerance === undefined ? 0 : Number(source.tolerance),
+    toleranceType: source.toleranceType || 'absolute',
+    unit: (source.unit || '').trim(),
+    acceptedUnits: Array.isArray(source.acceptedUnits) ? source.acceptedUnits.map(u => `${u}`.trim()).filter(Boolean) : [],
+    requireUnit: !!source.requireUnit
+  };
+};
+
+// Short-answer rubric: weighted criteria with optional required keywords, and misconception penalties
+const parseRubric = (rubric, label) => {
+  if (!rubric || !Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+    return { value: undefined };
+  }
+
+  const criteria = [];
+  for (let i = 0; i < rubric.criteria.length; i++) {
+    const c = rubric.criteria[i] || {};
+    if (isBlank(c.description)) {
+      return { error: `${label}: rubric criterion ${i + 1} needs a description` };
+    }
+    const weight = c.weight === undefined ? 1 : Number(c.weight);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      return { error: `${label}: rubric criterion ${i + 1} weight must be greater than 0` };
+    }
+    criteria.push({
+      description: `${c.description}`.trim(),
+      weight,
+      requiredKeywords: toAnswerList(c.requiredKeywords).map(k => `${k}`)
+    });
+  }
+
+  const misconceptions = [];
+  const listed = Array.isArray(rubric.misconceptions) ? rubric.misconceptions : [];
+  for (let i = 0; i < listed.length; i++) {
+    const m = listed[i] || {};
+    if (isBlank(m.description)) {
+      return { error: `${label}: rubric misconception ${i + 1} needs a description` };
+    }
+    const penalty = m.penalty === undefined ? 1 : Number(m.penalty);
+    if (!Number.isFinite(penalty) || penalty < 0) {
+      return { error: `${label}: rubric misconception ${i + 1} penalty must be at least 0` };
+    }
+    misconceptions.push({ description: `${m.description}`.trim(), penalty });
+  }
+
+  return { value: { criteria, misconceptions } };
+};
+
+// Validate a question sent to POST /api/quiz/save or PUT /api/quiz/:id and
+// normalize it into the shape stored on the Quiz model
+exports.validateQuestion = (q, index) => {
+  const label = `Question ${index + 1}`;
+
+  if (!q || typeof q.question !== 'string' || q.question.trim() === '') {
+    return { error: `${label} has empty question text` };
+  }
+
+  const type = q.type || 'mcq';
+  if (!QUESTION_TYPES.includes(type)) {
+    return { error: `${label}: unsupported question type "${type}"` };
+  }
+
+  const marks = q.marks === undefined || q.marks === null || q.marks === '' ? 1 : Number(q.marks);
+  if (!Number.isFinite(marks) || marks < 0.5) {
+    return { error: `${label}: marks must be at least 0.5` };
+  }
+
+  if (q._id !== undefined && q._id !== null && !mongoose.isValidObjectId(q._id)) {
+    return { error: `${label} has an invalid id` };
+  }
+
+  // Handle both naming conventions: correctAnswer or answer
+  const rawAnswer = q.correctAnswer !== undefined ? q.correctAnswer : q.answer;
+
+  const question = {
+    question: q.question.trim(),
+    options: Array.isArray(q.options) ? q.options : [],
+    answer: typeof rawAnswer === 'string' ? rawAnswer : '',
+    explanation: q.explanation || '',
+    marks,
+    type,
+    difficulty: q.difficulty || 'medium',
+    source: q.source,
+    bankQuestionId: q.bankQuestionId,
+    bankVersion: q.bankVersion
+  };
+
+  // Keep the id of an existing question so attempts referencing it stay valid
+  if (q._id !== undefined && q._id !== null) {
+    question._id = q._id;
+  }
+
+  switch (type) {
+    case 'mcq': {
+      if (question.options.length < 2) {
+        return { error: `${label}: MCQ must have at least 2 options` };
+      }
+      const key = Number.isInteger(q.answerIndex) ? q.answerIndex : rawAnswer;
+      if (isBlank(key)) {
+        return { error: `${label}: MCQ must have a correct answer` };
+      }
+      const answerIndex = gradingService.resolveOptionIndex(key, question.options);
+      if (answerIndex === null) {
+        return { error: `${label}: correct answer must be an option letter (A-${String.fromCharCode(64 + Math.min(question.options.length, 26))}), index or option text` };
+      }
+      question.answerIndex = answerIndex;
+      if (isBlank(question.answer)) {
+        question.answer = String.fromCharCode(65 + answerIndex);
+      }
+      break;
+    }
+
+    case 'multi-select': {
+      if (question.options.length < 2) {
+        return { error: `${label}: multiple-select questions must have at least 2 options` };
+      }
+      const keys = toAnswerList(
+        q.correctOptionIndexes !== undefined ? q.correctOptionIndexes
+          : q.correctAnswers !== undefined ? q.correctAnswers : rawAnswer
+      );
+      if (keys.length === 0) {
+        return { error: `${label}: multiple-select questions need at least one correct option` };
+      }
+      const indexes = keys.map(key => gradingService.resolveOptionIndex(key, question.options));
+      const unknown = keys.filter((key, i) => indexes[i] === null);
+      if (unknown.length > 0) {
+        return { error: `${label}: correct answers ${unknown.join(', ')} do not match any option` };
+      }
+      question.correctOptionIndexes = [...new Set(indexes)].sort((a, b) => a - b);
+      question.correctAnswers = question.correctOptionIndexes.map(i => String.fromCharCode(65 + i));
+      question.answer = question.correctAnswers.join(', ');
+      question.partialCredit = q.partialCredit !== false;
+      break;
+    }
+
+    case 'true-false': {
+      const value = parseBoolean(rawAnswer);
+      if (value === null) {
+        return { error: `${label}: true/false questions need an answer of true or false` };
+      }
+      question.options = TRUE_FALSE_OPTIONS;
+      question.answer = value ? 'True' : 'False';
+      break;
+    }
+
+    case 'numeric': {
+      const numeric = parseNumericAnswer(q, rawAnswer);
+      if (!Number.isFinite(numeric.value)) {
+        return { error: `${label}: numeric questions need a numeric answer` };
+      }
+      if (!Number.isFinite(numeric.tolerance) || numeric.tolerance < 0) {
+        return { error: `${label}: tolerance must be a number of at least 0` };
+      }
+      if (!['absolute', 'percent'].includes(numeric.toleranceType)) {
+        return { error: `${label}: toleranceType must be "absolute" or "percent"` };
+      }
+      question.options = [];
+      question.numericAnswer = numeric;
+      question.answer = numeric.unit ? `${numeric.value} ${numeric.unit}` : `${numeric.value}`;
+      break;
+    }
+
+    case 'fill-blank': {
+      const accepted = toAnswerList(q.acceptedAnswers !== undefined ? q.acceptedAnswers : [rawAnswer]);
+      if (accepted.length === 0) {
+        return { error: `${label}: fill-in-the-blank questions need at least one accepted answer` };
+      }
+      question.options = [];
+      question.acceptedAnswers = accepted;
+      question.caseSensitive = !!q.caseSensitive;
+      question.answer = accepted[0];
+      break;
+    }
+
+    case 'short-answer': {
+      if (isBlank(question.answer)) {
+        return { error: `${label}: a model answer is required` };
+      }
+      const rubric = parseRubric(q.rubric, label);
+      if (rubric.error) return { error: rubric.error };
+      if (rubric.value) question.rubric = rubric.value;
+      question.keywords = toAnswerList(q.keywords).map(k => `${k}`);
+      break;
+    }
+
+    default: {
+      if (isBlank(question.answer)) {
+        return { error: `${label}: a model answer is required` };
+      }
+    }
+  }
+
+  return { value: question };
+};
+
+// Question data sent to students: everything needed to render the input, never the key
+exports.toStudentQuestion = (q) => {
+  const view = {
+    id: q._id,
+    question: q.question,
+    type: q.type,
+    options: q.options || [],
+    marks: q.marks || 1,
+    difficulty: q.difficulty
+  };
+
+  switch (q.type) {
+    case 'multi-select':
+      view.multiple = true;
+      break;
+    case 'true-false':
+      view.options = TRUE_FALSE_OPTIONS;
+      break;
+    case 'numeric':
+      view.inputType = 'number';
+      view.unit = q.numericAnswer ? q.numericAnswer.unit || '' : '';
+      break;
+    case 'fill-blank':
+    case 'short-answer':
+      view.inputType = 'text';
+      break;
+    default:
+      break;
+  }
+
+  return view;
+};
+
+exports.QUESTION_TYPES = QUESTION_TYPES;
+exports.parseBoolean = parseBoolean;
+exports.toAnswerList = toAnswerList;
@@ -0,0 +1,61 @@
+// Per-question statistics for a quiz's attempts. With question pools every student sees a
+// different subset, so each question is measured against the attempts that actually received it
+// rather than against the total number of students.
+class QuizAnalyticsService {
+  questionId(question) {
+    return (question._id || question.id || '').toString();
+  }
+
+  getQuestionStats(quiz, attempts) {
+    const stats = new Map(quiz.questions.map(q => [this.questionId(q), {
+      questionId: this.questionId(q),
+      question: q.question,
+      type: q.type,
+      difficulty: q.difficulty || 'medium',
+      maxMarks: q.marks || 1,
+      seenBy: 0,
+      answered: 0,
+      correct: 0,
+      totalMarks: 0
+    }]));
+
+    for (const attempt of attempts) {
+      for (const answer of attempt.answers || []) {
+        const entry = stats.get(`${answer.questionId || ''}`);
+        if (!entry) continue;
+
+        const studentAnswer = answer.studentAnswer;
+        entry.seenBy += 1;
+        if (Array.isArray(studentAnswer) ? studentAnswer.length > 0 : studentAnswer !== undefined && studentAnswer !== null && `${studentAnswer}`.trim() !== '') {
+          entry.answered += 1;
+        }
+        if (answer.isCorrect) entry.correct += 1;
+        entry.totalMarks += answer.marks || 0;
+      }
+    }
+
+    return [...stats.values()].map(({ totalMarks, ...entry }) => ({
+      ...entry,
+      averageMarks: entry.seenBy > 0 ? Math.round((totalMarks / entry.seenBy) * 100) / 100 : null,
+      correctRate: entry.seenBy > 0 ? Math.round((entry.correct / entry.seenBy) * 10000) / 100 : null
+    }));
+  }
+
+  // Attempt-level summary. Averages use percentages because pooled attempts can have
+  // different maximum marks.
+  getSummary(attempts) {
+    const finished = attempts.filter(a => ['submitted', 'graded', 'blocked'].includes(a.status));
+    const percentages = finished.map(a => a.percentage || 0);
+
+    return {
+      attempts: finished.length,
+      averagePercentage: percentages.length > 0
+        ? Math.round((percentages.reduce((sum, p) => sum + p, 0) / percentages.length) * 100) / 100
+        : 0,
+      highestPercentage: percentages.length > 0 ? Math.max(...percentages) : 0,
+      lowestPercentage: percentages.length > 0 ? Math.min(...percentages) : 0
+    };
+  }
+}
+
+module.exports = new QuizAnalyticsService();
@@ -0,0 +1,268 @@
+const { parseJsonResponse } = require('./llm');
+const llmService = require('./llmService');
+
+const QUESTION_TYPES = ['mcq', 'short-answer', 'mixed'];
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'mixed'];
+const QUESTION_FIELDS = ['question', 'type', 'options', 'answer', 'explanation', 'marks', 'difficulty'];
+const MAX_QUESTIONS = 50;
+const MAX_ATTEMPTS = 3;
+
+class QuizGenerationService {
+  // Send every generation request to one provider (tests); normally the provider is chosen
+  // per institution by llmService
+  setProvider(provider) {
+    llmService.setProvider(provider);
+  }
+
+  // Validate and normalize the request body of POST /api/quiz/generate
+  validateRequest(params) {
+    const {
+      topic,
+      sourceText,
+      numQuestions = 5,
+      questionType = 'mcq',
+      difficulty = 'medium',
+      marksPerQuestion = 1
+    } = params || {};
+
+    for (const [key, text] of Object.entries({ topic, sourceText })) {
+      if (text !== undefined && text !== null && typeof text !== 'string') {
+        return { error: `${key} must be text` };
+      }
+    }
+
+    if ((!topic || !topic.trim()) && (!sourceText || !sourceText.trim())) {
+      return { error: 'Either topic or sourceText is required' };
+    }
+
+    const count = parseInt(numQuestions, 10);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_QUESTIONS) {
+      return { error: `numQuestions must be between 1 and ${MAX_QUESTIONS}` };
+    }
+
+    if (!QUESTION_TYPES.includes(questionType)) {
+      return { error: `questionType must be one of: ${QUESTION_TYPES.join(', ')}` };
+    }
+
+    if (!DIFFICULTIES.includes(difficulty)) {
+      return { error: `difficulty must be one of: ${DIFFICULTIES.join(', ')}` };
+    }
+
+    const marks = Number(marksPerQuestion);
+    if (!Number.isFinite(marks) || marks < 0.5) {
+      return { error: 'marksPerQuestion must be at least 0.5' };
+    }
+
+    return {
+      value: {
+        topic: topic ? topic.trim() : '',
+        sourceText: sourceText ? sourceText.trim() : '',
+        numQuestions: count,
+        questionType,
+        difficulty,
+        marks
+      }
+    };
+  }
+
+  buildPrompt({ topic, sourceText, numQuestions, questionType, difficulty, marks, sources }) {
+    const typeRule = questionType === 'mixed'
+      ? 'Use a mix of "mcq" and "short-answer" questions.'
+      : `Every question must have "type": "${questionType}".`;
+    const difficultyRule = difficulty === 'mixed'
+      ? 'Spread the questions across "easy", "medium" and "hard".'
+      : `Every question must have "difficulty": "${difficulty}".`;
+    const material = sourceText
+      ? `Base every question strictly on the following source material:\n"""\n${sourceText}\n"""`
+      : `TOPIC: ${topic}`;
+    const sourceRule = sources && sources.length > 0
+      ? `\n- "source" must be the label of the section the question is based on, one of: ${sources.map(l => `"${l}"`).join(', ')}.`
+      : '';
+    const sourceField = sources && sources.length > 0
+      ? `,\n      "source": "${sources[0]}"`
+      : '';
+
+    return `You are an expert teacher writing a quiz for university students.
+
+${material}
+
+Write exactly ${numQuestions} questions.
+${typeRule}
+${difficultyRule}
+- "mcq" questions must have exactly 4 distinct "options" and "answer" must be the letter (A, B, C or D) of the correct option.
+- "short-answer" questions must have an empty "options" array and "answer" must be a concise model answer.
+- "explanation" briefly justifies the correct answer.
+- "marks" must be ${marks}.${sourceRule}
+
+Respond ONLY with valid JSON in this exact format:
+{
+  "questions": [
+    {
+      "question": "Question text",
+      "type": "mcq" or "short-answer",
+      "options": ["...", "...", "...", "..."],
+      "answer": "A",
+      "explanation": "Why this is correct",
+      "marks": ${marks},
+      "difficulty": "easy", "medium" or "hard"${sourceField}
+    }
+  ]
+}`;
+  }
+
+  buildRepairPrompt(originalPrompt, previousOutput, errors) {
+    return `${originalPrompt}
+
+Your previous response was rejected because it did not match the required format.
+
+PREVIOUS RESPONSE:
+${previousOutput}
+
+PROBLEMS:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Return the corrected JSON only.`;
+  }
+
+  // Strict validation of the parsed model output against the expected schema
+  validateOutput(data, { numQuestions, questionType, difficulty, sources }) {
+    const errors = [];
+    const allowedFields = sources && sources.length > 0 ? [...QUESTION_FIELDS, 'source'] : QUESTION_FIELDS;
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { errors: ['Response must be a JSON object with a "questions" array'] };
+    }
+
+    const extraKeys = Object.keys(data).filter(k => k !== 'questions');
+    if (extraKeys.length > 0) {
+      errors.push(`Unexpected top-level properties: ${extraKeys.join(', ')}`);
+    }
+
+    if (!Array.isArray(data.questions)) {
+      return { errors: [...errors, '"questions" must be an array'] };
+    }
+
+    if (data.questions.length !== numQuestions) {
+      errors.push(`Expected exactly ${numQuestions} questions but got ${data.questions.length}`);
+    }
+
+    data.questions.forEach((q, i) => {
+      const label = `Question ${i + 1}`;
+
+      if (!q || typeof q !== 'object' || Array.isArray(q)) {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+
+      const unknown = Object.keys(q).filter(k => !allowedFields.includes(k));
+      if (unknown.length > 0) {
+        errors.push(`${label} has unexpected properties: ${unknown.join(', ')}`);
+      }
+
+      if (typeof q.question !== 'string' || q.question.trim() === '') {
+        errors.push(`${label}: "question" must be a non-empty string`);
+      }
+
+      const allowedTypes = questionType === 'mixed' ? ['mcq', 'short-answer'] : [questionType];
+      if (!allowedTypes.includes(q.type)) {
+        errors.push(`${label}: "type" must be ${allowedTypes.map(t => `"${t}"`).join(' or ')}`);
+      }
+
+      if (!Array.isArray(q.options) || q.options.some(o => typeof o !== 'string')) {
+        errors.push(`${label}: "options" must be an array of strings`);
+      } else if (q.type === 'mcq') {
+        const distinct = new Set(q.options.map(o => o.trim().toLowerCase()).filter(Boolean));
+        if (q.options.length !== 4 || distinct.size !== 4) {
+          errors.push(`${label}: MCQ must have exactly 4 distinct, non-empty options`);
+        }
+      } else if (q.type === 'short-answer' && q.options.length > 0) {
+        errors.push(`${label}: short-answer questions must have an empty "options" array`);
+      }
+
+      if (typeof q.answer !== 'string' || q.answer.trim() === '') {
+        errors.push(`${label}: "answer" must be a non-empty string`);
+      } else if (q.type === 'mcq' && !/^[A-D]$/.test(q.answer.trim().toUpperCase())) {
+        errors.push(`${label}: MCQ "answer" must be one of A, B, C or D`);
+      }
+
+      if (typeof q.explanation !== 'string') {
+        errors.push(`${label}: "explanation" must be a string`);
+      }
+
+      if (typeof q.marks !== 'number' || !Number.isFinite(q.marks) || q.marks < 0.5) {
+        errors.push(`${label}: "marks" must be a number of at least 0.5`);
+      }
+
+      const allowedDifficulties = difficulty === 'mixed' ? ['easy', 'medium', 'hard'] : [difficulty];
+      if (!allowedDifficulties.includes(q.difficulty)) {
+        errors.push(`${label}: "difficulty" must be ${allowedDifficulties.map(d => `"${d}"`).join(' or ')}`);
+      }
+
+      if (sources && sources.length > 0 && !sources.includes(q.source)) {
+        errors.push(`${label}: "source" must be one of ${sources.map(l => `"${l}"`).join(', ')}`);
+      }
+    });
+
+    return { errors };
+  }
+
+  // Map validated model output onto the shape accepted by POST /api/quiz/save
+  normalizeQuestions(questions) {
+    return questions.map(q => ({
+      question: q.question.trim(),
+      type: q.type,
+      options: q.type === 'mcq' ? q.options.map(o => o.trim()) : [],
+      answer: q.type === 'mcq' ? q.answer.trim().toUpperCase() : q.answer.trim(),
+      explanation: q.explanation.trim(),
+      marks: q.marks,
+      difficulty: q.difficulty,
+      ...(q.source ? { source: q.source } : {})
+    }));
+  }
+
+  // `userId` selects the LLM provider configured for the requesting teacher's institution
+  async generate(params, { maxAttempts = MAX_ATTEMPTS, userId } = {}) {
+    const prompt = this.buildPrompt(params);
+    const meta = {
+      topic: params.topic || 'the source material',
+      numQuestions: params.numQuestions,
+      questionType: params.questionType,
+      difficulty: params.difficulty,
+      marks: params.marks,
+      sources: params.sources
+    };
+
+    let currentPrompt = prompt;
+    let lastErrors = [];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const { text, provider } = await llmService.generate(currentPrompt, { purpose: 'quiz-generation', meta, userId });
+
+      let data;
+      try {
+        data = parseJsonResponse(text);
+        lastErrors = this.validateOutput(data, params).errors;
+      } catch (error) {
+        lastErrors = [`Response is not valid JSON: ${error.message}`];
+      }
+
+      if (lastErrors.length === 0) {
+        return {
+          questions: this.normalizeQuestions(data.questions),
+          attempts: attempt,
+          provider
+        };
+      }
+
+      console.warn(`⚠️ Quiz generation attempt ${attempt} rejected:`, lastErrors.join('; '));
+      currentPrompt = this.buildRepairPrompt(prompt, text, lastErrors);
+    }
+
+    const error = new Error('The model did not return a valid quiz after several attempts');
+    error.statusCode = 502;
+    error.details = lastErrors;
+    throw error;
+  }
+}
+
+module.exports = new QuizGenerationService();
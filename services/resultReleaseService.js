@@ -0,0 +1,73 @@
+const RELEASE_POLICIES = ['immediate', 'score-only', 'after-window', 'at-date', 'never'];
+
+const formatDate = (date, timeZone) => new Date(date).toLocaleString('en-IN', {
+  dateStyle: 'medium',
+  timeStyle: 'short',
+  timeZone
+});
+
+// What a student may see of a finished attempt under the quiz's `resultRelease` policy:
+// - immediate:    score and full answers as soon as the attempt is graded
+// - score-only:   the score, never the answers
+// - after-window: the score once the quiz's window (the student's slot) has closed
+// - at-date:      the score, and the full answers from `releaseAt`
+// - never:        nothing
+// Practice attempts always show everything; checking answers is their purpose.
+class ResultReleaseService {
+  getPolicy(quiz) {
+    const release = (quiz && quiz.resultRelease) || {};
+    return {
+      policy: RELEASE_POLICIES.includes(release.policy) ? release.policy : 'immediate',
+      releaseAt: release.releaseAt || null
+    };
+  }
+
+  // End of the window the attempt was taken in: stored on the attempt at start, or the quiz's
+  // own window for older attempts
+  getWindowEnd(quiz, attempt) {
+    if (attempt && attempt.windowClosesAt) return new Date(attempt.windowClosesAt);
+    return quiz && typeof quiz.getScheduleWindow === 'function' ? quiz.getScheduleWindow().end : null;
+  }
+
+  getVisibility(quiz, attempt, now = new Date()) {
+    const { policy, releaseAt } = this.getPolicy(quiz);
+    const timeZone = (quiz && quiz.timezone) || 'Asia/Kolkata';
+
+    if (policy === 'immediate' || (attempt && attempt.mode === 'practice')) {
+      return { policy, showScore: true, showAnswers: true, message: null };
+    }
+
+    if (policy === 'score-only') {
+      return { policy, showScore: true, showAnswers: false, message: 'Answers for this quiz are not released' };
+    }
+
+    if (policy === 'after-window') {
+      const windowEnd = this.getWindowEnd(quiz, attempt);
+      const released = !windowEnd || now >= windowEnd;
+      return {
+        policy,
+        showScore: released,
+        showAnswers: false,
+        releaseAt: released ? null : windowEnd,
+        message: released ? 'Answers for this quiz are not released' : `Scores are released after the quiz closes on ${formatDate(windowEnd, timeZone)}`
+      };
+    }
+
+    if (policy === 'at-date') {
+      const released = !!releaseAt && now >= new Date(releaseAt);
+      return {
+        policy,
+        showScore: true,
+        showAnswers: released,
+        releaseAt: released ? null : releaseAt,
+        message: released ? null : releaseAt
+          ? `Answers are released on ${formatDate(releaseAt, timeZone)}`
+          : 'Answers for this quiz are not released yet'
+      };
+    }
+
+    return { policy, showScore: false, showAnswers: false, message: 'Results for this quiz are not released' };
+  }
+}
+
+module.exports = new ResultReleaseService();
@@ -0,0 +1,29 @@
+const Student = require('../models/Student');
+
+// Looks students up in their teachers' student lists, where teachers record the section (lab
+// batch) each student belongs to. Quiz schedule slots are matched against it.
+class RosterService {
+  // The student as a teacher's quizzes see them: { email, section }
+  async getStudentContext(teacherId, email) {
+    const normalizedEmail = `${email || ''}`.toLowerCase();
+    const entry = await Student.findOne({ userId: teacherId, email: normalizedEmail }).select('section');
+    return { email: normalizedEmail, section: entry ? entry.section || null : null };
+  }
+
+  // The same for several teachers at once, keyed by teacher id
+  async getStudentContexts(teacherIds, email) {
+    const normalizedEmail = `${email || ''}`.toLowerCase();
+    const entries = await Student.find({ userId: { $in: teacherIds }, email: normalizedEmail }).select('userId section');
+
+    const contexts = new Map();
+    for (const teacherId of teacherIds) {
+      contexts.set(`${teacherId}`, { email: normalizedEmail, section: null });
+    }
+    for (const entry of entries) {
+      if (entry.section) contexts.set(`${entry.userId}`, { email: normalizedEmail, section: entry.section });
+    }
+    return contexts;
+  }
+}
+
+module.exports = new RosterService();
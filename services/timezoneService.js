@@ -0,0 +1,88 @@
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Conversions between wall-clock times in an IANA timezone and UTC instants, independent of
+// the server's own timezone (Vercel and most hosts run in UTC).
+class TimezoneService {
+  constructor() {
+    this.formatters = new Map();
+  }
+
+  // IANA names only ("Region/City" or UTC); abbreviations such as "IST" are ambiguous
+  isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    if (timeZone !== 'UTC' && !timeZone.includes('/')) return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone }).format();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  isValidTime(time) {
+    return TIME_PATTERN.test(`${time || ''}`);
+  }
+
+  getFormatter(timeZone) {
+    if (!this.formatters.has(timeZone)) {
+      this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      }));
+    }
+    return this.formatters.get(timeZone);
+  }
+
+  // Offset of the timezone from UTC at an instant, in milliseconds (e.g. +5:30 for Asia/Kolkata)
+  getOffsetMs(timestamp, timeZone) {
+    const parts = {};
+    for (const { type, value } of this.getFormatter(timeZone).formatToParts(new Date(timestamp))) {
+      parts[type] = value;
+    }
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+  }
+
+  // UTC instant of a wall-clock time in a timezone. Times skipped by a DST change are moved
+  // forward by the size of the gap; repeated times resolve to their first occurrence.
+  zonedTimeToUtc({ year, month, day, hours = 0, minutes = 0 }, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+    const offsetBefore = this.getOffsetMs(wallClock - 24 * 60 * 60 * 1000, timeZone);
+    const offsetAfter = this.getOffsetMs(wallClock + 24 * 60 * 60 * 1000, timeZone);
+
+    // Try the earlier offset first so repeated (fall-back) times get their first occurrence
+    for (const offset of [offsetBefore, offsetAfter]) {
+      const candidate = wallClock - offset;
+      if (this.getOffsetMs(candidate, timeZone) === offset) return new Date(candidate);
+    }
+
+    // Skipped (spring-forward) time: the same clock reading with the offset from before the gap
+    return new Date(wallClock - offsetBefore);
+  }
+
+  // Combine a calendar date and an "HH:MM" time in a timezone into a UTC instant. The date's
+  // calendar day is read in UTC, which is how "YYYY-MM-DD" strings are stored.
+  combine(date, time, timeZone, defaultTime = '00:00') {
+    if (!date) return null;
+    const day = new Date(date);
+    if (isNaN(day)) return null;
+
+    const [hours, minutes] = (this.isValidTime(time) ? time : defaultTime).split(':').map(Number);
+    return this.zonedTimeToUtc({
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+      hours,
+      minutes
+    }, timeZone);
+  }
+}
+
+module.exports = new TimezoneService();
@@ -0,0 +1,157 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const answerAutosaveService = require('../services/answerAutosaveService');
+
+const buildQuiz = () => new Quiz({
+  title: 'Autosave',
+  duration: 30,
+  userId: new mongoose.Types.ObjectId(),
+  createdBy: 'teacher@example.edu',
+  questions: ['One', 'Two', 'Three'].map(name => ({
+    type: 'mcq',
+    question: `Question ${name}`,
+    options: ['a', 'b', 'c', 'd'],
+    answer: 'A',
+    marks: 1
+  }))
+});
+
+const buildAttempt = (quiz, savedAnswers) => new QuizAttempt({
+  quizId: quiz._id,
+  teacherId: quiz.userId,
+  studentName: 'Asha Rao',
+  studentEmail: 'asha@example.edu',
+  uniqueToken: 'token',
+  status: 'in-progress',
+  startedAt: new Date(Date.now() - 5 * 60 * 1000),
+  duration: 30,
+  autosaveRevision: 4,
+  savedAnswers
+});
+
+const ids = (quiz) => quiz.questions.map(q => `${q._id}`);
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+// Applies conditional writes to an in-memory attempt the way MongoDB would. `beforeWrite` runs
+// before each write, to change the attempt as a concurrent request would.
+const useStoredAttempt = (t, stored, beforeWrite = () => {}) => {
+  const writes = [];
+  t.mock.method(QuizAttempt, 'findById', async () => stored);
+  t.mock.method(QuizAttempt, 'findOneAndUpdate', async (filter, update) => {
+    beforeWrite(writes.length);
+    const revision = stored.autosaveRevision || 0;
+    const expected = filter.autosaveRevision;
+    if (expected.$in ? !expected.$in.includes(revision) : expected !== revision) {
+      writes.push(null);
+      return null;
+    }
+    stored.savedAnswers = update.$set.savedAnswers;
+    stored.answerHistory.push(...update.$push.answerHistory.$each);
+    stored.autosaveRevision = revision + 1;
+    writes.push(update);
+    return stored;
+  });
+  return writes;
+};
+
+describe('answerAutosaveService.saveSnapshot', () => {
+  it('replaces changed answers, keeps their seq and records history for each change', async (t) => {
+    const quiz = buildQuiz();
+    const [q1, q2, q3] = ids(quiz);
+    const attempt = buildAttempt(quiz, [
+      { questionId: q1, studentAnswer: 'A', seq: 3, clientTimestamp: minutesAgo(3), savedAt: minutesAgo(3) },
+      { questionId: q2, studentAnswer: 'B', seq: 7, clientTimestamp: minutesAgo(2), savedAt: minutesAgo(2) }
+    ]);
+    useStoredAttempt(t, attempt);
+
+    const result = await answerAutosaveService.saveSnapshot(attempt, quiz, ['A', 'C', 'D']);
+
+    assert.equal(result.status, 'saved');
+    assert.equal(result.changed, 2);
+    const saved = Object.fromEntries(attempt.savedAnswers.map(a => [a.questionId, a]));
+    assert.equal(saved[q1].studentAnswer, 'A');
+    assert.equal(saved[q1].seq, 3);
+    assert.equal(saved[q2].studentAnswer, 'C');
+    assert.equal(saved[q2].seq, 7);
+    assert.equal(saved[q3].studentAnswer, 'D');
+    assert.deepEqual(
+      attempt.answerHistory.map(h => [h.questionId, h.answer, h.previousAnswer]),
+      [[q2, 'C', 'B'], [q3, 'D', undefined]]
+    );
+
+    // A per-answer save still has to come after the kept sequence number
+    const stale = answerAutosaveService.evaluate(attempt, quiz, { questionId: q2, answer: 'A', seq: 6 });
+    assert.equal(stale.status, 'stale');
+  });
+
+  it('keeps an answer saved by /quiz/save-answer while the snapshot was being written', async (t) => {
+    const quiz = buildQuiz();
+    const [q1, q2] = ids(quiz);
+    const attempt = buildAttempt(quiz, [
+      { questionId: q1, studentAnswer: 'A', seq: 1, savedAt: minutesAgo(3) }
+    ]);
+    const stored = buildAttempt(quiz, [...attempt.savedAnswers]);
+    stored._id = attempt._id;
+
+    // The per-answer save lands between the snapshot's read and its write
+    const writes = useStoredAttempt(t, stored, (count) => {
+      if (count > 0) return;
+      stored.savedAnswers = [...stored.savedAnswers, { questionId: q2, studentAnswer: 'D', seq: 2, savedAt: new Date(Date.now() + 1000) }];
+      stored.autosaveRevision += 1;
+    });
+
+    const result = await answerAutosaveService.saveSnapshot(attempt, quiz, ['B', 'C']);
+
+    assert.equal(result.status, 'saved');
+    assert.equal(writes.length, 2);
+    assert.equal(writes[0], null, 'the first write lost the revision check');
+    const saved = Object.fromEntries(stored.savedAnswers.map(a => [a.questionId, a.studentAnswer]));
+    assert.deepEqual(saved, { [q1]: 'B', [q2]: 'D' });
+  });
+
+  it('keeps stored answers that are newer than the snapshot entry by seq', async (t) => {
+    const quiz = buildQuiz();
+    const [q1] = ids(quiz);
+    const attempt = buildAttempt(quiz, [
+      { questionId: q1, studentAnswer: 'C', seq: 9, savedAt: minutesAgo(1) }
+    ]);
+    useStoredAttempt(t, attempt);
+
+    const result = await answerAutosaveService.saveSnapshot(attempt, quiz, [{ questionId: q1, studentAnswer: 'A', seq: 8 }]);
+
+    assert.equal(result.changed, 0);
+    assert.deepEqual(attempt.savedAnswers.map(a => [a.studentAnswer, a.seq]), [['C', 9]]);
+  });
+
+  it('records cleared answers', async (t) => {
+    const quiz = buildQuiz();
+    const [q1, q2] = ids(quiz);
+    const attempt = buildAttempt(quiz, [
+      { questionId: q1, studentAnswer: 'A', seq: 1, savedAt: minutesAgo(3) },
+      { questionId: q2, studentAnswer: 'B', seq: 1, savedAt: minutesAgo(3) }
+    ]);
+    useStoredAttempt(t, attempt);
+
+    const result = await answerAutosaveService.saveSnapshot(attempt, quiz, ['A', '', '']);
+
+    assert.equal(result.changed, 1);
+    assert.deepEqual(attempt.savedAnswers.map(a => a.questionId), [q1]);
+    assert.deepEqual(attempt.answerHistory.map(h => [h.questionId, h.answer, h.previousAnswer]), [[q2, null, 'B']]);
+  });
+
+  it('reports an attempt submitted meanwhile as closed', async (t) => {
+    const quiz = buildQuiz();
+    const attempt = buildAttempt(quiz, []);
+    const submitted = buildAttempt(quiz, []);
+    submitted.status = 'submitted';
+    t.mock.method(QuizAttempt, 'findOneAndUpdate', async () => null);
+    t.mock.method(QuizAttempt, 'findById', async () => submitted);
+
+    const result = await answerAutosaveService.saveSnapshot(attempt, quiz, ['A']);
+    assert.equal(result.status, 'closed');
+  });
+});
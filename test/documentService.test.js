@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const documentService = require('../services/documentService');
+
+const chunks = (count) => Array.from({ length: count }, (_, i) => ({ text: `chunk ${i}`, sections: [] }));
+
+describe('documentService.planChunks', () => {
+  it('spreads the questions over every chunk when there are few', () => {
+    const plan = documentService.planChunks(chunks(3), 7);
+
+    assert.deepEqual(plan.map(c => [c.text, c.numQuestions]), [['chunk 0', 3], ['chunk 1', 2], ['chunk 2', 2]]);
+  });
+
+  it('uses evenly spaced chunks when there are more chunks than questions', () => {
+    const plan = documentService.planChunks(chunks(10), 2);
+
+    assert.deepEqual(plan.map(c => [c.text, c.numQuestions]), [['chunk 0', 1], ['chunk 5', 1]]);
+  });
+
+  it('uses at most maxChunks evenly spaced chunks', () => {
+    const plan = documentService.planChunks(chunks(50), 50, 4);
+
+    assert.equal(plan.length, 4);
+    assert.deepEqual(plan.map(c => c.text), ['chunk 0', 'chunk 12', 'chunk 25', 'chunk 37']);
+    assert.equal(plan.reduce((sum, c) => sum + c.numQuestions, 0), 50);
+  });
+});
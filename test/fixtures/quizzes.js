@@ -0,0 +1,105 @@
+// Fixture quizzes for the submission route tests. Questions are written the way teachers send
+// them to POST /api/quiz/save. Each submission gives one answer per question in quiz order, naming
+// options by their text; the tests turn those into what a student would send for the options as
+// their attempt displays them, so shuffled layouts are graded through the same mapping as real
+// submissions. `expected` holds the totals the grading engine must store.
+
+const questions = [
+  {
+    type: 'mcq',
+    question: 'What is the capital of France?',
+    options: ['Berlin', 'Paris', 'Rome', 'Madrid'],
+    answer: 'B',
+    marks: 2
+  },
+  {
+    type: 'multi-select',
+    question: 'Which of these numbers are prime?',
+    options: ['2', '3', '4', '9'],
+    correctAnswers: ['A', 'B'],
+    marks: 2
+  },
+  {
+    type: 'true-false',
+    question: 'The Earth orbits the Sun.',
+    answer: 'true',
+    marks: 1
+  },
+  {
+    type: 'numeric',
+    question: 'What is the acceleration due to gravity?',
+    numericAnswer: { value: 9.81, tolerance: 0.05, unit: 'm/s^2' },
+    marks: 1
+  },
+  {
+    type: 'fill-blank',
+    question: 'The chemical symbol for gold is ___.',
+    acceptedAnswers: ['Au'],
+    marks: 1
+  },
+  {
+    type: 'short-answer',
+    question: 'What does a CPU do?',
+    answer: 'The CPU fetches, decodes and executes program instructions',
+    keywords: ['executes', 'instructions'],
+    marks: 2
+  }
+];
+
+const correct = ['Paris', ['2', '3'], true, '9.8 m/s^2', 'au', 'It fetches, decodes and executes the program instructions'];
+const wrong = ['Rome', ['4', '9'], false, '12', 'Ag', 'It stores photographs'];
+const unanswered = [null, [], null, '', '', ''];
+
+module.exports = [
+  {
+    name: 'every question type',
+    quiz: { questions },
+    submissions: [
+      { name: 'all correct', answers: correct, expected: { totalMarks: 9, maxMarks: 9, penaltyMarks: 0, percentage: 100 } },
+      { name: 'all wrong', answers: wrong, expected: { totalMarks: 0, maxMarks: 9, penaltyMarks: 0, percentage: 0 } },
+      {
+        name: 'partial multi-select credit',
+        answers: ['Paris', ['2', '4'], true, '9.81', 'Au', ''],
+        // Multi-select: one right and one wrong pick cancel out
+        expected: { totalMarks: 5, maxMarks: 9, penaltyMarks: 0, percentage: 55.56 }
+      },
+      { name: 'unanswered', answers: unanswered, expected: { totalMarks: 0, maxMarks: 9, penaltyMarks: 0, percentage: 0 } }
+    ]
+  },
+  {
+    name: 'negative marking',
+    quiz: {
+      questions,
+      negativeMarking: { enabled: true, penalty: 0.5, applyToUnanswered: false }
+    },
+    submissions: [
+      { name: 'all correct', answers: correct, expected: { totalMarks: 9, maxMarks: 9, penaltyMarks: 0, percentage: 100 } },
+      // Only MCQ and true/false answers are penalized
+      { name: 'all wrong', answers: wrong, expected: { totalMarks: -1, maxMarks: 9, penaltyMarks: 1, percentage: -11.11 } },
+      { name: 'unanswered', answers: unanswered, expected: { totalMarks: 0, maxMarks: 9, penaltyMarks: 0, percentage: 0 } }
+    ]
+  },
+  {
+    name: 'negative marking of unanswered questions',
+    quiz: {
+      questions,
+      negativeMarking: { enabled: true, penalty: 0.25, applyToUnanswered: true }
+    },
+    submissions: [
+      { name: 'unanswered', answers: unanswered, expected: { totalMarks: -0.5, maxMarks: 9, penaltyMarks: 0.5, percentage: -5.56 } }
+    ]
+  },
+  {
+    name: 'shuffled questions and options',
+    quiz: {
+      questions,
+      shuffleQuestions: true,
+      shuffleOptions: true,
+      negativeMarking: { enabled: true, penalty: 1, applyToUnanswered: false }
+    },
+    submissions: [
+      { name: 'all correct', answers: correct, expected: { totalMarks: 9, maxMarks: 9, penaltyMarks: 0, percentage: 100 } },
+      { name: 'all wrong', answers: wrong, expected: { totalMarks: -2, maxMarks: 9, penaltyMarks: 2, percentage: -22.22 } }
+    ]
+  }
+];
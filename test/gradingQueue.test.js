@@ -0,0 +1,172 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const gradingQueue = require('../services/gradingQueue');
+const llmService = require('../services/llmService');
+const { useMemoryStore } = require('./helpers/memoryStore');
+
+// A provider that fails every request the way an overloaded server does
+const failingProvider = (status) => ({
+  name: 'failing',
+  model: 'failing-model',
+  isConfigured: () => true,
+  calls: 0,
+  async generate() {
+    this.calls++;
+    const error = new Error(`LLM request failed with status ${status}`);
+    error.status = status;
+    throw error;
+  }
+});
+
+const setUp = (t) => {
+  const store = useMemoryStore(t.mock);
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const quiz = store.addQuiz(new Quiz({
+    title: 'Short answers',
+    duration: 30,
+    userId: new mongoose.Types.ObjectId(),
+    createdBy: 'teacher@example.edu',
+    questions: [{
+      type: 'short-answer',
+      question: 'What does a CPU do?',
+      answer: 'The CPU fetches, decodes and executes program instructions',
+      keywords: ['executes', 'instructions'],
+      marks: 2
+    }]
+  }));
+  const attempt = store.addAttempt(new QuizAttempt({
+    quizId: quiz._id,
+    teacherId: quiz.userId,
+    studentName: 'Asha Rao',
+    studentEmail: 'asha@example.edu',
+    uniqueToken: 'token',
+    status: 'submitted',
+    startedAt: new Date(),
+    duration: 30,
+    gradingStatus: 'queued',
+    submittedAnswers: [{ questionId: `${quiz.questions[0]._id}`, studentAnswer: 'It executes the program instructions' }]
+  }));
+
+  const job = (tries) => store.addClaimedJob(attempt, { tries });
+  return { store, attempt, job };
+};
+
+describe('grading queue LLM failures', () => {
+  beforeEach(() => llmService.setProvider(null));
+  afterEach(() => llmService.setProvider(null));
+
+  for (const status of [503, 429]) {
+    it(`retries the job when the LLM answers ${status} before the last try`, async (t) => {
+      const provider = failingProvider(status);
+      llmService.setProvider(provider);
+      const { store, attempt, job } = setUp(t);
+
+      const first = job(1);
+      await gradingQueue.processJob(first);
+
+      assert.equal(provider.calls, 1);
+      assert.equal(first.status, 'queued');
+      assert.ok(first.runAt > new Date());
+      assert.match(first.lastError, new RegExp(`${status}`));
+      assert.equal(store.getAttempt(attempt._id).gradingStatus, 'queued');
+    });
+  }
+
+  it('retries the job when the LLM request times out', async (t) => {
+    llmService.setProvider({
+      name: 'slow',
+      model: 'slow-model',
+      isConfigured: () => true,
+      generate: () => new Promise(() => {})
+    }, { timeoutMs: 10 });
+    const { job } = setUp(t);
+
+    const first = job(1);
+    await gradingQueue.processJob(first);
+
+    assert.equal(first.status, 'queued');
+    assert.match(first.lastError, /timed out/);
+  });
+
+  it('grades offline and flags the answer on the last try', async (t) => {
+    llmService.setProvider(failingProvider(503));
+    const { store, attempt, job } = setUp(t);
+
+    const last = job(3);
+    await gradingQueue.processJob(last);
+
+    assert.equal(last.status, 'completed');
+    const graded = store.getAttempt(attempt._id);
+    assert.equal(graded.gradingStatus, 'completed');
+    assert.equal(graded.answers[0].needsReview, true);
+    assert.deepEqual(graded.answers[0].reviewReasons, ['ai-unavailable']);
+  });
+
+  it('does not retry errors a retry cannot fix', async (t) => {
+    llmService.setProvider(failingProvider(400));
+    const { store, attempt, job } = setUp(t);
+
+    const first = job(1);
+    await gradingQueue.processJob(first);
+
+    assert.equal(first.status, 'completed');
+    assert.equal(store.getAttempt(attempt._id).answers[0].needsReview, true);
+  });
+});
+
+describe('grading queue job locks', () => {
+  afterEach(() => llmService.setProvider(null));
+
+  // Grades like a working model, calling `onRequest` first
+  const observingProvider = (onRequest) => ({
+    name: 'observing',
+    model: 'observing-model',
+    isConfigured: () => true,
+    async generate() {
+      onRequest();
+      return { text: JSON.stringify({ isCorrect: true, marks: 2, feedback: 'Correct.', confidence: 0.9 }) };
+    }
+  });
+
+  it('renews the lock after each graded question', async (t) => {
+    const { store, attempt, job } = setUp(t);
+    const quiz = store.getQuiz(attempt.quizId);
+    const secondId = new mongoose.Types.ObjectId();
+    quiz.questions.push({ ...quiz.questions[0].toObject(), _id: secondId, question: 'What does RAM do?' });
+    attempt.submittedAnswers.push({ questionId: `${secondId}`, studentAnswer: 'It holds the running program' });
+
+    const running = job(1);
+    running.lockedAt = new Date(Date.now() - 4 * 60 * 1000);
+    const seenLocks = [];
+    llmService.setProvider(observingProvider(() => seenLocks.push(running.lockedAt)));
+
+    await gradingQueue.processJob(running);
+
+    assert.equal(seenLocks.length, 2);
+    assert.ok(seenLocks[1] > seenLocks[0], 'the lock was pushed forward after the first question');
+    assert.equal(running.status, 'completed');
+    assert.equal(store.getAttempt(attempt._id).gradingStatus, 'completed');
+  });
+
+  it('drops its results when another worker took the job over', async (t) => {
+    const { store, attempt, job } = setUp(t);
+    const running = job(1);
+    // Another worker claims the job while the LLM is still answering
+    llmService.setProvider(observingProvider(() => Object.assign(running, { lockedBy: 'other-worker', tries: 2 })));
+
+    await gradingQueue.processJob(running);
+
+    assert.equal(running.status, 'running');
+    assert.equal(running.lockedBy, 'other-worker');
+    const stored = store.getAttempt(attempt._id);
+    assert.equal(stored.gradingStatus, 'grading');
+    assert.equal(stored.answers.length, 0);
+  });
+});
@@ -0,0 +1,104 @@
+const Quiz = require('../../models/Quiz');
+const QuizAttempt = require('../../models/QuizAttempt');
+const StudentAuth = require('../../models/StudentAuth');
+const GradingJob = require('../../models/GradingJob');
+const gradingQueue = require('../../services/gradingQueue');
+
+// Keeps quizzes, attempts and students in memory and points the model queries used by the
+// submission routes and the grading queue at them, so the routes run without MongoDB. `mock` is
+// the test context's mock tracker; everything is restored when the test ends.
+const useMemoryStore = (mock) => {
+  const quizzes = new Map();
+  const attempts = new Map();
+  const students = new Map();
+  const jobs = new Map();
+
+  const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+    const value = key === '_id' ? `${doc._id}` : doc[key];
+    if (condition && Array.isArray(condition.$in)) return condition.$in.includes(value);
+    return `${value}` === `${condition}`;
+  });
+
+  mock.method(Quiz, 'findById', async (id) => quizzes.get(`${id}`) || null);
+  mock.method(StudentAuth, 'findById', async (id) => students.get(`${id}`) || null);
+
+  mock.method(QuizAttempt, 'findById', async (id) => attempts.get(`${id}`) || null);
+  mock.method(QuizAttempt, 'findOne', async (filter) => [...attempts.values()].find(a => matches(a, filter)) || null);
+  mock.method(QuizAttempt, 'updateOne', async (filter, update) => {
+    const attempt = [...attempts.values()].find(a => matches(a, filter));
+    if (attempt) Object.assign(attempt, update);
+    return { matchedCount: attempt ? 1 : 0 };
+  });
+  // Peers checked for inconsistent grades; none in these tests
+  mock.method(QuizAttempt, 'find', () => ({ select: async () => [] }));
+  mock.method(QuizAttempt, 'create', async (fields) => {
+    const attempt = new QuizAttempt(fields);
+    attempts.set(`${attempt._id}`, attempt);
+    return attempt;
+  });
+  mock.method(QuizAttempt.prototype, 'save', async function () {
+    attempts.set(`${this._id}`, this);
+    return this;
+  });
+
+  mock.method(GradingJob, 'updateOne', async (filter, update) => {
+    const job = [...jobs.values()].find(j => matches(j, filter));
+    if (job) Object.assign(job, update.$set);
+    return { matchedCount: job ? 1 : 0 };
+  });
+  mock.method(gradingQueue, 'enqueue', async (attempt) => {
+    const job = new GradingJob({ attemptId: attempt._id, quizId: attempt.quizId });
+    jobs.set(`${job._id}`, job);
+    return job;
+  });
+  mock.method(gradingQueue, 'tick', () => {});
+
+  // Claim a queued job for this process's worker, as GradingQueue.claimNext does
+  const claim = (job) => Object.assign(job, {
+    status: 'running',
+    lockedAt: new Date(),
+    lockedBy: gradingQueue.workerId,
+    tries: job.tries + 1
+  });
+
+  return {
+    addQuiz(quiz) {
+      quizzes.set(`${quiz._id}`, quiz);
+      return quiz;
+    },
+
+    addAttempt(attempt) {
+      attempts.set(`${attempt._id}`, attempt);
+      return attempt;
+    },
+
+    addStudent(student) {
+      students.set(`${student._id}`, student);
+      return student;
+    },
+
+    getQuiz(id) {
+      return quizzes.get(`${id}`);
+    },
+
+    getAttempt(id) {
+      return attempts.get(`${id}`);
+    },
+
+    // A job claimed by this process, as if it had already been tried `tries - 1` times
+    addClaimedJob(attempt, { tries = 1 } = {}) {
+      const job = new GradingJob({ attemptId: attempt._id, quizId: attempt.quizId, tries: tries - 1 });
+      jobs.set(`${job._id}`, job);
+      return claim(job);
+    },
+
+    // Grade every queued submission the way the background worker does
+    async runGradingJobs() {
+      for (const job of jobs.values()) {
+        if (job.status === 'queued') await gradingQueue.processJob(claim(job));
+      }
+    }
+  };
+};
+
+module.exports = { useMemoryStore };
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const QuizAttempt = require('../models/QuizAttempt');
+const offlineSyncService = require('../services/offlineSyncService');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const buildAttempt = () => new QuizAttempt({
+  quizId: new mongoose.Types.ObjectId(),
+  teacherId: new mongoose.Types.ObjectId(),
+  studentName: 'Asha Rao',
+  studentEmail: 'asha@example.edu',
+  uniqueToken: 'token',
+  status: 'started',
+  startedAt: new Date(Date.now() - 10 * 60 * 1000),
+  duration: 30,
+  offlineSync: {
+    deviceId: 'device-1',
+    devicePublicKey: offlineSyncService.parseDeviceKey(publicKey.export({ type: 'spki', format: 'pem' })).value,
+    issuedAt: new Date()
+  }
+});
+
+// An answer bundle signed with the device key, as the app uploads it
+const signBundle = (content) => {
+  const payload = Buffer.from(JSON.stringify(content)).toString('base64');
+  return { payload, signature: crypto.sign('sha256', Buffer.from(payload), privateKey).toString('base64') };
+};
+
+describe('offlineSyncService.verifyBundle', () => {
+  it('accepts a signed bundle uploaded in time', () => {
+    const attempt = buildAttempt();
+    const result = offlineSyncService.verifyBundle(attempt, signBundle({
+      attemptId: `${attempt._id}`,
+      deviceId: 'device-1',
+      completedAt: new Date(),
+      answers: [{ questionId: 'q1', studentAnswer: 'A', answeredAt: new Date() }]
+    }));
+
+    assert.equal(result.error, undefined);
+    assert.deepEqual(result.value.answers, [{ questionId: 'q1', studentAnswer: 'A' }]);
+  });
+
+  for (const [name, entry] of [['null', null], ['a string', 'A'], ['an array', ['A']], ['no questionId', { studentAnswer: 'A' }]]) {
+    it(`rejects a signed bundle with an answer that is ${name}`, () => {
+      const attempt = buildAttempt();
+      const result = offlineSyncService.verifyBundle(attempt, signBundle({
+        attemptId: `${attempt._id}`,
+        deviceId: 'device-1',
+        completedAt: new Date(),
+        answers: [{ questionId: 'q1', studentAnswer: 'A' }, entry]
+      }));
+
+      assert.equal(result.status, 400);
+      assert.match(result.error, /questionId/);
+    });
+  }
+
+  it('rejects a bundle that was not signed by the device key', () => {
+    const attempt = buildAttempt();
+    const bundle = signBundle({ attemptId: `${attempt._id}`, deviceId: 'device-1', completedAt: new Date(), answers: [] });
+    bundle.payload = Buffer.from(JSON.stringify({ attemptId: `${attempt._id}`, answers: [] })).toString('base64');
+
+    const result = offlineSyncService.verifyBundle(attempt, bundle);
+    assert.equal(result.status, 400);
+    assert.match(result.error, /signature/);
+  });
+});
@@ -0,0 +1,26 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const questionBankService = require('../services/questionBankService');
+
+describe('questionBankService.buildSearchFilter', () => {
+  it('filters by the given fields', () => {
+    const filter = questionBankService.buildSearchFilter('teacher', { subject: 'Physics', difficulty: 'hard', tags: 'Optics, waves' });
+
+    assert.deepEqual(filter, {
+      userId: 'teacher',
+      isArchived: false,
+      subject: 'Physics',
+      difficulty: 'hard',
+      tags: { $all: ['optics', 'waves'] }
+    });
+  });
+
+  it('turns query operators into plain strings', () => {
+    // What the query-string parser makes of ?type[$regex]=.*&subject[$ne]=x
+    const filter = questionBankService.buildSearchFilter('teacher', { type: { $regex: '.*' }, subject: { $ne: 'x' } });
+
+    assert.equal(typeof filter.type, 'string');
+    assert.equal(typeof filter.subject, 'string');
+  });
+});
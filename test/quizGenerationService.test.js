@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const quizGenerationService = require('../services/quizGenerationService');
+
+describe('quizGenerationService.validateRequest', () => {
+  it('normalizes a valid request', () => {
+    const { error, value } = quizGenerationService.validateRequest({ topic: '  Optics ', numQuestions: '3' });
+
+    assert.equal(error, undefined);
+    assert.deepEqual(value, {
+      topic: 'Optics',
+      sourceText: '',
+      numQuestions: 3,
+      questionType: 'mcq',
+      difficulty: 'medium',
+      marks: 1
+    });
+  });
+
+  for (const body of [{ topic: 5 }, { topic: ['Optics'] }, { sourceText: { text: 'Light' } }, { topic: 'Optics', sourceText: 42 }]) {
+    it(`rejects ${JSON.stringify(body)} without throwing`, () => {
+      const { error } = quizGenerationService.validateRequest(body);
+
+      assert.match(error, /must be text/);
+    });
+  }
+
+  it('requires a topic or source text', () => {
+    assert.match(quizGenerationService.validateRequest({ topic: '  ' }).error, /topic or sourceText/);
+    assert.match(quizGenerationService.validateRequest({}).error, /topic or sourceText/);
+  });
+});
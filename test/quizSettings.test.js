@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const Quiz = require('../models/Quiz');
+const User = require('../models/User');
+const quizRoutes = require('../routes/quiz');
+
+describe('PUT /api/quiz/:id shortAnswerGrading', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+    app.use('/api/quiz', quizRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  // Send the update against a saved quiz with these grading settings; resolves to the response
+  // and the update that reached the database, if any
+  const update = async (t, saved, shortAnswerGrading) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    const user = { _id: new mongoose.Types.ObjectId(), email: 'teacher@example.edu' };
+    const quiz = new Quiz({
+      title: 'Short answers',
+      duration: 30,
+      userId: user._id,
+      createdBy: user.email,
+      shortAnswerGrading: saved
+    });
+    let written = null;
+    t.mock.method(User, 'findById', async () => user);
+    t.mock.method(Quiz, 'findOne', () => ({ select: async () => quiz }));
+    t.mock.method(Quiz, 'findOneAndUpdate', async (filter, updateData) => {
+      written = updateData;
+      return quiz;
+    });
+
+    const response = await fetch(`${baseUrl}/api/quiz/${quiz._id}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${jwt.sign({ id: user._id }, process.env.JWT_SECRET)}`
+      },
+      body: JSON.stringify({ shortAnswerGrading })
+    });
+    return { status: response.status, body: await response.json(), written };
+  };
+
+  it('rejects a partial-credit threshold above the default full-credit threshold', async (t) => {
+    const { status, body, written } = await update(t, {}, { partialCreditThreshold: 0.9 });
+
+    assert.equal(status, 400);
+    assert.match(body.message, /partialCreditThreshold \(0\.9\) cannot be higher than fullCreditThreshold \(0\.8\)/);
+    assert.equal(written, null);
+  });
+
+  it('rejects a partial-credit threshold above the saved full-credit threshold', async (t) => {
+    const { status, body } = await update(t, { fullCreditThreshold: 0.6 }, { partialCreditThreshold: 0.7 });
+
+    assert.equal(status, 400);
+    assert.match(body.message, /fullCreditThreshold \(0\.6\)/);
+  });
+
+  it('rejects a full-credit threshold below the saved partial-credit threshold', async (t) => {
+    const { status } = await update(t, { partialCreditThreshold: 0.5 }, { fullCreditThreshold: 0.4 });
+
+    assert.equal(status, 400);
+  });
+
+  it('keeps saved settings that are not sent', async (t) => {
+    const { status, written } = await update(
+      t,
+      { mode: 'offline', fullCreditThreshold: 0.95, synonyms: [['car', 'automobile']] },
+      { partialCreditThreshold: 0.9 }
+    );
+
+    assert.equal(status, 200);
+    assert.equal(written.shortAnswerGrading.mode, 'offline');
+    assert.equal(written.shortAnswerGrading.fullCreditThreshold, 0.95);
+    assert.equal(written.shortAnswerGrading.partialCreditThreshold, 0.9);
+    assert.deepEqual(written.shortAnswerGrading.synonyms, [['car', 'automobile']]);
+  });
+});
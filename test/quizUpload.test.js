@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const Folder = require('../models/Folder');
+const User = require('../models/User');
+const quizUploadRoutes = require('../routes/quizUpload');
+const documentService = require('../services/documentService');
+
+describe('POST /api/quiz/upload folderId', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+    app.use('/api/quiz', quizUploadRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const upload = async (t, folderId, { folderExists = false } = {}) => {
+    const user = { _id: new mongoose.Types.ObjectId(), email: 'teacher@example.edu' };
+    t.mock.method(User, 'findById', async () => user);
+    const lookups = [];
+    t.mock.method(Folder, 'exists', async (filter) => {
+      lookups.push(filter);
+      return folderExists ? { _id: filter._id } : null;
+    });
+    const extract = t.mock.method(documentService, 'extractSections', async () => []);
+
+    const form = new FormData();
+    form.append('file', new Blob(['Photosynthesis turns light into chemical energy.']), 'notes.txt');
+    form.append('folderId', folderId);
+
+    const response = await fetch(`${baseUrl}/api/quiz/upload`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${jwt.sign({ id: user._id }, process.env.JWT_SECRET)}` },
+      body: form
+    });
+    return { status: response.status, body: await response.json(), user, lookups, extracted: extract.mock.callCount() };
+  };
+
+  it('rejects a malformed folder id before reading the document', async (t) => {
+    const { status, body, extracted } = await upload(t, 'not-an-id');
+
+    assert.equal(status, 400);
+    assert.match(body.message, /folderId/);
+    assert.equal(extracted, 0);
+  });
+
+  it('rejects a folder the teacher does not own before reading the document', async (t) => {
+    const folderId = `${new mongoose.Types.ObjectId()}`;
+    const { status, user, lookups, extracted } = await upload(t, folderId);
+
+    assert.equal(status, 404);
+    assert.deepEqual(lookups, [{ _id: folderId, userId: user._id }]);
+    assert.equal(extracted, 0);
+  });
+
+  it('reads the document when the folder belongs to the teacher', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { status, extracted } = await upload(t, `${new mongoose.Types.ObjectId()}`, { folderExists: true });
+
+    // The mocked document has no text
+    assert.equal(status, 422);
+    assert.equal(extracted, 1);
+  });
+});
@@ -0,0 +1,162 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const StudentAuth = require('../models/StudentAuth');
+const studentAuthQuizRoutes = require('../routes/studentAuthQuiz');
+const studentQuizRoutes = require('../routes/studentQuiz');
+const rosterService = require('../services/rosterService');
+const { useMemoryStore } = require('./helpers/memoryStore');
+
+describe('POST /api/student-quiz/attempt/start', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/student-quiz', studentQuizRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const start = async (t, mode, previousAttempts = []) => {
+    const store = useMemoryStore(t.mock);
+    t.mock.method(QuizAttempt, 'find', () => ({ select: async () => previousAttempts }));
+    t.mock.method(rosterService, 'getStudentContext', async (teacherId, email) => ({ email, section: null }));
+
+    const quiz = store.addQuiz(new Quiz({
+      title: `${mode} quiz`,
+      duration: 20,
+      mode,
+      userId: new mongoose.Types.ObjectId(),
+      createdBy: 'teacher@example.edu',
+      questions: [{ type: 'mcq', question: 'What is 2 + 2?', options: ['3', '4'], answer: 'B', marks: 1 }]
+    }));
+
+    const response = await fetch(`${baseUrl}/api/student-quiz/attempt/start`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        token: Buffer.from(`asha@example.edu||${quiz._id}`).toString('base64'),
+        studentName: 'Asha Rao',
+        studentUSN: '1ab21cs001',
+        studentBranch: 'CSE',
+        studentYear: '3',
+        studentSemester: '5'
+      })
+    });
+    const body = await response.json();
+    assert.equal(response.status, 200, body.message);
+    return { body, attempt: store.getAttempt(body.attemptId) };
+  };
+
+  it('starts an untimed practice attempt for a practice quiz', async (t) => {
+    const { body, attempt } = await start(t, 'practice');
+
+    assert.equal(body.mode, 'practice');
+    assert.equal(body.deadline, null);
+    assert.equal(body.timeRemaining, null);
+    assert.equal(attempt.mode, 'practice');
+    assert.equal(attempt.deadline, undefined);
+  });
+
+  it('starts a timed graded attempt for a graded quiz', async (t) => {
+    const { body, attempt } = await start(t, 'graded');
+
+    assert.equal(body.mode, 'graded');
+    assert.equal(attempt.mode, 'graded');
+    assert.equal(new Date(body.deadline).getTime(), attempt.startedAt.getTime() + 20 * 60 * 1000);
+  });
+
+  it('numbers the attempt after the ones made in the student app', async (t) => {
+    const { attempt } = await start(t, 'graded', [{ mode: 'graded', attemptNumber: 1 }, { mode: 'practice', attemptNumber: 3 }]);
+
+    assert.equal(attempt.attemptNumber, 2);
+  });
+});
+
+describe('POST /api/student/quiz/start', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/student', studentAuthQuizRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('resumes the attempt a concurrent start created instead of adding another', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    const student = { _id: new mongoose.Types.ObjectId(), name: 'Asha Rao', email: 'asha@example.edu', isVerified: true };
+    const quiz = new Quiz({
+      title: 'Retakes',
+      duration: 20,
+      userId: new mongoose.Types.ObjectId(),
+      createdBy: 'teacher@example.edu',
+      sharedWith: [student.email],
+      attemptPolicy: { maxAttempts: 1 },
+      questions: [{ type: 'mcq', question: 'What is 2 + 2?', options: ['3', '4'], answer: 'B', marks: 1 }]
+    });
+    // The attempt the other request saved first, after this one had found no attempts
+    const concurrent = new QuizAttempt({
+      quizId: quiz._id,
+      teacherId: quiz.userId,
+      studentName: student.name,
+      studentEmail: student.email,
+      status: 'started',
+      startedAt: new Date(),
+      duration: 20,
+      attemptNumber: 1
+    });
+
+    t.mock.method(StudentAuth, 'findById', async () => student);
+    t.mock.method(Quiz, 'findOne', async () => quiz);
+    t.mock.method(QuizAttempt, 'find', () => ({ sort: async () => [] }));
+    t.mock.method(rosterService, 'getStudentContext', async (teacherId, email) => ({ email, section: null }));
+    const lookups = [];
+    t.mock.method(QuizAttempt, 'findOne', async (filter) => {
+      lookups.push(filter);
+      return concurrent;
+    });
+    t.mock.method(QuizAttempt.prototype, 'save', async function () {
+      const error = new Error('E11000 duplicate key error collection: quizattempts');
+      error.code = 11000;
+      throw error;
+    });
+
+    const response = await fetch(`${baseUrl}/api/student/quiz/start`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${jwt.sign({ id: student._id, role: 'student' }, process.env.JWT_SECRET)}`
+      },
+      body: JSON.stringify({ quizId: `${quiz._id}` })
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 200, body.message);
+    assert.equal(body.message, 'Resuming existing attempt');
+    assert.equal(body.attempt.id, `${concurrent._id}`);
+    assert.equal(body.attempt.attemptNumber, 1);
+    assert.equal(lookups.length, 1);
+    assert.equal(lookups[0].attemptNumber, 1);
+    assert.equal(lookups[0].mode, 'graded');
+  });
+});
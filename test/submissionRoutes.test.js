@@ -0,0 +1,173 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const studentAuthQuizRoutes = require('../routes/studentAuthQuiz');
+const studentQuizRoutes = require('../routes/studentQuiz');
+const attemptLayoutService = require('../services/attemptLayoutService');
+const { validateQuestion } = require('../services/questionTypes');
+const { useMemoryStore } = require('./helpers/memoryStore');
+const fixtures = require('./fixtures/quizzes');
+
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+const isBlank = (answer) => answer === null || answer === '' || (Array.isArray(answer) && answer.length === 0);
+
+// A fixture answer as the student sends it for the question as displayed: options by letter
+// on the student app, by index on the quiz-link page
+const toSubmittedAnswer = (view, answer, style) => {
+  if (isBlank(answer)) return answer === null ? '' : answer;
+
+  const pick = (text) => {
+    const index = view.options.indexOf(text);
+    assert.notEqual(index, -1, `"${text}" is not an option of "${view.question}"`);
+    return style === 'letter' ? String.fromCharCode(65 + index) : index;
+  };
+
+  switch (view.type) {
+    case 'mcq':
+      return pick(answer);
+    case 'multi-select':
+      return answer.map(pick);
+    case 'true-false':
+      return pick(TRUE_FALSE_OPTIONS[answer ? 0 : 1]);
+    default:
+      return answer;
+  }
+};
+
+const ROUTES = [
+  {
+    path: '/api/student/quiz/submit',
+    buildBody: (attempt, views, answers) => ({
+      attemptId: `${attempt._id}`,
+      answers: views.map((view, i) => ({ questionId: `${view.id}`, studentAnswer: toSubmittedAnswer(view, answers[i], 'letter') }))
+    })
+  },
+  {
+    path: '/api/student-quiz/attempt/submit',
+    // The quiz-link page sends answers positionally, in the order the questions were displayed
+    buildBody: (attempt, views, answers) => ({
+      attemptId: `${attempt._id}`,
+      answers: views.map((view, i) => toSubmittedAnswer(view, answers[i], 'index'))
+    })
+  }
+];
+
+describe('submission routes grade fixture quizzes', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/student-quiz', studentQuizRoutes);
+    app.use('/api/student', studentAuthQuizRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  for (const fixture of fixtures) {
+    describe(fixture.name, () => {
+      for (const submission of fixture.submissions) {
+        for (const route of ROUTES) {
+          it(`grades "${submission.name}" submitted to ${route.path}`, async (t) => {
+            const store = useMemoryStore(t.mock);
+            // The routes and the queue log every step; keep the test report readable
+            t.mock.method(console, 'log', () => {});
+            t.mock.method(console, 'warn', () => {});
+            // Reverse instead of shuffling at random, so every shuffled layout differs from quiz order
+            t.mock.method(attemptLayoutService, 'shuffle', (items) => [...items].reverse());
+
+            const student = store.addStudent({
+              _id: new mongoose.Types.ObjectId(),
+              name: 'Asha Rao',
+              email: 'asha@example.edu',
+              isVerified: true
+            });
+
+            const questions = fixture.quiz.questions.map((q, i) => {
+              const { error, value } = validateQuestion(q, i);
+              assert.equal(error, undefined);
+              return value;
+            });
+            const quiz = store.addQuiz(new Quiz({
+              title: fixture.name,
+              duration: 30,
+              userId: new mongoose.Types.ObjectId(),
+              createdBy: 'teacher@example.edu',
+              shortAnswerGrading: { mode: 'offline' },
+              ...fixture.quiz,
+              questions
+            }));
+
+            const layout = attemptLayoutService.createLayout(quiz);
+            const attempt = store.addAttempt(new QuizAttempt({
+              quizId: quiz._id,
+              teacherId: quiz.userId,
+              studentId: student._id,
+              studentName: student.name,
+              studentEmail: student.email,
+              uniqueToken: Buffer.from(`${student.email}||${quiz._id}`).toString('base64'),
+              status: 'started',
+              startedAt: new Date(),
+              duration: quiz.duration,
+              maxMarks: attemptLayoutService.getMaxMarks(quiz, layout),
+              ...layout
+            }));
+
+            const views = attemptLayoutService.presentQuiz(quiz, attempt);
+            if (fixture.quiz.shuffleQuestions) {
+              assert.notEqual(`${views[0].id}`, `${quiz.questions[0]._id}`);
+            }
+            // Fixture answers are listed in quiz order
+            const answers = views.map(view => submission.answers[quiz.questions.findIndex(q => `${q._id}` === `${view.id}`)]);
+
+            const token = jwt.sign({ id: student._id, role: 'student' }, process.env.JWT_SECRET);
+            const response = await fetch(`${baseUrl}${route.path}`, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+              body: JSON.stringify(route.buildBody(attempt, views, answers))
+            });
+            const body = await response.json();
+
+            assert.equal(response.status, 200, body.message);
+            assert.equal(body.success, true);
+
+            const submitted = store.getAttempt(attempt._id);
+            assert.equal(submitted.status, 'submitted');
+            assert.equal(submitted.gradingStatus, 'queued');
+            assert.ok(submitted.submittedAnswers, 'the raw answers are stored for regrading');
+
+            await store.runGradingJobs();
+
+            const graded = store.getAttempt(attempt._id);
+            assert.equal(graded.gradingStatus, 'completed');
+            assert.equal(graded.answers.length, questions.length);
+            assert.deepEqual(
+              {
+                totalMarks: graded.totalMarks,
+                maxMarks: graded.maxMarks,
+                penaltyMarks: graded.penaltyMarks,
+                percentage: graded.percentage
+              },
+              submission.expected
+            );
+            if (submission.expected.percentage === 100) {
+              assert.deepEqual(graded.answers.filter(a => !a.isCorrect).map(a => a.type), []);
+            }
+          });
+        }
+      }
+    });
+  }
+});
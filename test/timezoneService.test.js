@@ -0,0 +1,261 @@
+// Hosts (Vercel and most servers) run in UTC; schedules must not depend on it either way
+process.env.TZ = 'UTC';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Quiz = require('../models/Quiz');
+const timezoneService = require('../services/timezoneService');
+
+const toUtc = (timeZone, date, time) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  return timezoneService.zonedTimeToUtc({ year, month, day, hours, minutes }, timeZone).toISOString();
+};
+
+const HOURS = 60 * 60 * 1000;
+
+describe('timezoneService.zonedTimeToUtc', () => {
+  it('runs on a UTC host', () => {
+    assert.equal(new Date(2024, 0, 1).getTimezoneOffset(), 0);
+    assert.equal(new Date(2024, 6, 1).getTimezoneOffset(), 0);
+  });
+
+  // [zone, date, time, expected instant]
+  const cases = {
+    'America/New_York': [
+      ['2024-03-09', '12:00', '2024-03-09T17:00:00.000Z'],
+      ['2024-03-10', '01:59', '2024-03-10T06:59:00.000Z'],
+      // Spring forward: 02:00-02:59 does not exist and moves forward by the hour
+      ['2024-03-10', '02:00', '2024-03-10T07:00:00.000Z'],
+      ['2024-03-10', '02:30', '2024-03-10T07:30:00.000Z'],
+      ['2024-03-10', '03:00', '2024-03-10T07:00:00.000Z'],
+      ['2024-03-10', '12:00', '2024-03-10T16:00:00.000Z'],
+      // Fall back: 01:00-01:59 happens twice, EDT first
+      ['2024-11-03', '00:59', '2024-11-03T04:59:00.000Z'],
+      ['2024-11-03', '01:00', '2024-11-03T05:00:00.000Z'],
+      ['2024-11-03', '01:30', '2024-11-03T05:30:00.000Z'],
+      ['2024-11-03', '02:00', '2024-11-03T07:00:00.000Z'],
+      ['2024-11-03', '12:00', '2024-11-03T17:00:00.000Z']
+    ],
+    'Europe/London': [
+      ['2024-03-31', '00:30', '2024-03-31T00:30:00.000Z'],
+      // Spring forward: 01:00-01:59 does not exist
+      ['2024-03-31', '01:30', '2024-03-31T01:30:00.000Z'],
+      ['2024-03-31', '02:00', '2024-03-31T01:00:00.000Z'],
+      ['2024-03-31', '12:00', '2024-03-31T11:00:00.000Z'],
+      // Fall back: 01:00-01:59 happens twice, BST first
+      ['2024-10-27', '00:30', '2024-10-26T23:30:00.000Z'],
+      ['2024-10-27', '01:30', '2024-10-27T00:30:00.000Z'],
+      ['2024-10-27', '02:00', '2024-10-27T02:00:00.000Z'],
+      ['2024-10-27', '12:00', '2024-10-27T12:00:00.000Z']
+    ],
+    // Southern hemisphere: clocks go forward in October and back in April
+    'Australia/Sydney': [
+      ['2024-10-06', '01:30', '2024-10-05T15:30:00.000Z'],
+      // Spring forward: 02:00-02:59 does not exist
+      ['2024-10-06', '02:30', '2024-10-05T16:30:00.000Z'],
+      ['2024-10-06', '03:00', '2024-10-05T16:00:00.000Z'],
+      ['2024-10-06', '12:00', '2024-10-06T01:00:00.000Z'],
+      // Fall back: 02:00-02:59 happens twice, AEDT first
+      ['2024-04-07', '01:30', '2024-04-06T14:30:00.000Z'],
+      ['2024-04-07', '02:30', '2024-04-06T15:30:00.000Z'],
+      ['2024-04-07', '03:00', '2024-04-06T17:00:00.000Z'],
+      ['2024-04-07', '12:00', '2024-04-07T02:00:00.000Z']
+    ],
+    // No DST; half-hour offset
+    'Asia/Kolkata': [
+      ['2024-01-15', '09:00', '2024-01-15T03:30:00.000Z'],
+      ['2024-07-15', '09:00', '2024-07-15T03:30:00.000Z'],
+      ['2024-03-01', '00:00', '2024-02-29T18:30:00.000Z'],
+      ['2024-12-31', '23:59', '2024-12-31T18:29:00.000Z']
+    ],
+    UTC: [
+      ['2024-03-10', '02:30', '2024-03-10T02:30:00.000Z'],
+      ['2024-03-31', '01:30', '2024-03-31T01:30:00.000Z'],
+      ['2024-10-27', '01:30', '2024-10-27T01:30:00.000Z'],
+      ['2024-12-31', '23:59', '2024-12-31T23:59:00.000Z']
+    ]
+  };
+
+  for (const [timeZone, zoneCases] of Object.entries(cases)) {
+    describe(timeZone, () => {
+      for (const [date, time, expected] of zoneCases) {
+        it(`converts ${date} ${time}`, () => {
+          assert.equal(toUtc(timeZone, date, time), expected);
+        });
+      }
+    });
+  }
+
+  it('round-trips every wall-clock time that exists', () => {
+    for (const timeZone of Object.keys(cases)) {
+      for (const date of ['2024-03-10', '2024-03-31', '2024-04-07', '2024-10-06', '2024-10-27', '2024-11-03']) {
+        for (let minutes = 0; minutes < 24 * 60; minutes += 30) {
+          const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+          const instant = new Date(toUtc(timeZone, date, time));
+          const wallClock = new Date(instant.getTime() + timezoneService.getOffsetMs(instant.getTime(), timeZone));
+          const shown = wallClock.toISOString().slice(0, 16);
+          // Skipped times come out an hour later; everything else reads back unchanged
+          if (shown !== `${date}T${time}`) {
+            const skipped = new Date(Date.parse(`${date}T${time}:00Z`) + HOURS).toISOString().slice(0, 16);
+            assert.equal(shown, skipped, `${timeZone} ${date} ${time}`);
+          }
+        }
+      }
+    }
+  });
+});
+
+describe('timezoneService.combine', () => {
+  it('combines a date string and a time in the timezone', () => {
+    assert.equal(timezoneService.combine('2024-03-10', '02:30', 'America/New_York').toISOString(), '2024-03-10T07:30:00.000Z');
+    assert.equal(timezoneService.combine('2024-10-27', '01:30', 'Europe/London').toISOString(), '2024-10-27T00:30:00.000Z');
+    assert.equal(timezoneService.combine('2024-10-06', '02:30', 'Australia/Sydney').toISOString(), '2024-10-05T16:30:00.000Z');
+    assert.equal(timezoneService.combine('2024-03-10', '09:00', 'Asia/Kolkata').toISOString(), '2024-03-10T03:30:00.000Z');
+    assert.equal(timezoneService.combine('2024-03-10', '09:00', 'UTC').toISOString(), '2024-03-10T09:00:00.000Z');
+  });
+
+  it('reads the calendar day of stored dates in UTC', () => {
+    // Dates are stored as UTC midnight; late in the day they are already the next day in Sydney
+    const stored = new Date('2024-04-07T00:00:00.000Z');
+    assert.equal(timezoneService.combine(stored, '02:30', 'Australia/Sydney').toISOString(), '2024-04-06T15:30:00.000Z');
+    assert.equal(timezoneService.combine(stored, '02:30', 'America/New_York').toISOString(), '2024-04-07T06:30:00.000Z');
+    assert.equal(timezoneService.combine(new Date('2024-04-07T23:00:00.000Z'), '10:00', 'Asia/Kolkata').toISOString(), '2024-04-07T04:30:00.000Z');
+  });
+
+  it('uses the default time when the time is missing or malformed', () => {
+    assert.equal(timezoneService.combine('2024-03-10', null, 'America/New_York').toISOString(), '2024-03-10T05:00:00.000Z');
+    assert.equal(timezoneService.combine('2024-03-10', '25:00', 'America/New_York').toISOString(), '2024-03-10T05:00:00.000Z');
+    assert.equal(timezoneService.combine('2024-03-10', '', 'America/New_York', '23:59').toISOString(), '2024-03-11T03:59:00.000Z');
+  });
+
+  it('returns null without a valid date', () => {
+    assert.equal(timezoneService.combine(null, '10:00', 'UTC'), null);
+    assert.equal(timezoneService.combine('', '10:00', 'UTC'), null);
+    assert.equal(timezoneService.combine('not a date', '10:00', 'UTC'), null);
+  });
+});
+
+describe('quiz schedules across DST changes', () => {
+  const buildQuiz = (fields) => new Quiz({
+    title: 'Scheduled quiz',
+    duration: 60,
+    userId: '507f1f77bcf86cd799439011',
+    createdBy: 'teacher@example.edu',
+    isScheduled: true,
+    ...fields
+  });
+
+  it('resolves a window that spans the spring-forward gap', () => {
+    const { startsAt, endsAt } = Quiz.resolveSchedule({
+      isScheduled: true,
+      startDate: '2024-03-09',
+      startTime: '22:00',
+      endDate: '2024-03-10',
+      endTime: '04:00',
+      timezone: 'America/New_York'
+    });
+    assert.equal(startsAt.toISOString(), '2024-03-10T03:00:00.000Z');
+    assert.equal(endsAt.toISOString(), '2024-03-10T08:00:00.000Z');
+    // Six hours on the clock, five in real time
+    assert.equal(endsAt - startsAt, 5 * HOURS);
+  });
+
+  it('resolves a window that spans the fall-back overlap', () => {
+    const { startsAt, endsAt } = Quiz.resolveSchedule({
+      isScheduled: true,
+      startDate: '2024-10-27',
+      startTime: '00:30',
+      endDate: '2024-10-27',
+      endTime: '02:30',
+      timezone: 'Europe/London'
+    });
+    assert.equal(startsAt.toISOString(), '2024-10-26T23:30:00.000Z');
+    assert.equal(endsAt.toISOString(), '2024-10-27T02:30:00.000Z');
+    // Two hours on the clock, three in real time
+    assert.equal(endsAt - startsAt, 3 * HOURS);
+  });
+
+  it('opens and closes a window across the spring-forward gap on time', (t) => {
+    const quiz = buildQuiz({
+      startDate: '2024-03-09',
+      startTime: '22:00',
+      endDate: '2024-03-10',
+      endTime: '04:00',
+      timezone: 'America/New_York'
+    });
+
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-03-10T02:59:00.000Z') });
+    assert.equal(quiz.isAccessible().accessible, false);
+
+    t.mock.timers.setTime(Date.parse('2024-03-10T07:45:00.000Z'));
+    assert.equal(quiz.isAccessible().accessible, true);
+
+    // 04:00 EDT; with the standard-time offset the window would stay open another hour
+    t.mock.timers.setTime(Date.parse('2024-03-10T08:01:00.000Z'));
+    const closed = quiz.isAccessible();
+    assert.equal(closed.accessible, false);
+    assert.equal(closed.endedAt.toISOString(), '2024-03-10T08:00:00.000Z');
+  });
+
+  it('gives each slot the offset in force on its own day', (t) => {
+    // Sydney leaves daylight time overnight on 6-7 April
+    const quiz = buildQuiz({
+      startDate: '2024-04-06',
+      startTime: '09:00',
+      endDate: '2024-04-08',
+      endTime: '17:00',
+      timezone: 'Australia/Sydney',
+      scheduleSlots: [
+        { label: 'Saturday batch', sections: ['A'], startDate: '2024-04-06', startTime: '10:00', endDate: '2024-04-06', endTime: '11:00' },
+        { label: 'Monday batch', sections: ['B'], startDate: '2024-04-08', startTime: '10:00', endDate: '2024-04-08', endTime: '11:00' }
+      ]
+    });
+
+    const saturday = quiz.getScheduleWindow({ email: 'a@example.edu', section: 'A' });
+    assert.equal(saturday.slot.label, 'Saturday batch');
+    assert.equal(saturday.start.toISOString(), '2024-04-05T23:00:00.000Z');
+    assert.equal(saturday.end.toISOString(), '2024-04-06T00:00:00.000Z');
+
+    const monday = quiz.getScheduleWindow({ email: 'b@example.edu', section: 'B' });
+    assert.equal(monday.slot.label, 'Monday batch');
+    assert.equal(monday.start.toISOString(), '2024-04-08T00:00:00.000Z');
+    assert.equal(monday.end.toISOString(), '2024-04-08T01:00:00.000Z');
+
+    const unassigned = quiz.getScheduleWindow({ email: 'c@example.edu', section: 'C' });
+    assert.equal(unassigned.slot, null);
+    assert.equal(unassigned.start.toISOString(), '2024-04-05T22:00:00.000Z');
+    assert.equal(unassigned.end.toISOString(), '2024-04-08T07:00:00.000Z');
+
+    // 10:00 AEDT on Monday would be an hour early
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-04-07T23:30:00.000Z') });
+    const early = quiz.isAccessible({ email: 'b@example.edu', section: 'B' });
+    assert.equal(early.accessible, false);
+    assert.match(early.message, /10:00/);
+
+    t.mock.timers.setTime(Date.parse('2024-04-08T00:30:00.000Z'));
+    assert.equal(quiz.isAccessible({ email: 'b@example.edu', section: 'B' }).accessible, true);
+    assert.equal(quiz.isAccessible({ email: 'a@example.edu', section: 'A' }).accessible, false);
+  });
+
+  it('caps attempts at a window end that falls after the DST change', () => {
+    const quiz = buildQuiz({
+      startDate: '2024-11-03',
+      startTime: '00:00',
+      endDate: '2024-11-03',
+      endTime: '02:00',
+      timezone: 'America/New_York',
+      windowPolicy: 'cap-at-window-end'
+    });
+
+    // Started at 01:30 EDT; 02:00 EST is an hour and a half later, past the 60-minute duration
+    const early = quiz.getAttemptTiming(new Date('2024-11-03T05:30:00.000Z'));
+    assert.equal(early.deadline.toISOString(), '2024-11-03T06:30:00.000Z');
+    assert.equal(early.windowClosesAt.toISOString(), '2024-11-03T07:00:00.000Z');
+
+    // Started at 01:30 EST, half an hour before the window closes
+    const late = quiz.getAttemptTiming(new Date('2024-11-03T06:30:00.000Z'));
+    assert.equal(late.deadline.toISOString(), '2024-11-03T07:00:00.000Z');
+  });
+});